@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// ReconFlow command line. Exit codes for reconcile: 0 within thresholds,
+// 1 a threshold was exceeded, 2 bad arguments or unreadable input.
+import { parseArgs } from 'node:util';
+import { reconcileCommand } from '../src/cli/reconcileCommand.js';
+import { createApiServer } from '../src/server/api.js';
+
+const USAGE = `Usage:
+  reconflow reconcile <internal-file> <provider-file> [options]
+  reconflow serve [--port <n>] [--host <address>] [--data <dir>] [--inputs <dir>]
+
+Reconcile options:
+  --bank <file>                 Bank settlement statement for three-way reconciliation
+  --rules <file>                Rule set JSON (as saved in the Matching Rules panel)
+  --out <dir>                   Output directory (default: reconflow-output)
+  --internal-mapping <file>     Column mapping or profile JSON for the internal file
+  --provider-mapping <file>     Column mapping or provider profile JSON for the provider file
+  --bank-mapping <file>         Column mapping or profile JSON for the bank file
+  --currency <code>             Currency for rows without a currency column
+  --period-start <YYYY-MM-DD>   Statement period start, for timing differences
+  --period-end <YYYY-MM-DD>     Statement period end (inclusive)
+  --no-fuzzy                    Skip proposing fuzzy matches
+  --max-discrepancies <n>       Fail when more issues than this are found
+  --max-value-at-risk <amount>  Fail when the value at risk is above this
+  --min-match-rate <percent>    Fail when the match rate is below this
+  --quiet                       Only print errors
+
+Serve options:
+  --port <n>                    Port for the HTTP API (default: 8787)
+  --host <address>              Address to listen on (default: 127.0.0.1)
+  --data <dir>                  Where jobs and results are kept (default: .reconflow)
+  --inputs <dir>                Directory jobs may read files from by path (default: none)
+
+  -h, --help                    Show this help
+
+Files may be CSV, Excel, JSON or fixed-width text. Without a mapping file the
+columns are detected from the headers, as in the column mapping wizard.`;
+
+const OPTIONS = {
+  bank: { type: 'string' },
+  rules: { type: 'string' },
+  out: { type: 'string', default: 'reconflow-output' },
+  'internal-mapping': { type: 'string' },
+  'provider-mapping': { type: 'string' },
+  'bank-mapping': { type: 'string' },
+  currency: { type: 'string' },
+  'period-start': { type: 'string' },
+  'period-end': { type: 'string' },
+  'no-fuzzy': { type: 'boolean', default: false },
+  'max-discrepancies': { type: 'string' },
+  'max-value-at-risk': { type: 'string' },
+  'min-match-rate': { type: 'string' },
+  quiet: { type: 'boolean', default: false },
+  port: { type: 'string', default: '8787' },
+  host: { type: 'string', default: '127.0.0.1' },
+  data: { type: 'string', default: '.reconflow' },
+  inputs: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+const fail = (message) => {
+  console.error(`reconflow: ${message}`);
+  process.exit(2);
+};
+
+const numberOption = (values, name) => {
+  if (values[name] === undefined) return null;
+  const value = Number(values[name]);
+  if (Number.isNaN(value)) fail(`--${name} must be a number`);
+  return value;
+};
+
+const reconcile = async (values, [internal, provider]) => {
+  if (!internal || !provider) fail(`reconcile needs an internal and a provider file\n\n${USAGE}`);
+
+  const start = values['period-start'];
+  const end = values['period-end'];
+  if (Boolean(start) !== Boolean(end)) fail('--period-start and --period-end go together');
+
+  try {
+    const summary = await reconcileCommand({
+      internal,
+      provider,
+      bank: values.bank,
+      rules: values.rules,
+      out: values.out,
+      period: start ? { start, end } : null,
+      currency: values.currency ? values.currency.toUpperCase() : null,
+      fuzzy: !values['no-fuzzy'],
+      mappings: {
+        internal: values['internal-mapping'],
+        provider: values['provider-mapping'],
+        bank: values['bank-mapping']
+      },
+      thresholds: {
+        maxDiscrepancies: numberOption(values, 'max-discrepancies'),
+        maxValueAtRisk: numberOption(values, 'max-value-at-risk'),
+        minMatchRate: numberOption(values, 'min-match-rate')
+      },
+      log: values.quiet ? () => {} : (message) => console.log(message)
+    });
+    if (!summary.passed) {
+      summary.breaches.forEach(breach => console.error(`reconflow: threshold exceeded: ${breach}`));
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    fail(error.message);
+  }
+};
+
+const serve = async (values) => {
+  const port = numberOption(values, 'port');
+  const server = await createApiServer({
+    dataDir: values.data,
+    inputDir: values.inputs || null,
+    log: (message) => console.log(message)
+  });
+  server.listen(port, values.host, () => {
+    console.log(`ReconFlow API listening on http://${values.host}:${port}/api/jobs (data in ${values.data})`);
+  });
+};
+
+const COMMANDS = { reconcile, serve };
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    fail(error.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+  if (!COMMANDS[command]) fail(`unknown command "${command}"\n\n${USAGE}`);
+  await COMMANDS[command](values, args);
+};
+
+main();
@@ -1,5 +1,6 @@
 import js from '@eslint/js'
 import globals from 'globals'
+import react from 'eslint-plugin-react'
 import reactHooks from 'eslint-plugin-react-hooks'
 import reactRefresh from 'eslint-plugin-react-refresh'
 import { defineConfig, globalIgnores } from 'eslint/config'
@@ -22,8 +23,17 @@ export default defineConfig([
         sourceType: 'module',
       },
     },
+    plugins: { react },
     rules: {
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
+      // Components used in JSX are not checked by no-undef
+      'react/jsx-no-undef': 'error',
+    },
+  },
+  {
+    files: ['bin/**/*.js', 'src/cli/**/*.js', 'src/server/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
     },
   },
 ])
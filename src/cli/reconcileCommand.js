@@ -0,0 +1,96 @@
+// `reconflow reconcile`: run the reconciliation engine on files from disk,
+// write each result bucket as CSV plus a JSON summary, and report whether the
+// run is within the configured thresholds so a scheduled job can fail on it.
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import Papa from 'papaparse';
+import { reconcile } from '../lib/reconcile.js';
+import { resolveRules, describeRules } from '../lib/rules.js';
+import { rejectedRowsForExport } from '../lib/validation.js';
+import { availableBuckets, bucketFileName, matchRate, valueMatchRate, discrepancyCount } from '../lib/report.js';
+import { readStatement, readMappingFile, applyStatementProfiles } from './statements.js';
+
+// Thresholds a run must stay within; each is skipped when not set
+const checkThresholds = (summary, thresholds) => {
+  const breaches = [];
+  const discrepancies = discrepancyCount(summary);
+  if (thresholds.maxDiscrepancies !== null && discrepancies > thresholds.maxDiscrepancies) {
+    breaches.push(`${discrepancies} discrepancies exceed the limit of ${thresholds.maxDiscrepancies}`);
+  }
+  if (thresholds.maxValueAtRisk !== null && summary.valueAtRisk > thresholds.maxValueAtRisk) {
+    breaches.push(`value at risk ${summary.valueAtRisk} exceeds the limit of ${thresholds.maxValueAtRisk}`);
+  }
+  if (thresholds.minMatchRate !== null && matchRate(summary) < thresholds.minMatchRate) {
+    breaches.push(`match rate ${matchRate(summary)}% is below ${thresholds.minMatchRate}%`);
+  }
+  return breaches;
+};
+
+const writeCsv = (path, rows) => writeFile(path, rows.length ? Papa.unparse(rows) : '');
+
+// options: { internal, provider, bank, rules, out, period, thresholds, mappings, currency, fuzzy, log }
+export const reconcileCommand = async (options) => {
+  const { log } = options;
+  const sides = { internal: options.internal, provider: options.provider, bank: options.bank };
+  const profiles = {};
+  for (const [side, mappingPath] of Object.entries(options.mappings)) {
+    if (sides[side] && mappingPath) profiles[side] = await readMappingFile(mappingPath);
+  }
+  const rulesFile = options.rules ? resolveRules(JSON.parse(await readFile(options.rules, 'utf8'))) : resolveRules();
+  const rules = applyStatementProfiles(rulesFile, profiles);
+
+  const statements = {};
+  for (const [side, path] of Object.entries(sides)) {
+    if (!path) continue;
+    statements[side] = await readStatement(path, {
+      profile: profiles[side] || null,
+      currency: options.currency
+    });
+    const { counts } = statements[side].report;
+    log(`${side}: ${statements[side].name}, ${counts.valid} of ${counts.total} rows loaded (${counts.rejected} rejected, ${counts.coerced} coerced)`);
+  }
+
+  const results = reconcile(statements.internal.records, statements.provider.records, {
+    rules,
+    period: options.period,
+    fuzzyMatching: options.fuzzy,
+    bankRecords: statements.bank ? statements.bank.records : null
+  });
+
+  await mkdir(options.out, { recursive: true });
+  for (const bucket of availableBuckets(results)) {
+    await writeCsv(join(options.out, `${bucketFileName(bucket)}.csv`), bucket.rows(results));
+  }
+  for (const [side, statement] of Object.entries(statements)) {
+    if (statement.report.rejected.length) {
+      await writeCsv(join(options.out, `${side}_rejected_rows.csv`), rejectedRowsForExport(statement.report));
+    }
+  }
+
+  const breaches = checkThresholds(results.summary, options.thresholds);
+  const summary = {
+    generatedAt: new Date().toISOString(),
+    files: Object.fromEntries(Object.entries(statements).map(([side, statement]) => [side, {
+      name: statement.name,
+      mapping: statement.mapping,
+      ...statement.report.counts
+    }])),
+    period: results.period,
+    rules: describeRules(results.rules),
+    summary: {
+      ...results.summary,
+      matchRate: matchRate(results.summary),
+      valueMatchRate: valueMatchRate(results.summary),
+      discrepancyCount: discrepancyCount(results.summary)
+    },
+    settlement: results.settlement ? results.settlement.summary : null,
+    thresholds: options.thresholds,
+    breaches,
+    passed: breaches.length === 0
+  };
+  await writeFile(join(options.out, 'summary.json'), `${JSON.stringify(summary, null, 2)}\n`);
+
+  log(`Matched ${results.summary.matchedCount}, ${summary.summary.discrepancyCount} discrepancies, match rate ${summary.summary.matchRate}%`);
+  log(`Results written to ${options.out}`);
+  return summary;
+};
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { reconcileCommand } from './reconcileCommand.js';
+
+const INTERNAL_CSV = 'reference,amount,status,date\nA1,100,completed,2024-03-10\nA2,50,completed,2024-03-11\n';
+const PROVIDER_CSV = 'Receipt;Paid;State;Completed\nA1;100,40;SUCCESS;10/03/2024\nA2;50;SUCCESS;11/03/2024\n';
+
+// A provider profile as exported from the app
+const PROFILE = {
+  profiles: [{
+    name: 'M-Pesa',
+    parse: { delimiter: ';', decimalSeparator: ',' },
+    dateFormat: 'DD/MM/YYYY',
+    mapping: { reference: 'receipt', amount: 'paid', status: 'state', date: 'completed' },
+    fileCurrency: 'KES',
+    statusGroups: [['completed', 'success']],
+    amountTolerance: { absolute: 0.5, percent: 0 }
+  }]
+};
+
+let dir;
+
+const run = (options) => reconcileCommand({
+  internal: join(dir, 'internal.csv'),
+  provider: join(dir, 'provider.csv'),
+  out: join(dir, 'out'),
+  period: null,
+  currency: 'KES',
+  fuzzy: false,
+  thresholds: { maxDiscrepancies: 0, maxValueAtRisk: null, minMatchRate: null },
+  log: () => {},
+  ...options
+});
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), 'reconflow-cli-'));
+  await writeFile(join(dir, 'internal.csv'), INTERNAL_CSV);
+  await writeFile(join(dir, 'provider.csv'), PROVIDER_CSV);
+  await writeFile(join(dir, 'profile.json'), JSON.stringify(PROFILE));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+describe('reconcile command', () => {
+  it("matches with the provider profile's date format, status groups and tolerance", async () => {
+    const summary = await run({ mappings: { provider: join(dir, 'profile.json') } });
+
+    expect(summary.files.provider.valid).toBe(2);
+    expect(summary.summary.matchedCount).toBe(2);
+    expect(summary.summary.discrepancyCount).toBe(0);
+    expect(summary.passed).toBe(true);
+    expect(summary.rules.join('\n')).toContain('provider DD/MM/YYYY');
+
+    const written = JSON.parse(await readFile(join(dir, 'out', 'summary.json'), 'utf8'));
+    expect(written.passed).toBe(true);
+  });
+
+  it('lets the profile override the rules file', async () => {
+    await writeFile(join(dir, 'rules.json'), JSON.stringify({ amountTolerance: { absolute: 0, percent: 0 } }));
+
+    const summary = await run({ rules: join(dir, 'rules.json'), mappings: { provider: join(dir, 'profile.json') } });
+
+    expect(summary.summary.discrepancyCount).toBe(0);
+  });
+
+  it('keeps the rules file when the mapping file is a bare mapping', async () => {
+    await writeFile(join(dir, 'mapping.json'), JSON.stringify(PROFILE.profiles[0].mapping));
+    await writeFile(join(dir, 'provider.csv'), 'Receipt,Paid,State,Completed\nA1,100,SUCCESS,2024-03-10\nA2,50,completed,2024-03-11\n');
+
+    const summary = await run({ mappings: { provider: join(dir, 'mapping.json') } });
+
+    expect(summary.summary.matchedCount).toBe(2);
+    expect(summary.summary.statusMismatchCount).toBe(1);
+    expect(summary.passed).toBe(false);
+  });
+});
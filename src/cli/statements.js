@@ -0,0 +1,79 @@
+// Reading statement files for the command line and the API server. Uses the same
+// importers, column mapping and row validation as an upload in the browser.
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import Papa from 'papaparse';
+import { csvParseOptions } from '../lib/csv.js';
+import { detectFormat, decodeText, parseWorkbook, parseJson, parseFixedWidth } from '../lib/importers.js';
+import { suggestMapping, isMappingComplete, mappingFitsHeaders } from '../lib/columnMapping.js';
+import { validateRows } from '../lib/validation.js';
+import { applyProfileRules } from '../lib/providerProfiles.js';
+
+const parseCsvText = (text, parse) => {
+  const parsed = Papa.parse(text, csvParseOptions(parse));
+  return {
+    headers: parsed.meta.fields || [],
+    rows: parsed.data,
+    // Delimiter guesses fall back to a comma, which is what we want
+    parseErrors: parsed.errors
+      .filter(error => error.type !== 'Delimiter')
+      .map(error => ({ row: error.row ?? null, message: error.message })),
+    importInfo: { format: 'csv', firstLine: (parse.skipRows || 0) + 2 }
+  };
+};
+
+// contents is a Buffer; the format comes from the file name's extension.
+// parse: a provider profile's parse settings.
+const parseStatement = (name, contents, options, parse) => {
+  const format = detectFormat(name);
+  if (format === 'xlsx') return parseWorkbook(contents, { ...options, skipRows: parse.skipRows });
+  const text = decodeText(contents, parse.encoding);
+  if (format === 'json') return parseJson(text);
+  if (format === 'fixed-width') {
+    return parseFixedWidth(text, { ...options, skipRows: parse.skipRows, decimalSeparator: parse.decimalSeparator });
+  }
+  return parseCsvText(text, parse);
+};
+
+// A saved mapping profile ({ name, mapping, fileCurrency }), a provider profile
+// (which adds parse settings), a profiles export holding one of them, or a bare mapping object
+export const toMappingProfile = (json) => {
+  if (Array.isArray(json.profiles)) {
+    if (json.profiles.length !== 1) throw new Error('The profiles file must hold exactly one profile');
+    return toMappingProfile(json.profiles[0]);
+  }
+  return json.mapping ? json : { mapping: json, fileCurrency: null };
+};
+
+// The rules with each side's profile applied: its date format for that side,
+// and any status groups and tolerances it carries. A bare mapping changes nothing.
+export const applyStatementProfiles = (rules, profiles) =>
+  Object.entries(profiles).reduce(
+    (next, [side, profile]) => (profile ? applyProfileRules(next, profile, side) : next),
+    rules
+  );
+
+export const readMappingFile = async (path) => toMappingProfile(JSON.parse(await readFile(path, 'utf8')));
+
+// Parse, map and validate one file's contents. options: { profile, currency, sheet, headerRow, widths }
+export const loadStatement = (name, contents, options = {}) => {
+  const parse = options.profile?.parse || {};
+  const parsed = parseStatement(name, contents, options, parse);
+  const mapping = options.profile?.mapping || suggestMapping(parsed.headers);
+  if (!mappingFitsHeaders(mapping, parsed.headers)) {
+    throw new Error(`${name}: the mapping refers to columns the file does not have`);
+  }
+  if (!isMappingComplete(mapping)) {
+    throw new Error(`${name}: no reference column found; pass a mapping file for it`);
+  }
+
+  const report = validateRows(parsed.rows, mapping, options.currency || options.profile?.fileCurrency || null, {
+    parseErrors: parsed.parseErrors,
+    firstLine: parsed.importInfo.firstLine,
+    decimalSeparator: parse.decimalSeparator
+  });
+  return { name, mapping, records: report.records, report };
+};
+
+export const readStatement = async (path, options = {}) =>
+  loadStatement(basename(path), await readFile(path), options);
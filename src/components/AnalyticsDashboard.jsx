@@ -0,0 +1,261 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { formatCurrency } from '../lib/format';
+import { EXCEPTION_SERIES, discrepanciesByType, exceptionsOverTime, statusMatrix, statusPairs, topVariances } from '../lib/analytics';
+import { SEVERITIES } from '../lib/rules';
+
+// Same colours as the detail tables the series open
+const SERIES_COLORS = {
+  matched: 'bg-green-500',
+  internalOnly: 'bg-yellow-500',
+  providerOnly: 'bg-red-500',
+  timingDifferences: 'bg-blue-500'
+};
+
+// Matrix cells by severity; cells where the statuses agree are green
+const SEVERITY_CELLS = {
+  critical: 'bg-red-100 text-red-900 hover:bg-red-200',
+  warning: 'bg-yellow-100 text-yellow-900 hover:bg-yellow-200',
+  info: 'bg-blue-100 text-blue-900 hover:bg-blue-200'
+};
+
+const MATCHING_CELL = 'bg-green-50 text-green-900 hover:bg-green-100';
+
+const COLUMN_CHART_HEIGHT = 160;
+
+const toggleClass = (active) =>
+  `px-3 py-1 text-xs rounded-lg ${active ? 'bg-gray-900 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`;
+
+const ChartCard = ({ title, actions, className = '', children }) => (
+  <div className={`bg-gray-50 rounded-xl p-6 ${className}`}>
+    <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+      <h4 className="font-semibold text-gray-800">{title}</h4>
+      {actions && <div className="flex gap-1">{actions}</div>}
+    </div>
+    {children}
+  </div>
+);
+
+// One clickable bar per item; empty items are listed but can't be picked
+const HorizontalBars = ({ items, read, format, color, emptyMessage, onSelect }) => {
+  const max = Math.max(0, ...items.map(read));
+  if (!items.length) return <p className="text-sm text-gray-500">{emptyMessage}</p>;
+  return (
+    <div className="space-y-2">
+      {items.map(item => (
+        <button
+          key={item.key}
+          onClick={() => onSelect(item.filter)}
+          disabled={read(item) === 0}
+          className="w-full text-left p-1 rounded-lg hover:bg-white disabled:hover:bg-transparent disabled:cursor-default"
+        >
+          <div className="flex justify-between text-xs mb-1">
+            <span className="text-gray-700 truncate mr-2">{item.label}</span>
+            <span className="font-semibold text-gray-900 shrink-0">{format(read(item), item)}</span>
+          </div>
+          <div className="h-3 bg-gray-200 rounded-full overflow-hidden">
+            <div
+              className={`h-full rounded-full ${color}`}
+              style={{ width: `${max ? (read(item) / max) * 100 : 0}%` }}
+            ></div>
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// Charts over the reconciliation results; clicking a bar filters the
+// detail list it was counted from
+const AnalyticsDashboard = ({ results, onSelect }) => {
+  const [typeMeasure, setTypeMeasure] = useState('count');
+  const [timeScale, setTimeScale] = useState('date');
+
+  const byType = useMemo(() => discrepanciesByType(results), [results]);
+  const byDate = useMemo(() => exceptionsOverTime(results, 'date'), [results]);
+  const byHour = useMemo(() => exceptionsOverTime(results, 'hour'), [results]);
+  const matrix = useMemo(() => statusMatrix(results), [results]);
+  const pairs = useMemo(() => statusPairs(results), [results]);
+  const variances = useMemo(() => topVariances(results), [results]);
+
+  const overTime = timeScale === 'hour' && byHour ? byHour : byDate;
+  const maxPeriod = Math.max(0, ...overTime.periods.map(period => period.total));
+  const mixedCurrencies = Object.keys(results.summary.currencyTotals || {}).length > 1;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden">
+      <div className="bg-gradient-to-r from-gray-50 to-gray-100 px-6 py-4 border-b border-gray-200">
+        <h3 className="font-semibold text-gray-900 flex items-center text-lg">
+          <div className="w-8 h-8 bg-gray-200 rounded-lg flex items-center justify-center mr-3">
+            <BarChart3 size={16} />
+          </div>
+          Dashboard
+        </h3>
+        <p className="text-sm text-gray-600 mt-1">Click a bar to see its transactions in the detail list.</p>
+      </div>
+
+      <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6 text-left">
+        <ChartCard
+          title="Discrepancies by type"
+          actions={[
+            <button key="count" onClick={() => setTypeMeasure('count')} className={toggleClass(typeMeasure === 'count')}>Count</button>,
+            <button key="value" onClick={() => setTypeMeasure('value')} className={toggleClass(typeMeasure === 'value')}>Value</button>
+          ]}
+        >
+          <HorizontalBars
+            items={byType}
+            read={(item) => item[typeMeasure]}
+            format={(value) => (typeMeasure === 'value' ? formatCurrency(value) : value.toLocaleString())}
+            color="bg-red-400"
+            onSelect={onSelect}
+          />
+          {typeMeasure === 'value' && (
+            <p className="text-xs text-gray-500 mt-3">
+              Amount mismatches are valued at their variance, other discrepancies at the transaction amount.
+              {mixedCurrencies && ' Amounts are added across currencies.'}
+            </p>
+          )}
+        </ChartCard>
+
+        <ChartCard
+          title="Exceptions over time"
+          actions={[
+            <button key="date" onClick={() => setTimeScale('date')} className={toggleClass(timeScale === 'date')}>By date</button>,
+            <button
+              key="hour"
+              onClick={() => setTimeScale('hour')}
+              disabled={!byHour}
+              title={byHour ? undefined : 'The files have no transaction times'}
+              className={`${toggleClass(timeScale === 'hour' && byHour)} disabled:opacity-50`}
+            >
+              By hour
+            </button>
+          ]}
+        >
+          {overTime.periods.length === 0 ? (
+            <p className="text-sm text-gray-500">No dated exceptions</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <div className="flex items-end gap-1 min-w-full" style={{ height: COLUMN_CHART_HEIGHT }}>
+                {overTime.periods.map(period => (
+                  <div
+                    key={period.key}
+                    title={`${period.label}: ${period.total}`}
+                    className="flex-1 min-w-4 flex flex-col-reverse"
+                    style={{ height: maxPeriod ? `${(period.total / maxPeriod) * 100}%` : 0 }}
+                  >
+                    {period.segments.map(segment => (
+                      <button
+                        key={segment.key}
+                        onClick={() => onSelect(segment.filter)}
+                        title={`${segment.filter.label}: ${segment.count}`}
+                        className={`w-full ${SERIES_COLORS[segment.key]} hover:opacity-80`}
+                        style={{ height: `${(segment.count / period.total) * 100}%` }}
+                      ></button>
+                    ))}
+                  </div>
+                ))}
+              </div>
+              <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{overTime.periods[0].label}</span>
+                <span>{overTime.periods[overTime.periods.length - 1].label}</span>
+              </div>
+            </div>
+          )}
+          <div className="flex flex-wrap gap-3 text-xs text-gray-600 mt-3">
+            {EXCEPTION_SERIES.map(series => (
+              <span key={series.key} className="flex items-center">
+                <span className={`w-2 h-2 rounded-full mr-1 ${SERIES_COLORS[series.key]}`}></span>
+                {series.label}
+              </span>
+            ))}
+          </div>
+          {overTime.undated > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              {overTime.undated.toLocaleString()} exceptions have no {timeScale === 'hour' && byHour ? 'time' : 'readable date'}.
+            </p>
+          )}
+        </ChartCard>
+
+        <ChartCard title="Status matrix" className="lg:col-span-2">
+          {matrix.internalStatuses.length === 0 ? (
+            <p className="text-sm text-gray-500">No matched transactions</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="text-xs border-separate border-spacing-1">
+                <thead>
+                  <tr>
+                    <th className="text-left text-gray-500 font-medium pr-2">Internal ↓ / Provider →</th>
+                    {matrix.providerStatuses.map(status => (
+                      <th key={status} className="text-gray-700 font-semibold px-2">{status}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {matrix.internalStatuses.map(internal => (
+                    <tr key={internal}>
+                      <th className="text-left text-gray-700 font-semibold pr-2">{internal}</th>
+                      {matrix.providerStatuses.map(provider => {
+                        const cell = matrix.cells[`${internal}|${provider}`];
+                        if (!cell) return <td key={provider} className="text-center text-gray-300">·</td>;
+                        return (
+                          <td key={provider}>
+                            <button
+                              onClick={() => onSelect(cell.filter)}
+                              title={cell.severity ? `${SEVERITIES.find(s => s.key === cell.severity)?.label} mismatch` : 'Statuses agree'}
+                              className={`w-full min-w-24 rounded-lg px-2 py-1 text-center ${cell.severity ? SEVERITY_CELLS[cell.severity] : MATCHING_CELL}`}
+                            >
+                              <span className="block font-semibold">{cell.count.toLocaleString()}</span>
+                              <span className="block">{formatCurrency(cell.value)}</span>
+                            </button>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div className="flex flex-wrap gap-3 text-xs text-gray-600 mt-3">
+            {SEVERITIES.map(severity => (
+              <span key={severity.key} className="flex items-center">
+                <span className={`w-2 h-2 rounded-full mr-1 ${SEVERITY_CELLS[severity.key]}`}></span>
+                {severity.label}
+              </span>
+            ))}
+            <span className="flex items-center">
+              <span className={`w-2 h-2 rounded-full mr-1 ${MATCHING_CELL}`}></span>
+              Statuses agree
+            </span>
+          </div>
+        </ChartCard>
+
+        <ChartCard title="Status mismatches by status pair">
+          <HorizontalBars
+            items={pairs}
+            read={(item) => item.count}
+            format={(value) => value.toLocaleString()}
+            color="bg-purple-400"
+            emptyMessage="No status mismatches"
+            onSelect={onSelect}
+          />
+          {pairs.length > 0 && <p className="text-xs text-gray-500 mt-3">Internal status vs provider status</p>}
+        </ChartCard>
+
+        <ChartCard title="Top references by variance">
+          <HorizontalBars
+            items={variances}
+            read={(item) => item.value}
+            format={(value, item) => formatCurrency(value, item.currency)}
+            color="bg-orange-400"
+            emptyMessage="No amount differences on matched transactions"
+            onSelect={onSelect}
+          />
+        </ChartCard>
+      </div>
+    </div>
+  );
+};
+
+export default AnalyticsDashboard;
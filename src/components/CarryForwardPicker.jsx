@@ -0,0 +1,35 @@
+import React, { useEffect, useState } from 'react';
+import { loadSessions } from '../lib/sessions';
+
+// Pick a saved session whose open exceptions seed the next run
+const CarryForwardPicker = ({ value, onChange, refreshKey }) => {
+  const [sessions, setSessions] = useState([]);
+
+  useEffect(() => {
+    loadSessions()
+      .then(setSessions)
+      .catch(() => setSessions([]));
+  }, [refreshKey]);
+
+  if (sessions.length === 0) return null;
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center justify-center gap-3 mb-6 text-sm text-gray-700">
+      <span className="font-medium">Carry forward open exceptions from:</span>
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="border border-gray-200 rounded-lg px-3 py-2 max-w-xs"
+      >
+        <option value="">Nothing (start fresh)</option>
+        {sessions.map(session => (
+          <option key={session.id} value={session.id}>
+            {session.name} · {new Date(session.updatedAt).toLocaleDateString()}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default CarryForwardPicker;
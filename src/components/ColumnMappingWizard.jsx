@@ -0,0 +1,227 @@
+import React, { useState } from 'react';
+import { Columns, Save, Trash2, CheckCircle, XCircle } from 'lucide-react';
+import {
+  MAPPING_FIELDS,
+  suggestMapping,
+  isMappingComplete,
+  mappingFitsHeaders,
+  applyMapping
+} from '../lib/columnMapping';
+
+const PREVIEW_ROWS = 5;
+
+// Record property each mapping field ends up in, where the names differ
+const RECORD_FIELDS = { reference: 'transaction_reference' };
+
+const CURRENCY_SUGGESTIONS = ['KES', 'USD', 'UGX', 'TZS', 'EUR', 'GBP'];
+
+const ACCENTS = {
+  internal: {
+    header: 'from-blue-50 to-blue-100 border-blue-200 text-blue-900',
+    icon: 'bg-blue-200 text-blue-700',
+    button: 'from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800'
+  },
+  provider: {
+    header: 'from-purple-50 to-purple-100 border-purple-200 text-purple-900',
+    icon: 'bg-purple-200 text-purple-700',
+    button: 'from-purple-600 to-purple-700 hover:from-purple-700 hover:to-purple-800'
+  },
+  bank: {
+    header: 'from-teal-50 to-teal-100 border-teal-200 text-teal-900',
+    icon: 'bg-teal-200 text-teal-700',
+    button: 'from-teal-600 to-teal-700 hover:from-teal-700 hover:to-teal-800'
+  }
+};
+
+// preset: { name, mapping, fileCurrency } from the provider profile in use,
+// which takes the place of the auto-detected mapping. profiles are the saved
+// provider profiles; onSaveProfile(name, mapping, fileCurrency) and
+// onDeleteProfile(name) change them.
+const ColumnMappingWizard = ({
+  side,
+  fileName,
+  headers,
+  rows,
+  preset,
+  decimalSeparator,
+  profiles,
+  onSaveProfile,
+  onDeleteProfile,
+  onConfirm,
+  onCancel
+}) => {
+  const [selectedProfile, setSelectedProfile] = useState(() => {
+    if (preset) return '';
+    const fits = profiles.find(profile => isMappingComplete(profile.mapping) && mappingFitsHeaders(profile.mapping, headers));
+    return fits?.name || '';
+  });
+  const [mapping, setMapping] = useState(() => {
+    if (preset) return { ...suggestMapping(headers), ...preset.mapping };
+    return profiles.find(profile => profile.name === selectedProfile)?.mapping || suggestMapping(headers);
+  });
+  const [fileCurrency, setFileCurrency] = useState(
+    () => (preset ? preset.fileCurrency : profiles.find(profile => profile.name === selectedProfile)?.fileCurrency) || ''
+  );
+  const [profileName, setProfileName] = useState(selectedProfile);
+
+  const accent = ACCENTS[side];
+  const preview = applyMapping(rows.slice(0, PREVIEW_ROWS), mapping, fileCurrency || null, { decimalSeparator });
+
+  const defaultMapping = () => (preset ? { ...suggestMapping(headers), ...preset.mapping } : suggestMapping(headers));
+
+  const handleProfileChange = (name) => {
+    setSelectedProfile(name);
+    setProfileName(name);
+    const profile = profiles.find(p => p.name === name);
+    setMapping(profile ? { ...suggestMapping(headers), ...profile.mapping } : defaultMapping());
+    setFileCurrency((profile ? profile.fileCurrency : preset?.fileCurrency) || '');
+  };
+
+  const handleSaveProfile = () => {
+    const name = profileName.trim();
+    if (!name) return;
+    onSaveProfile(name, mapping, fileCurrency || null);
+    setSelectedProfile(name);
+  };
+
+  const handleDeleteProfile = () => {
+    if (!selectedProfile) return;
+    onDeleteProfile(selectedProfile);
+    setSelectedProfile('');
+    setProfileName('');
+  };
+
+  return (
+    <div className="mt-4 rounded-xl border border-gray-200 overflow-hidden text-left">
+      <div className={`bg-gradient-to-r px-4 py-3 border-b ${accent.header}`}>
+        <h4 className="font-semibold flex items-center">
+          <div className={`w-8 h-8 rounded-lg flex items-center justify-center mr-3 ${accent.icon}`}>
+            <Columns size={16} />
+          </div>
+          Map columns for {fileName}
+        </h4>
+      </div>
+
+      <div className="p-4 space-y-4">
+        {/* Saved profiles */}
+        <div className="flex flex-col sm:flex-row gap-2">
+          <select
+            value={selectedProfile}
+            onChange={(e) => handleProfileChange(e.target.value)}
+            className="flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">{preset ? `${preset.name} profile mapping` : 'Auto-detected mapping'}</option>
+            {profiles.map(profile => (
+              <option key={profile.name} value={profile.name}>{profile.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={profileName}
+            onChange={(e) => setProfileName(e.target.value)}
+            placeholder="Profile name, e.g. M-Pesa"
+            className="flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+          />
+          <button
+            onClick={handleSaveProfile}
+            disabled={!profileName.trim()}
+            className="flex items-center justify-center px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-700"
+          >
+            <Save size={14} className="mr-1" /> Save
+          </button>
+          {selectedProfile && (
+            <button
+              onClick={handleDeleteProfile}
+              className="flex items-center justify-center px-3 py-2 text-sm rounded-lg bg-red-50 hover:bg-red-100 text-red-700"
+            >
+              <Trash2 size={14} />
+            </button>
+          )}
+        </div>
+
+        {/* Field assignments */}
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          {MAPPING_FIELDS.map(field => (
+            <label key={field.key} className="text-sm text-gray-700">
+              <span className="block mb-1 font-medium">
+                {field.label}{field.required && <span className="text-red-600"> *</span>}
+              </span>
+              <select
+                value={mapping[field.key]}
+                onChange={(e) => setMapping(prev => ({ ...prev, [field.key]: e.target.value }))}
+                className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm"
+              >
+                <option value="">— Not in file —</option>
+                {headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          {!mapping.currency && (
+            <label className="text-sm text-gray-700">
+              <span className="block mb-1 font-medium">File currency</span>
+              <input
+                type="text"
+                list={`${side}-currency-suggestions`}
+                value={fileCurrency}
+                onChange={(e) => setFileCurrency(e.target.value.toUpperCase().trim())}
+                placeholder="e.g. KES"
+                maxLength={3}
+                className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm"
+              />
+              <datalist id={`${side}-currency-suggestions`}>
+                {CURRENCY_SUGGESTIONS.map(code => <option key={code} value={code} />)}
+              </datalist>
+            </label>
+          )}
+        </div>
+
+        {/* Preview */}
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-gray-500 border-b border-gray-200">
+                {MAPPING_FIELDS.map(field => (
+                  <th key={field.key} className="text-left py-2 pr-3 font-medium">{field.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {preview.map((record, index) => (
+                <tr key={index} className="border-b border-gray-100 text-gray-800">
+                  {MAPPING_FIELDS.map(field => (
+                    <td key={field.key} className={`py-2 pr-3 ${field.key === 'reference' ? 'font-mono break-all' : ''}`}>
+                      {record[RECORD_FIELDS[field.key] || field.key] ?? '—'}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {preview.length === 0 && (
+            <p className="text-xs text-gray-500 py-2">No rows with a reference in the first {PREVIEW_ROWS} lines.</p>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-2">
+          <button
+            onClick={onCancel}
+            className="flex items-center px-4 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+          >
+            <XCircle size={14} className="mr-1" /> Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(mapping, mapping.currency ? null : fileCurrency || null)}
+            disabled={!isMappingComplete(mapping)}
+            className={`flex items-center px-4 py-2 text-sm rounded-lg bg-gradient-to-r text-white disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed ${accent.button}`}
+          >
+            <CheckCircle size={14} className="mr-1" /> Apply mapping
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingWizard;
@@ -0,0 +1,62 @@
+import React from 'react';
+import { Copy, Download } from 'lucide-react';
+import { formatCurrency } from '../lib/format';
+
+// References repeated within a file, per side. internal/provider are the
+// duplicate groups from reconcile(): { transaction_reference, records }.
+const DuplicatesPanel = ({ internal, provider, onExport }) => (
+  <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
+    <div className="bg-gradient-to-r from-orange-50 to-orange-100 px-6 py-4 border-b border-orange-200">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold text-orange-900 flex items-center text-lg">
+          <div className="w-8 h-8 bg-orange-200 rounded-lg flex items-center justify-center mr-3">
+            <Copy size={16} />
+          </div>
+          Duplicate References ({internal.length + provider.length})
+        </h3>
+        <button
+          onClick={onExport}
+          className="text-orange-600 hover:text-orange-800 transition-colors p-2 hover:bg-orange-100 rounded-lg"
+        >
+          <Download size={16} />
+        </button>
+      </div>
+    </div>
+    <div className="p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {[
+        { label: 'Internal', groups: internal },
+        { label: 'Provider', groups: provider }
+      ].map(({ label, groups }) => (
+        <div key={label}>
+          <h4 className="font-semibold text-gray-800 mb-3">{label} ({groups.length})</h4>
+          <div className="max-h-80 overflow-y-auto">
+            {groups.length === 0 ? (
+              <p className="text-gray-500 text-sm">No duplicate references</p>
+            ) : (
+              <div className="space-y-3">
+                {groups.map(group => (
+                  <div key={group.transaction_reference} className="p-4 rounded-xl border border-orange-200 bg-orange-50">
+                    <div className="flex items-center justify-between mb-2">
+                      <span className="font-mono text-sm font-medium text-gray-900 break-all">{group.transaction_reference}</span>
+                      <span className="text-xs font-semibold text-orange-700">{group.records.length}×</span>
+                    </div>
+                    <div className="text-xs text-gray-600 space-y-1">
+                      {group.records.map((record, index) => (
+                        <div key={index} className="flex items-center">
+                          <div className="w-2 h-2 bg-orange-400 rounded-full mr-2"></div>
+                          {formatCurrency(record.amount, record.currency)}{record.status && ` · ${record.status}`}
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default DuplicatesPanel;
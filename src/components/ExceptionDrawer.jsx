@@ -0,0 +1,221 @@
+import React, { useState } from 'react';
+import { ClipboardList, X, Save } from 'lucide-react';
+import {
+  EXCEPTION_STATUSES,
+  REASON_CODES,
+  exceptionKey,
+  isException,
+  getResolution,
+  exceptionHistory
+} from '../lib/exceptions';
+import { formatCurrency } from '../lib/format';
+import { recordDiffRows } from '../lib/recordDiff';
+import { amountExplanationLabel } from '../lib/fees';
+
+const inputClass = 'w-full border border-gray-200 rounded-lg px-3 py-2 text-sm';
+
+const BUCKET_LABELS = {
+  matched: 'Matched with discrepancies',
+  internalOnly: 'Internal only',
+  providerOnly: 'Provider only',
+  timingDifferences: 'Timing difference'
+};
+
+const displayValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+// Engine and compare-field differences in red; other columns that differ in amber
+const diffRowClass = (row) => {
+  if (!row.differs) return row.oneSided ? 'text-gray-400' : '';
+  return row.oneSided === false ? 'bg-amber-50' : 'bg-red-50 text-red-800 font-medium';
+};
+
+// Both original rows of a matched pair, field by field
+const RecordDiff = ({ match, compareFields }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full text-xs text-left">
+      <thead className="text-gray-500 border-b border-gray-200">
+        <tr>
+          <th className="py-2 pr-3 font-medium">Field</th>
+          <th className="py-2 pr-3 font-medium">Internal</th>
+          <th className="py-2 font-medium">Provider</th>
+        </tr>
+      </thead>
+      <tbody>
+        {recordDiffRows(match, compareFields).map(row => (
+          <tr key={row.label} className={`border-b border-gray-100 ${diffRowClass(row)}`}>
+            <td className="py-1.5 pr-3 text-gray-600 break-all">
+              {row.label}
+              {row.compared && <span className="ml-1 text-gray-400">(compared)</span>}
+            </td>
+            <td className="py-1.5 pr-3 break-all">{displayValue(row.internal)}</td>
+            <td className="py-1.5 break-all">{displayValue(row.provider)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const DEDUCTION_SOURCES = { columns: 'fee columns', schedule: 'fee schedule' };
+
+// How the fee decomposition accounts for an amount difference
+const AmountBreakdown = ({ match }) => {
+  const { deductions, source, expectedNet, residual, explanation } = match.amountBreakdown;
+  const currency = match.provider.currency;
+  return (
+    <div className="mt-3 p-3 bg-gray-50 rounded-lg text-xs text-gray-700 space-y-1">
+      <div className="flex justify-between">
+        <span>Deductions{source ? ` (from ${DEDUCTION_SOURCES[source]})` : ''}</span>
+        <span>{formatCurrency(deductions, currency)}</span>
+      </div>
+      <div className="flex justify-between">
+        <span>Expected net</span>
+        <span>{formatCurrency(expectedNet, currency)}</span>
+      </div>
+      <div className="flex justify-between font-semibold">
+        <span>Residual · {amountExplanationLabel(explanation)}</span>
+        <span className={explanation === 'fee' ? 'text-gray-900' : 'text-red-700'}>{formatCurrency(residual, currency)}</span>
+      </div>
+    </div>
+  );
+};
+
+const FIELD_LABELS = { status: 'Status', reasonCode: 'Reason', note: 'Note' };
+
+const statusLabel = (key) => EXCEPTION_STATUSES.find(s => s.key === key)?.label || key;
+
+const reasonLabel = (key) => REASON_CODES.find(r => r.key === key)?.label || key;
+
+const describeValue = (field, value) => {
+  if (field === 'status') return statusLabel(value);
+  if (field === 'reasonCode') return value ? reasonLabel(value) : 'none';
+  return value ? `"${value}"` : 'empty';
+};
+
+// The records behind a row, labelled by side
+const sideRecords = (bucket, row) => {
+  if (bucket === 'matched') return [['Internal', row.internal], ['Provider', row.provider]];
+  if (bucket === 'timingDifferences') return [[row.side === 'internal' ? 'Internal' : 'Provider', row.record]];
+  return [[bucket === 'internalOnly' ? 'Internal' : 'Provider', row]];
+};
+
+const ExceptionDrawer = ({ bucket, row, results, reviewer, onReviewerChange, onSave, onClose }) => {
+  const key = exceptionKey(bucket, row);
+  const resolution = getResolution(results, key);
+  const [status, setStatus] = useState(resolution.status);
+  const [reasonCode, setReasonCode] = useState(resolution.reasonCode || '');
+  const [note, setNote] = useState(resolution.note || '');
+  const exception = isException(bucket, row);
+  const history = exceptionHistory(results, key);
+  const carriedFrom = sideRecords(bucket, row).map(([, record]) => record.carriedFrom).find(Boolean);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end">
+      <div className="absolute inset-0 bg-black/30" onClick={onClose}></div>
+      <div className={`relative w-full h-full bg-white shadow-2xl overflow-y-auto text-left ${bucket === 'matched' ? 'sm:w-[40rem]' : 'sm:w-[28rem]'}`}>
+        <div className="bg-gradient-to-r from-gray-50 to-gray-100 px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="font-semibold text-gray-900 flex items-center text-lg">
+            <div className="w-8 h-8 bg-gray-200 rounded-lg flex items-center justify-center mr-3">
+              <ClipboardList size={16} />
+            </div>
+            <span className="font-mono break-all">{sideRecords(bucket, row)[0][1].transaction_reference}</span>
+          </h3>
+          <button onClick={onClose} className="p-2 rounded-lg text-gray-500 hover:text-gray-800 hover:bg-gray-200">
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="p-6 space-y-6">
+          <div>
+            <p className="text-xs text-gray-500 mb-2">{BUCKET_LABELS[bucket]}</p>
+            {bucket === 'matched' ? (
+              <>
+                <RecordDiff match={row} compareFields={results.rules?.compareFields} />
+                {row.amountBreakdown && <AmountBreakdown match={row} />}
+              </>
+            ) : (
+              <div className="grid grid-cols-2 gap-3 text-sm">
+                {sideRecords(bucket, row).map(([label, record]) => (
+                  <div key={label} className="p-3 bg-gray-50 rounded-lg">
+                    <p className="text-xs text-gray-500 mb-1">{label}</p>
+                    <p className="font-semibold text-gray-900">{formatCurrency(record.amount, record.currency)}</p>
+                    <p className="text-gray-700">{record.status || '—'}</p>
+                    <p className="text-gray-500 text-xs">{record.date || '—'}</p>
+                  </div>
+                ))}
+              </div>
+            )}
+            {bucket === 'timingDifferences' && <p className="text-xs text-gray-600 mt-2">{row.reason}</p>}
+            {carriedFrom && (
+              <p className="text-xs text-purple-700 mt-2">
+                Carried forward from “{carriedFrom.sessionName}”, first seen {carriedFrom.firstSeen}
+              </p>
+            )}
+          </div>
+
+          {exception ? (
+            <div className="space-y-3 text-sm text-gray-700">
+              <label className="block">
+                <span className="block mb-1 font-medium">Status</span>
+                <select value={status} onChange={(e) => setStatus(e.target.value)} className={inputClass}>
+                  {EXCEPTION_STATUSES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <span className="block mb-1 font-medium">Reason code</span>
+                <select value={reasonCode} onChange={(e) => setReasonCode(e.target.value)} className={inputClass}>
+                  {REASON_CODES.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <span className="block mb-1 font-medium">Note</span>
+                <textarea rows={3} value={note} onChange={(e) => setNote(e.target.value)} className={inputClass} />
+              </label>
+              <label className="block">
+                <span className="block mb-1 font-medium">Your name</span>
+                <input
+                  type="text"
+                  value={reviewer}
+                  onChange={(e) => onReviewerChange(e.target.value)}
+                  placeholder="Recorded in the audit log"
+                  className={inputClass}
+                />
+              </label>
+              <div className="flex justify-end">
+                <button
+                  onClick={() => onSave(key, { status, reasonCode, note: note.trim() })}
+                  disabled={!reviewer.trim()}
+                  className="flex items-center px-4 py-2 text-sm rounded-lg bg-gray-900 hover:bg-gray-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white"
+                >
+                  <Save size={14} className="mr-1" /> Save
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">This transaction matched cleanly; there is nothing to resolve.</p>
+          )}
+
+          {history.length > 0 && (
+            <div>
+              <h4 className="font-semibold text-gray-800 mb-2 text-sm">History</h4>
+              <ul className="space-y-2 text-xs text-gray-600">
+                {history.map((entry, index) => (
+                  <li key={index} className="p-2 bg-gray-50 rounded-lg">
+                    <p className="text-gray-500">{new Date(entry.at).toLocaleString()} · {entry.user}</p>
+                    {Object.entries(entry.changes || {}).map(([field, { from, to }]) => (
+                      <p key={field}>
+                        {FIELD_LABELS[field] || field}: {describeValue(field, from)} → {describeValue(field, to)}
+                      </p>
+                    ))}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExceptionDrawer;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { FileSpreadsheet, RefreshCw } from 'lucide-react';
+
+const inputClass = 'w-full border border-gray-200 rounded-lg px-3 py-2 text-sm';
+
+// Longest preview text shown for a candidate header row
+const ROW_PREVIEW_LENGTH = 60;
+
+const rowPreview = (values) => {
+  const text = values.filter(Boolean).join(' | ');
+  return text.length > ROW_PREVIEW_LENGTH ? `${text.slice(0, ROW_PREVIEW_LENGTH)}…` : text;
+};
+
+const parseWidths = (text) =>
+  text.split(',').map(width => parseInt(width, 10)).filter(width => width > 0);
+
+// Sheet / header row choice for Excel and column widths for fixed-width text.
+// Changing an option re-reads the file with it.
+const ImportOptions = ({ importInfo, onChange }) => {
+  const [widthsText, setWidthsText] = useState(() => (importInfo.widths || []).join(', '));
+
+  if (importInfo.format !== 'xlsx' && importInfo.format !== 'fixed-width') return null;
+
+  return (
+    <div className="mt-4 p-4 rounded-xl border border-gray-200 bg-gray-50 text-left">
+      <h4 className="font-semibold text-gray-800 mb-3 flex items-center text-sm">
+        <FileSpreadsheet size={16} className="mr-2" />
+        {importInfo.format === 'xlsx' ? 'Excel import options' : 'Fixed-width columns'}
+      </h4>
+
+      {importInfo.format === 'xlsx' && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-sm text-gray-700">
+          <label>
+            <span className="block mb-1">Sheet</span>
+            <select
+              value={importInfo.sheet}
+              onChange={(e) => onChange({ sheet: e.target.value })}
+              className={inputClass}
+            >
+              {importInfo.sheetNames.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+          <label>
+            <span className="block mb-1">Header row</span>
+            <select
+              value={importInfo.headerRow}
+              onChange={(e) => onChange({ sheet: importInfo.sheet, headerRow: Number(e.target.value) })}
+              className={inputClass}
+            >
+              {importInfo.preview.map((values, index) => (
+                <option key={index} value={index}>
+                  Row {index + 1}: {rowPreview(values) || '(empty)'}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      )}
+
+      {importInfo.format === 'fixed-width' && (
+        <div className="flex flex-col sm:flex-row gap-2 text-sm text-gray-700">
+          <input
+            type="text"
+            value={widthsText}
+            onChange={(e) => setWidthsText(e.target.value)}
+            placeholder="Characters per column, e.g. 12, 10, 8"
+            className={`sm:flex-1 font-mono ${inputClass}`}
+          />
+          <button
+            onClick={() => onChange({ widths: parseWidths(widthsText) })}
+            disabled={parseWidths(widthsText).length === 0}
+            className="flex items-center justify-center px-3 py-2 text-sm rounded-lg bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-700"
+          >
+            <RefreshCw size={14} className="mr-1" /> Re-read
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportOptions;
@@ -0,0 +1,74 @@
+import React from 'react';
+import { GitMerge, Check, X } from 'lucide-react';
+import { formatCurrency } from '../lib/format';
+
+const confidenceClass = (confidence) => {
+  if (confidence >= 0.85) return 'bg-green-100 text-green-800';
+  if (confidence >= 0.7) return 'bg-yellow-100 text-yellow-800';
+  return 'bg-orange-100 text-orange-800';
+};
+
+const ProposedMatchesPanel = ({ proposals, onAccept, onReject }) => (
+  <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
+    <div className="bg-gradient-to-r from-indigo-50 to-indigo-100 px-6 py-4 border-b border-indigo-200">
+      <h3 className="font-semibold text-indigo-900 flex items-center text-lg">
+        <div className="w-8 h-8 bg-indigo-200 rounded-lg flex items-center justify-center mr-3">
+          <GitMerge size={16} />
+        </div>
+        Proposed Matches ({proposals.length})
+      </h3>
+      <p className="text-sm text-indigo-700 mt-1">
+        Candidates found among Internal Only and Provider Only records by amount, date and reference similarity.
+      </p>
+    </div>
+    <div className="p-6 max-h-96 overflow-y-auto space-y-3">
+      {proposals.map(proposal => (
+        <div key={proposal.id} className="p-4 rounded-xl border border-gray-200 bg-gray-50 flex flex-col sm:flex-row sm:items-center gap-4">
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center flex-wrap gap-2 mb-2">
+              <span className={`text-xs font-semibold px-2 py-1 rounded-full ${confidenceClass(proposal.confidence)}`}>
+                {Math.round(proposal.confidence * 100)}%
+              </span>
+              <span className="text-xs text-gray-500">
+                {proposal.matchType === 'many-to-one' ? 'Many-to-one' : 'One-to-one'}
+              </span>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-2 text-sm">
+              <div>
+                <p className="text-xs text-gray-500">Internal</p>
+                {proposal.internal.map((record, index) => (
+                  <p key={index} className="font-mono text-gray-900 break-all">
+                    {record.transaction_reference} · {formatCurrency(record.amount, record.currency)}
+                  </p>
+                ))}
+              </div>
+              <div>
+                <p className="text-xs text-gray-500">Provider</p>
+                <p className="font-mono text-gray-900 break-all">
+                  {proposal.provider.transaction_reference} · {formatCurrency(proposal.provider.amount, proposal.provider.currency)}
+                </p>
+              </div>
+            </div>
+            <p className="text-xs text-gray-600 mt-2">{proposal.reasons.join(' · ')}</p>
+          </div>
+          <div className="flex space-x-2">
+            <button
+              onClick={() => onAccept(proposal.id)}
+              className="flex items-center px-3 py-2 text-sm rounded-lg bg-green-600 hover:bg-green-700 text-white"
+            >
+              <Check size={14} className="mr-1" /> Accept
+            </button>
+            <button
+              onClick={() => onReject(proposal.id)}
+              className="flex items-center px-3 py-2 text-sm rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-700"
+            >
+              <X size={14} className="mr-1" /> Reject
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default ProposedMatchesPanel;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, Save, Trash2, Upload, Download, RefreshCw, ChevronDown, ChevronUp } from 'lucide-react';
+import { DELIMITERS, ENCODINGS, DECIMAL_SEPARATORS } from '../lib/providerProfiles';
+import { DATE_FORMATS } from '../lib/dates';
+
+const inputClass = 'w-full border border-gray-200 rounded-lg px-3 py-2 text-sm bg-white';
+
+const buttonClass = 'flex items-center justify-center px-3 py-2 text-sm rounded-lg bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-700';
+
+// Provider profile picker and editor on the provider card. profile holds the
+// state kept by ReconciliationTool: { profiles, selected, detected, parse,
+// dateFormat, canSave, canReread, error }; handlers the callbacks. Keyed by
+// the selected profile, so the name field follows the selection.
+const ProviderProfiles = ({ profile, handlers }) => {
+  const { profiles, selected, detected, parse, dateFormat, canSave, canReread, error } = profile;
+  const [showSettings, setShowSettings] = useState(false);
+  const [profileName, setProfileName] = useState(selected);
+
+  const updateParse = (changes) => handlers.onParseChange({ ...parse, ...changes });
+
+  const handleImport = async (file) => {
+    if (file) handlers.onImport(await file.text());
+  };
+
+  return (
+    <div className="mb-4 p-4 rounded-xl border border-gray-200 bg-gray-50 text-left space-y-3">
+      <div className="flex items-center justify-between">
+        <h4 className="font-semibold text-gray-800 flex items-center text-sm">
+          <SlidersHorizontal size={16} className="mr-2" />
+          Provider profile
+        </h4>
+        <div className="flex gap-1">
+          <input
+            type="file"
+            accept=".json"
+            onChange={(e) => {
+              handleImport(e.target.files[0]);
+              e.target.value = '';
+            }}
+            className="hidden"
+            id="provider-profiles-import"
+          />
+          <label
+            htmlFor="provider-profiles-import"
+            title="Import profiles from JSON"
+            className="cursor-pointer text-gray-600 hover:text-gray-900 p-2 hover:bg-gray-200 rounded-lg"
+          >
+            <Upload size={14} />
+          </label>
+          <button
+            onClick={handlers.onExport}
+            disabled={profiles.length === 0}
+            title="Export profiles as JSON"
+            className="text-gray-600 hover:text-gray-900 p-2 hover:bg-gray-200 rounded-lg disabled:opacity-50"
+          >
+            <Download size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <select value={selected} onChange={(e) => handlers.onSelect(e.target.value)} className={inputClass}>
+          <option value="">{profiles.length ? 'None — detect from file headers' : 'No saved profiles'}</option>
+          {profiles.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+        </select>
+        {selected && (
+          <button
+            onClick={() => handlers.onDelete(selected)}
+            title="Delete profile"
+            className="flex items-center justify-center px-3 py-2 text-sm rounded-lg bg-red-50 hover:bg-red-100 text-red-700"
+          >
+            <Trash2 size={14} />
+          </button>
+        )}
+      </div>
+      {selected && detected && <p className="text-xs text-gray-500">Detected from the file's headers</p>}
+
+      <button
+        onClick={() => setShowSettings(open => !open)}
+        className="flex items-center text-xs text-gray-600 hover:text-gray-900"
+      >
+        {showSettings ? <ChevronUp size={14} className="mr-1" /> : <ChevronDown size={14} className="mr-1" />}
+        File settings
+      </button>
+
+      {showSettings && (
+        <div className="space-y-3">
+          <div className="grid grid-cols-2 gap-2 text-xs text-gray-700">
+            <label>
+              <span className="block mb-1">Delimiter</span>
+              <select value={parse.delimiter} onChange={(e) => updateParse({ delimiter: e.target.value })} className={inputClass}>
+                {DELIMITERS.map(d => <option key={d.label} value={d.key}>{d.label}</option>)}
+              </select>
+            </label>
+            <label>
+              <span className="block mb-1">Encoding</span>
+              <select value={parse.encoding} onChange={(e) => updateParse({ encoding: e.target.value })} className={inputClass}>
+                {ENCODINGS.map(encoding => <option key={encoding.key} value={encoding.key}>{encoding.label}</option>)}
+              </select>
+            </label>
+            <label>
+              <span className="block mb-1">Rows above the header</span>
+              <input
+                type="number"
+                min="0"
+                value={parse.skipRows}
+                onChange={(e) => updateParse({ skipRows: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                className={inputClass}
+              />
+            </label>
+            <label>
+              <span className="block mb-1">Decimal separator</span>
+              <select
+                value={parse.decimalSeparator}
+                onChange={(e) => updateParse({ decimalSeparator: e.target.value })}
+                className={inputClass}
+              >
+                {DECIMAL_SEPARATORS.map(separator => <option key={separator.key} value={separator.key}>{separator.label}</option>)}
+              </select>
+            </label>
+            <label className="col-span-2">
+              <span className="block mb-1">Date format</span>
+              <select value={dateFormat} onChange={(e) => handlers.onDateFormatChange(e.target.value)} className={inputClass}>
+                {DATE_FORMATS.map(format => <option key={format.key} value={format.key}>{format.label}</option>)}
+              </select>
+            </label>
+          </div>
+          {canReread && (
+            <button onClick={handlers.onReread} className={buttonClass}>
+              <RefreshCw size={14} className="mr-1" /> Re-read file
+            </button>
+          )}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={profileName}
+          onChange={(e) => setProfileName(e.target.value)}
+          placeholder="Profile name, e.g. M-Pesa"
+          className={inputClass}
+        />
+        <button
+          onClick={() => handlers.onSave(profileName.trim())}
+          disabled={!profileName.trim() || !canSave}
+          className={buttonClass}
+        >
+          <Save size={14} className="mr-1" /> Save
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        {canSave
+          ? 'Saves these file settings with the provider column mapping, status groups and tolerances.'
+          : 'Map a provider file to save its settings as a profile.'}
+      </p>
+      {error && <p className="text-xs text-red-700">{error}</p>}
+    </div>
+  );
+};
+
+export default ProviderProfiles;
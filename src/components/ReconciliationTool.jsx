@@ -1,226 +1,510 @@
-import React, { useState } from 'react';
-import { Upload, FileText, CheckCircle, AlertTriangle, XCircle, Download, RefreshCw, BarChart3 } from 'lucide-react';
+import React, { useMemo, useRef, useState } from 'react';
+import { FileText, CheckCircle, AlertTriangle, XCircle, Download, RefreshCw, BarChart3, Copy, Clock, ClipboardList, Layers } from 'lucide-react';
 import Papa from 'papaparse';
+import { validateRows, rejectedRowsForExport } from '../lib/validation';
+import { parseFileJob, reconcileJob } from '../lib/workerJobs';
+import { acceptProposedMatch, rejectProposedMatch } from '../lib/fuzzyMatch';
+import { formatCurrency, getDisplaySettings, setDisplaySettings } from '../lib/format';
+import { matchedTable, recordTable, timingTable, presenceTable } from '../lib/resultColumns';
+import { exportRows, matchRate, valueMatchRate, discrepancyCount, downloadFile, downloadWorkbook, downloadPdfReport } from '../lib/report';
+import { describeRules, resolveRules, loadActiveRules, saveActiveRules } from '../lib/rules';
+import { mappingFitsHeaders } from '../lib/columnMapping';
+import { DEFAULT_PARSE_SETTINGS, detectFileProfile, detectProfile } from '../lib/providerProfiles';
+import { loadSession } from '../lib/sessions';
+import { collectCarryForward } from '../lib/carryForward';
+import { parseDate } from '../lib/dates';
+import {
+  exceptionKey,
+  isException,
+  getResolution,
+  exceptionCounts,
+  exceptionAging,
+  AGE_BUCKETS,
+  updateException,
+  recordAudit,
+  exceptionsForExport,
+  auditLogForExport,
+  loadReviewer,
+  saveReviewer
+} from '../lib/exceptions';
+import AnalyticsDashboard from './AnalyticsDashboard';
+import ExceptionDrawer from './ExceptionDrawer';
+import CarryForwardPicker from './CarryForwardPicker';
+import DuplicatesPanel from './DuplicatesPanel';
+import ProposedMatchesPanel from './ProposedMatchesPanel';
+import RulesPanel from './RulesPanel';
+import ResultTable from './ResultTable';
+import ReversalsPanel from './ReversalsPanel';
+import ServerJobs from './ServerJobs';
+import SessionHistory from './SessionHistory';
+import SettlementPanel from './SettlementPanel';
+import UploadCard from './UploadCard';
+import useProviderProfiles from '../hooks/useProviderProfiles';
+import useSessions from '../hooks/useSessions';
+
+const PROGRESS_STAGES = {
+  starting: 'Preparing transaction data...',
+  matching: 'Matching transaction references...',
+  proposing: 'Looking for fuzzy and many-to-one matches...'
+};
+
+const UPLOAD_SIDES = [
+  { side: 'internal', title: 'Internal System Export', accent: 'blue', hint: 'CSV, Excel, JSON or fixed-width text; columns are mapped after upload' },
+  { side: 'provider', title: 'Provider Statement', accent: 'purple', hint: 'CSV, Excel, JSON or fixed-width text; columns are mapped after upload' },
+  { side: 'bank', title: 'Bank Settlement Statement', accent: 'teal', hint: 'Optional: net payouts to match against provider batches' }
+];
+
+const EMPTY_SIDES = { internal: null, provider: null, bank: null };
+
+const RESULT_TABS = [
+  { key: 'matched', label: 'Matched' },
+  { key: 'internalOnly', label: 'Internal Only' },
+  { key: 'providerOnly', label: 'Provider Only' },
+  { key: 'timingDifferences', label: 'Timing Differences' },
+  // Only present when a bank statement was included
+  { key: 'sourcePresence', label: 'Sources', rows: (results) => results.sourcePresence?.rows }
+];
+
+const tabRows = (tab, results) => (tab.rows ? tab.rows(results) : results[tab.key]);
 
 const ReconciliationTool = () => {
   const [internalFile, setInternalFile] = useState(null);
   const [providerFile, setProviderFile] = useState(null);
   const [internalData, setInternalData] = useState([]);
   const [providerData, setProviderData] = useState([]);
+  const [bankFile, setBankFile] = useState(null);
+  const [bankData, setBankData] = useState([]);
   const [reconciliationResults, setReconciliationResults] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [showResults, setShowResults] = useState(false);
-  const [uploadErrors, setUploadErrors] = useState({ internal: null, provider: null });
+  const [uploadErrors, setUploadErrors] = useState(EMPTY_SIDES);
+  const [pendingUploads, setPendingUploads] = useState(EMPTY_SIDES);
+  const [validationReports, setValidationReports] = useState(EMPTY_SIDES);
+  const [rules, setRules] = useState(loadActiveRules);
+  // Bumped when rules are replaced from outside RulesPanel, which keeps some text as typed
+  const [rulesVersion, setRulesVersion] = useState(0);
+  const [displaySettings, setDisplaySettingsState] = useState(getDisplaySettings);
+  const [parseProgress, setParseProgress] = useState(EMPTY_SIDES);
+  const [progress, setProgress] = useState(null);
+  const [processingError, setProcessingError] = useState(null);
+  const [activeTab, setActiveTab] = useState('matched');
+  const [period, setPeriod] = useState({ start: '', end: '' });
+  const [reviewer, setReviewer] = useState(loadReviewer);
+  const [selectedRow, setSelectedRow] = useState(null);
+  // { tab, label, test } picked on the dashboard
+  const [tableFilter, setTableFilter] = useState(null);
+  const [carryFromId, setCarryFromId] = useState(null);
+  const jobsRef = useRef({ ...EMPTY_SIDES, reconcile: null });
+
+  const handleRulesChange = (nextRules) => {
+    setRules(nextRules);
+    saveActiveRules(nextRules);
+  };
 
-  // File upload handler
-  const handleFileUpload = (file, type) => {
+  // Rules replaced from outside RulesPanel
+  const replaceRules = (nextRules) => {
+    handleRulesChange(nextRules);
+    setRulesVersion(version => version + 1);
+  };
+
+  const providerProfiles = useProviderProfiles(rules, replaceRules);
+  const activeProfile = providerProfiles.active;
+
+  // Restore a saved run: only the name of each file is kept, the records come from the session.
+  // A results-only session (from a server job) has no records, only the row counts.
+  const loadSessionState = (session) => {
+    const sessionFile = (info) => info && {
+      name: info.name,
+      ...(session.resultsOnly && { rows: info.rows, resultsOnly: true })
+    };
+    setInternalFile(sessionFile(session.files.internal));
+    setProviderFile(sessionFile(session.files.provider));
+    setBankFile(sessionFile(session.files.bank) || null);
+    setInternalData(session.internalData);
+    setProviderData(session.providerData);
+    setBankData(session.bankData || []);
+    setRules(resolveRules(session.rules));
+    setRulesVersion(version => version + 1);
+    setPeriod(session.period || { start: '', end: '' });
+    setReconciliationResults(session.results);
+    setShowResults(true);
+    setSelectedRow(null);
+    setTableFilter(null);
+    setUploadErrors(EMPTY_SIDES);
+    setPendingUploads(EMPTY_SIDES);
+    setValidationReports(EMPTY_SIDES);
+    setProcessingError(null);
+  };
+
+  const sessions = useSessions({ onOpen: loadSessionState, onError: setProcessingError });
+
+  const cancelAllJobs = () => {
+    Object.values(jobsRef.current).forEach(job => job?.cancel());
+  };
+
+  // File upload handler: parsing runs in a worker so large files don't freeze the tab.
+  // importOptions re-reads a file with a different sheet, header row or column widths,
+  // or with other parse settings as importOptions.parse. chosenProfile is a provider
+  // profile picked for this read, in place of the active one.
+  const handleFileUpload = async (file, type, importOptions, chosenProfile) => {
     if (!file) return;
     
+    jobsRef.current[type]?.cancel();
     setUploadErrors(prev => ({ ...prev, [type]: null }));
-    
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: true,
-      transformHeader: (header) => header.trim().toLowerCase().replace(/\s+/g, '_'),
-      complete: (results) => {
-        if (results.errors.length > 0) {
-          setUploadErrors(prev => ({ 
-            ...prev, 
-            [type]: `CSV parsing error: ${results.errors[0].message}` 
-          }));
-          return;
-        }
+    setPendingUploads(prev => ({ ...prev, [type]: null }));
+    setValidationReports(prev => ({ ...prev, [type]: null }));
+    setParseProgress(prev => ({ ...prev, [type]: 0 }));
 
-       
-        const requiredColumns = ['transaction_reference'];
-        const headers = results.meta.fields || [];
-        const missingColumns = requiredColumns.filter(col => !headers.includes(col));
-        
-        if (missingColumns.length > 0) {
-          setUploadErrors(prev => ({ 
-            ...prev, 
-            [type]: `Missing required columns: ${missingColumns.join(', ')}` 
-          }));
-          return;
-        }
+    // A new provider file picks its profile from its headers unless one was chosen by hand
+    const detecting = type === 'provider' && !importOptions && (!activeProfile.name || activeProfile.detected);
+    let profile = null;
+    let parse = DEFAULT_PARSE_SETTINGS;
+    if (type === 'provider') {
+      profile = chosenProfile !== undefined ? chosenProfile : providerProfiles.find(activeProfile.name);
+      parse = importOptions?.parse || providerProfiles.parseSettings;
+    }
+    if (detecting) {
+      profile = await detectFileProfile(file, providerProfiles.profiles).catch(() => null);
+      // Settings detected for an earlier file don't carry over to this one
+      if (profile) parse = profile.parse;
+      else if (activeProfile.detected) parse = DEFAULT_PARSE_SETTINGS;
+    }
 
-        const processedData = results.data.map(row => ({
-          ...row,
-         
-          transaction_reference: String(row.transaction_reference || '').trim(),
-          amount: row.amount ? parseFloat(row.amount) : null,
-          status: row.status ? String(row.status).toLowerCase().trim() : null
-        })).filter(row => row.transaction_reference); 
-
-        if (type === 'internal') {
-          setInternalData(processedData);
-          setInternalFile(file);
-        } else {
-          setProviderData(processedData);
-          setProviderFile(file);
-        }
-      },
-      error: (error) => {
+    const job = parseFileJob(file, ({ done, total }) => {
+      setParseProgress(prev => ({ ...prev, [type]: total ? done / total : 0 }));
+    }, { ...importOptions, parse });
+    jobsRef.current[type] = job;
+
+    try {
+      const parsed = await job.promise;
+      if (!parsed) return;
+
+      if (parsed.headers.length === 0) {
         setUploadErrors(prev => ({ 
           ...prev, 
-          [type]: `File reading error: ${error.message}` 
+          [type]: 'No columns detected in file' 
         }));
+        return;
+      }
+
+      if (detecting) {
+        // Formats other than CSV are matched on the headers they were read with
+        if (!profile) profile = detectProfile(providerProfiles.profiles, () => parsed.headers);
+        if (profile) {
+          parse = profile.parse;
+          providerProfiles.apply(profile, true);
+        } else {
+          providerProfiles.clearDetected();
+        }
+      }
+
+      setPendingUploads(prev => ({
+        ...prev,
+        [type]: {
+          file,
+          headers: parsed.headers,
+          rows: parsed.rows,
+          parseErrors: parsed.parseErrors || [],
+          importInfo: parsed.importInfo,
+          parse,
+          preset: profile && mappingFitsHeaders(profile.mapping, parsed.headers)
+            ? { name: profile.name, mapping: profile.mapping, fileCurrency: profile.fileCurrency }
+            : null
+        }
+      }));
+    } catch (error) {
+      setUploadErrors(prev => ({ ...prev, [type]: error.message }));
+    } finally {
+      if (jobsRef.current[type] === job) {
+        jobsRef.current[type] = null;
+        setParseProgress(prev => ({ ...prev, [type]: null }));
       }
+    }
+  };
+
+  const cancelJob = (key) => {
+    jobsRef.current[key]?.cancel();
+  };
+
+  const loadedFiles = { internal: internalFile, provider: providerFile, bank: bankFile };
+  const loadedData = { internal: internalData, provider: providerData, bank: bankData };
+
+  const loadRecords = (type, file, records) => {
+    if (type === 'internal') {
+      setInternalData(records);
+      setInternalFile(file);
+    } else if (type === 'provider') {
+      setProviderData(records);
+      setProviderFile(file);
+    } else {
+      setBankData(records);
+      setBankFile(file);
+    }
+  };
+
+  // Column mapping confirmed for a parsed file. Files with rejected rows wait
+  // for the user to proceed with the valid rows; coerced-only files load
+  // straight away and keep the report visible.
+  const handleMappingConfirm = (type, mapping, fileCurrency) => {
+    const { file, rows, parseErrors, importInfo, parse } = pendingUploads[type];
+    const report = validateRows(rows, mapping, fileCurrency, {
+      parseErrors,
+      firstLine: importInfo.firstLine,
+      decimalSeparator: parse.decimalSeparator
     });
+    const pending = report.counts.rejected > 0;
+    if (type === 'provider') providerProfiles.setMapping({ mapping, fileCurrency });
+
+    if (!pending) loadRecords(type, file, report.records);
+    setValidationReports(prev => ({
+      ...prev,
+      [type]: pending || report.issues.length > 0 ? { file, report, format: importInfo.format, pending } : null
+    }));
+    setPendingUploads(prev => ({ ...prev, [type]: null }));
+  };
+
+  const handleValidationProceed = (type) => {
+    const { file, report } = validationReports[type];
+    loadRecords(type, file, report.records);
+    setValidationReports(prev => ({ ...prev, [type]: { ...prev[type], pending: false } }));
+  };
+
+  const handleValidationCancel = (type) => {
+    setValidationReports(prev => ({ ...prev, [type]: null }));
   };
 
+  const exportRejectedRows = (type) => {
+    const { file, report } = validationReports[type];
+    exportToCSV(rejectedRowsForExport(report), `${file.name.replace(/\.[^.]+$/, '')}_rejected_rows.csv`);
+  };
 
-  const performReconciliation = () => {
+  const handleMappingCancel = (type) => {
+    setPendingUploads(prev => ({ ...prev, [type]: null }));
+  };
+
+  const uploadHandlers = {
+    onUpload: handleFileUpload,
+    onCancelParse: cancelJob,
+    onMappingConfirm: handleMappingConfirm,
+    onMappingCancel: handleMappingCancel,
+    onValidationProceed: handleValidationProceed,
+    onValidationCancel: handleValidationCancel,
+    onExportRejected: exportRejectedRows
+  };
+
+  const handleProfileSelect = (name) => {
+    const profile = providerProfiles.find(name);
+    providerProfiles.apply(profile);
+    // A file waiting for its mapping is read again the profile's way
+    const pending = pendingUploads.provider;
+    if (profile && pending) handleFileUpload(pending.file, 'provider', { parse: profile.parse }, profile);
+  };
+
+  const profileHandlers = {
+    onSelect: handleProfileSelect,
+    onSave: providerProfiles.save,
+    onSaveMapping: providerProfiles.saveMapping,
+    onDelete: providerProfiles.remove,
+    onImport: providerProfiles.importJson,
+    onExport: providerProfiles.exportJson,
+    onParseChange: providerProfiles.setParseSettings,
+    onDateFormatChange: (format) => handleRulesChange({ ...rules, dateFormats: { ...rules.dateFormats, provider: format } }),
+    onReread: () => handleFileUpload(pendingUploads.provider.file, 'provider', { parse: providerProfiles.parseSettings })
+  };
+
+  const handleDisplayChange = (settings) => {
+    setDisplaySettingsState(setDisplaySettings(settings));
+  };
+
+  const performReconciliation = async () => {
     if (!internalData.length || !providerData.length) return;
     
     setIsProcessing(true);
     setShowResults(false);
-    
-    // Simulate processing time with a delay
-    setTimeout(() => {
-      // Perform the actual reconciliation
-      const internalMap = new Map();
-      const providerMap = new Map();
-      
-      internalData.forEach(record => {
-        internalMap.set(record.transaction_reference, record);
-      });
-      
-      providerData.forEach(record => {
-        providerMap.set(record.transaction_reference, record);
-      });
-      
-      const matched = [];
-      const internalOnly = [];
-      const providerOnly = [];
-      const amountMismatches = [];
-      const statusMismatches = [];
-      
-      // Check internal records
-      internalData.forEach(internalRecord => {
-        const ref = internalRecord.transaction_reference;
-        const providerRecord = providerMap.get(ref);
-        
-        if (providerRecord) {
-          
-          const matchResult = {
-            transaction_reference: ref,
-            internal: internalRecord,
-            provider: providerRecord,
-            amountMatch: true,
-            statusMatch: true
-          };
-          
-          // Check amount mismatch
-          if (internalRecord.amount !== null && providerRecord.amount !== null) {
-            const amountDiff = Math.abs(internalRecord.amount - providerRecord.amount);
-            if (amountDiff > 0.01) { 
-              matchResult.amountMatch = false;
-              amountMismatches.push(matchResult);
-            }
-          }
-          
-          // Check status mismatch
-          if (internalRecord.status && providerRecord.status) {
-            if (internalRecord.status !== providerRecord.status) {
-              matchResult.statusMatch = false;
-              statusMismatches.push(matchResult);
-            }
-          }
-          
-          matched.push(matchResult);
-        } else {
-          // Only in internal
-          internalOnly.push(internalRecord);
-        }
-      });
-      
-      // Check provider records not in internal
-      providerData.forEach(providerRecord => {
-        const ref = providerRecord.transaction_reference;
-        if (!internalMap.has(ref)) {
-          providerOnly.push(providerRecord);
-        }
-      });
-      
-      setReconciliationResults({
-        matched,
-        internalOnly,
-        providerOnly,
-        amountMismatches,
-        statusMismatches,
-        summary: {
-          totalInternal: internalData.length,
-          totalProvider: providerData.length,
-          matchedCount: matched.length,
-          internalOnlyCount: internalOnly.length,
-          providerOnlyCount: providerOnly.length,
-          amountMismatchCount: amountMismatches.length,
-          statusMismatchCount: statusMismatches.length
-        }
-      });
-      
-      setIsProcessing(false);
-      
+    setProcessingError(null);
+    setProgress({ stage: 'starting', done: 0, total: 0 });
+
+    const options = {
+      rules,
+      period: period.start || period.end ? period : null,
+      bankRecords: bankData.length ? bankData : null
+    };
 
+    try {
+      if (carryFromId) {
+        const previous = await loadSession(carryFromId);
+        if (!previous) throw new Error('the session to carry forward from no longer exists');
+        options.carriedForward = collectCarryForward(previous);
+      }
+
+      const job = reconcileJob(internalData, providerData, options, setProgress);
+      jobsRef.current.reconcile = job;
+      const results = await job.promise;
+      if (!results) return;
+
+      setReconciliationResults(results);
+      setTableFilter(null);
       setTimeout(() => {
         setShowResults(true);
       }, 300);
-    }, 2000); 
+      sessions.persist(sessionRecord(results));
+    } catch (error) {
+      setProcessingError(`Reconciliation failed: ${error.message}`);
+    } finally {
+      jobsRef.current.reconcile = null;
+      setIsProcessing(false);
+      setProgress(null);
+    }
+  };
+
+  // What is saved of a finished run so it can be reopened after a refresh
+  const sessionRecord = (results) => ({
+    name: `${internalFile.name} vs ${providerFile.name}`,
+    files: {
+      internal: { name: internalFile.name, rows: internalData.length },
+      provider: { name: providerFile.name, rows: providerData.length },
+      bank: bankFile ? { name: bankFile.name, rows: bankData.length } : null
+    },
+    rules,
+    period: results.period,
+    internalData,
+    providerData,
+    bankData,
+    results
+  });
+
+  const handleOpenSession = (id) => {
+    cancelAllJobs();
+    sessions.open(id);
+  };
+
+  const handleOpenServerJob = (id) => {
+    cancelAllJobs();
+    sessions.openServerJob(id);
+  };
+
+  // Review decisions on proposed fuzzy / many-to-one matches are saved to the open session
+  const updateResults = (next) => {
+    setReconciliationResults(next);
+    sessions.saveResults(next);
+  };
+
+  const auditProposal = (results, proposalId, action) => {
+    const proposal = reconciliationResults.proposedMatches.find(p => p.id === proposalId);
+    if (!proposal) return results;
+    return recordAudit(results, {
+      user: reviewer.trim() || 'unknown',
+      action,
+      reference: proposal.provider.transaction_reference,
+      details: `Internal ${proposal.internal.map(r => r.transaction_reference).join(', ')}; confidence ${proposal.confidence}`
+    });
+  };
+
+  const handleAcceptProposal = (proposalId) => {
+    updateResults(auditProposal(acceptProposedMatch(reconciliationResults, proposalId), proposalId, 'accept-proposal'));
+  };
+
+  const handleRejectProposal = (proposalId) => {
+    updateResults(auditProposal(rejectProposedMatch(reconciliationResults, proposalId), proposalId, 'reject-proposal'));
+  };
+
+  // Exception workflow: status, reason and note changes are audited
+  const handleReviewerChange = (name) => {
+    setReviewer(name);
+    saveReviewer(name);
+  };
+
+  const handleSaveException = (key, changes) => {
+    const { bucket, row } = selectedRow;
+    const reference = bucket === 'timingDifferences' ? row.record.transaction_reference : row.transaction_reference;
+    updateResults(updateException(reconciliationResults, key, reference, changes, reviewer.trim()));
+    setSelectedRow(null);
+  };
+
+  const showTab = (tab) => {
+    setActiveTab(tab);
+    setTableFilter(null);
+  };
+
+  // A dashboard bar opens its detail tab filtered to the rows it counts
+  const handleChartSelect = (filter) => {
+    setActiveTab(filter.tab);
+    setTableFilter(filter);
+  };
+
+  // Column names of the loaded files, offered when picking fields to compare
+  const loadedColumns = useMemo(() => ({
+    internal: Object.keys(internalData[0] || {}),
+    provider: Object.keys(providerData[0] || {})
+  }), [internalData, providerData]);
+
+  const exceptionSummary = useMemo(() => {
+    if (!reconciliationResults) return null;
+    // Age as of the end of the statement period when there is one
+    const asOf = parseDate(reconciliationResults.period?.end) ?? Date.now();
+    return { ...exceptionCounts(reconciliationResults), aging: exceptionAging(reconciliationResults, asOf) };
+  }, [reconciliationResults]);
+
+  // Resolution status per result tab; null for rows that aren't exceptions
+  const resolutionReaders = useMemo(() => {
+    if (!reconciliationResults) return {};
+    return Object.fromEntries(RESULT_TABS.map(({ key }) => [
+      key,
+      (row) => (isException(key, row) ? getResolution(reconciliationResults, exceptionKey(key, row)).status : null)
+    ]));
+  }, [reconciliationResults]);
+
+  const sourcesTable = useMemo(
+    () => presenceTable(reconciliationResults?.sourcePresence?.sources || []),
+    [reconciliationResults]
+  );
+
+  // Workbook or PDF for sign-off, covering the whole run
+  const downloadReport = async (kind) => {
+    const meta = {
+      sessionName: `${internalFile.name} vs ${providerFile.name}`,
+      files: { internal: internalFile.name, provider: providerFile.name, bank: bankFile?.name },
+      reviewer: reviewer.trim()
+    };
+    const filename = `reconciliation_report_${new Date().toISOString().slice(0, 10)}.${kind}`;
+    try {
+      if (kind === 'pdf') {
+        await downloadPdfReport(reconciliationResults, meta, filename);
+      } else {
+        await downloadWorkbook(reconciliationResults, meta, filename);
+      }
+    } catch (error) {
+      setProcessingError(`Report could not be created: ${error.message}`);
+    }
   };
 
   // Export to CSV
   const exportToCSV = (data, filename, type) => {
-    let csvData;
-    
-    if (type === 'matched') {
-      csvData = data.map(item => ({
-        transaction_reference: item.transaction_reference,
-        internal_amount: item.internal.amount || '',
-        provider_amount: item.provider.amount || '',
-        internal_status: item.internal.status || '',
-        provider_status: item.provider.status || '',
-        amount_match: item.amountMatch ? 'Yes' : 'No',
-        status_match: item.statusMatch ? 'Yes' : 'No'
-      }));
-    } else {
-      csvData = data;
-    }
-    
-    const csv = Papa.unparse(csvData);
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    const url = URL.createObjectURL(blob);
-    link.setAttribute('href', url);
-    link.setAttribute('download', filename);
-    link.style.visibility = 'hidden';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
+    downloadFile(Papa.unparse(exportRows(data, type)), filename, 'text/csv;charset=utf-8;');
   };
 
   // Reset function
   const resetReconciliation = () => {
+    cancelAllJobs();
     setInternalFile(null);
     setProviderFile(null);
+    setBankFile(null);
     setInternalData([]);
     setProviderData([]);
+    setBankData([]);
     setReconciliationResults(null);
     setShowResults(false);
-    setUploadErrors({ internal: null, provider: null });
+    setUploadErrors(EMPTY_SIDES);
+    setPendingUploads(EMPTY_SIDES);
+    setValidationReports(EMPTY_SIDES);
+    setProcessingError(null);
+    sessions.close();
+    setSelectedRow(null);
+    setTableFilter(null);
+    setCarryFromId(null);
+    providerProfiles.reset();
   };
 
-  // Format currency
-const formatCurrency = (amount) => {
-  if (amount === null || amount === undefined) return 'N/A';
-  return new Intl.NumberFormat('en-KE', { 
-    style: 'currency', 
-    currency: 'KES',
-    minimumFractionDigits: 2 
-  }).format(amount);
-};
-
   return (
     <div className="min-h-screen bg-white">
       
@@ -262,114 +546,76 @@ const formatCurrency = (amount) => {
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 py-8 sm:py-12">
        
-        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 sm:gap-8 mb-8 sm:mb-12">
-          {/* Internal System Upload */}
-          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
-            <div className="bg-gradient-to-r from-blue-50 to-blue-100 px-6 py-4 border-b border-blue-200">
-              <h3 className="text-lg sm:text-xl font-semibold text-blue-900 flex items-center">
-                <div className="w-10 h-10 bg-blue-200 rounded-xl flex items-center justify-center mr-3">
-                  <FileText className="text-blue-700" size={20} />
-                </div>
-                Internal System Export
-              </h3>
-            </div>
-            <div className="p-6">
-              <div className="border-2 border-dashed border-gray-200 rounded-xl p-8 text-center hover:border-blue-300 hover:bg-blue-50 transition-all duration-200">
-                <input
-                  type="file"
-                  accept=".csv"
-                  onChange={(e) => handleFileUpload(e.target.files[0], 'internal')}
-                  className="hidden"
-                  id="internal-upload"
-                />
-                <label htmlFor="internal-upload" className="cursor-pointer">
-                  <div className="w-16 h-16 bg-blue-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
-                    <Upload className="text-blue-600" size={28} />
-                  </div>
-                  <p className="text-gray-700 font-medium mb-2">Click to upload CSV file</p>
-                  <p className="text-sm text-gray-500">Must contain: transaction_reference</p>
-                </label>
-              </div>
-              {internalFile && (
-                <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-xl">
-                  <div className="flex items-center">
-                    <div className="w-8 h-8 bg-green-200 rounded-lg flex items-center justify-center mr-3">
-                      <CheckCircle className="text-green-700" size={16} />
-                    </div>
-                    <div>
-                      <p className="text-sm font-medium text-green-800">{internalFile.name}</p>
-                      <p className="text-xs text-green-600">{internalData.length} records loaded</p>
-                    </div>
-                  </div>
-                </div>
-              )}
-              {uploadErrors.internal && (
-                <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-xl">
-                  <div className="flex items-center">
-                    <div className="w-8 h-8 bg-red-200 rounded-lg flex items-center justify-center mr-3">
-                      <AlertTriangle className="text-red-700" size={16} />
-                    </div>
-                    <p className="text-sm text-red-800">{uploadErrors.internal}</p>
-                  </div>
-                </div>
-              )}
-            </div>
-          </div>
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 sm:gap-8 mb-8 sm:mb-12">
+          {UPLOAD_SIDES.map(({ side, title, accent, hint }) => (
+            <UploadCard
+              key={side}
+              side={side}
+              title={title}
+              accent={accent}
+              hint={hint}
+              upload={{
+                progress: parseProgress[side],
+                pending: pendingUploads[side],
+                validation: validationReports[side],
+                file: loadedFiles[side],
+                recordCount: loadedData[side].length,
+                error: uploadErrors[side]
+              }}
+              handlers={uploadHandlers}
+              profiles={providerProfiles.profiles}
+              profile={side === 'provider' ? {
+                profiles: providerProfiles.profiles,
+                selected: activeProfile.name,
+                detected: activeProfile.detected,
+                parse: providerProfiles.parseSettings,
+                dateFormat: rules.dateFormats.provider,
+                canSave: Boolean(providerProfiles.mapping || activeProfile.name),
+                canReread: Boolean(pendingUploads.provider),
+                error: providerProfiles.error
+              } : null}
+              profileHandlers={profileHandlers}
+            />
+          ))}
+        </div>
 
-          {/* Provider Statement Upload */}
-          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
-            <div className="bg-gradient-to-r from-purple-50 to-purple-100 px-6 py-4 border-b border-purple-200">
-              <h3 className="text-lg sm:text-xl font-semibold text-purple-900 flex items-center">
-                <div className="w-10 h-10 bg-purple-200 rounded-xl flex items-center justify-center mr-3">
-                  <FileText className="text-purple-700" size={20} />
-                </div>
-                Provider Statement
-              </h3>
-            </div>
-            <div className="p-6">
-              <div className="border-2 border-dashed border-gray-200 rounded-xl p-8 text-center hover:border-purple-300 hover:bg-purple-50 transition-all duration-200">
-                <input
-                  type="file"
-                  accept=".csv"
-                  onChange={(e) => handleFileUpload(e.target.files[0], 'provider')}
-                  className="hidden"
-                  id="provider-upload"
-                />
-                <label htmlFor="provider-upload" className="cursor-pointer">
-                  <div className="w-16 h-16 bg-purple-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
-                    <Upload className="text-purple-600" size={28} />
-                  </div>
-                  <p className="text-gray-700 font-medium mb-2">Click to upload CSV file</p>
-                  <p className="text-sm text-gray-500">Must contain: transaction_reference</p>
-                </label>
-              </div>
-              {providerFile && (
-                <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-xl">
-                  <div className="flex items-center">
-                    <div className="w-8 h-8 bg-green-200 rounded-lg flex items-center justify-center mr-3">
-                      <CheckCircle className="text-green-700" size={16} />
-                    </div>
-                    <div>
-                      <p className="text-sm font-medium text-green-800">{providerFile.name}</p>
-                      <p className="text-xs text-green-600">{providerData.length} records loaded</p>
-                    </div>
-                  </div>
-                </div>
-              )}
-              {uploadErrors.provider && (
-                <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-xl">
-                  <div className="flex items-center">
-                    <div className="w-8 h-8 bg-red-200 rounded-lg flex items-center justify-center mr-3">
-                      <AlertTriangle className="text-red-700" size={16} />
-                    </div>
-                    <p className="text-sm text-red-800">{uploadErrors.provider}</p>
-                  </div>
-                </div>
-              )}
-            </div>
-          </div>
+        <RulesPanel
+          key={rulesVersion}
+          rules={rules}
+          onChange={handleRulesChange}
+          displaySettings={displaySettings}
+          onDisplayChange={handleDisplayChange}
+          columns={loadedColumns}
+        />
+
+        <SessionHistory
+          activeSessionId={sessions.sessionId}
+          refreshKey={sessions.version}
+          onOpen={handleOpenSession}
+        />
+
+        <ServerJobs onOpen={handleOpenServerJob} />
+
+        {/* Statement Period */}
+        <div className="flex flex-col sm:flex-row items-center justify-center gap-3 mb-6 text-sm text-gray-700">
+          <span className="font-medium">Statement period (optional):</span>
+          <input
+            type="date"
+            value={period.start}
+            onChange={(e) => setPeriod(prev => ({ ...prev, start: e.target.value }))}
+            className="border border-gray-200 rounded-lg px-3 py-2"
+          />
+          <span>to</span>
+          <input
+            type="date"
+            value={period.end}
+            onChange={(e) => setPeriod(prev => ({ ...prev, end: e.target.value }))}
+            className="border border-gray-200 rounded-lg px-3 py-2"
+          />
         </div>
 
+        <CarryForwardPicker value={carryFromId} onChange={setCarryFromId} refreshKey={sessions.version} />
+
         {/* Action Buttons */}
         <div className="flex flex-col sm:flex-row justify-center space-y-4 sm:space-y-0 sm:space-x-6 mb-8 sm:mb-12">
           <button
@@ -389,26 +635,42 @@ const formatCurrency = (amount) => {
           </button>
         </div>
 
+        {processingError && (
+          <div className="mb-8 p-4 bg-red-50 border border-red-200 rounded-xl flex items-center">
+            <div className="w-8 h-8 bg-red-200 rounded-lg flex items-center justify-center mr-3">
+              <AlertTriangle className="text-red-700" size={16} />
+            </div>
+            <p className="text-sm text-red-800">{processingError}</p>
+          </div>
+        )}
+
         {/* Loading State */}
         {isProcessing && (
           <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-12">
             <div className="flex flex-col items-center justify-center space-y-6">
-              <div className="relative">
-                <div className="w-20 h-20 bg-gradient-to-r from-blue-100 to-blue-200 rounded-2xl flex items-center justify-center">
-                  <RefreshCw className="animate-spin text-blue-600" size={40} />
-                </div>
-                <div className="absolute inset-0 flex items-center justify-center">
-                  <div className="w-12 h-12 border-4 border-blue-200 border-t-blue-600 rounded-full animate-spin"></div>
-                </div>
+              <div className="w-20 h-20 bg-gradient-to-r from-blue-100 to-blue-200 rounded-2xl flex items-center justify-center">
+                <RefreshCw className="animate-spin text-blue-600" size={40} />
               </div>
-              <div className="text-center">
+              <div className="text-center w-full max-w-xl">
                 <h3 className="text-2xl font-bold text-gray-900 mb-3">Processing Reconciliation</h3>
-                <p className="text-gray-600 text-lg">Analyzing transaction data and identifying discrepancies...</p>
-                <div className="mt-6 flex space-x-2">
-                  <div className="w-2 h-2 bg-blue-400 rounded-full animate-bounce"></div>
-                  <div className="w-2 h-2 bg-blue-400 rounded-full animate-bounce" style={{animationDelay: '0.1s'}}></div>
-                  <div className="w-2 h-2 bg-blue-400 rounded-full animate-bounce" style={{animationDelay: '0.2s'}}></div>
+                <p className="text-gray-600 text-lg">{PROGRESS_STAGES[progress?.stage] || PROGRESS_STAGES.starting}</p>
+                <div className="mt-6 w-full h-3 bg-blue-100 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-gradient-to-r from-blue-500 to-blue-700 transition-all duration-200"
+                    style={{ width: `${progress?.total ? Math.round((progress.done / progress.total) * 100) : 0}%` }}
+                  ></div>
                 </div>
+                {progress?.total > 0 && (
+                  <p className="mt-2 text-sm text-gray-500">
+                    {progress.done.toLocaleString()} of {progress.total.toLocaleString()} records
+                  </p>
+                )}
+                <button
+                  onClick={() => cancelJob('reconcile')}
+                  className="mt-6 inline-flex items-center px-4 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+                >
+                  <XCircle size={14} className="mr-1" /> Cancel
+                </button>
               </div>
             </div>
           </div>
@@ -420,7 +682,7 @@ const formatCurrency = (amount) => {
             showResults ? 'opacity-100 translate-y-0' : 'opacity-0 translate-y-8'
           }`}>
             {/* Summary Cards */}
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4 sm:gap-6">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-6 gap-4 sm:gap-6">
               <div className="bg-gradient-to-br from-green-50 to-green-100 p-4 sm:p-6 rounded-2xl border border-green-200 shadow-sm hover:shadow-md transition-all duration-300">
                 <div className="flex items-center">
                   <div className="w-10 h-10 sm:w-12 sm:h-12 bg-green-200 rounded-xl flex items-center justify-center mr-3 sm:mr-4">
@@ -465,173 +727,202 @@ const formatCurrency = (amount) => {
                   <div>
                     <p className="text-xs sm:text-sm font-medium text-blue-700 mb-1">Mismatches</p>
                     <p className="text-xl sm:text-2xl lg:text-3xl font-bold text-blue-900">
-                      {reconciliationResults.summary.amountMismatchCount + reconciliationResults.summary.statusMismatchCount}
+                      {reconciliationResults.summary.amountMismatchCount + reconciliationResults.summary.statusMismatchCount + reconciliationResults.summary.currencyMismatchCount + reconciliationResults.summary.dateMismatchCount + (reconciliationResults.summary.fieldMismatchCount || 0)}
                     </p>
                   </div>
                 </div>
               </div>
-            </div>
-
-            {/* Detailed Results */}
-            <div className="grid grid-cols-1 xl:grid-cols-3 gap-6 sm:gap-8">
-              {/* Matched Transactions */}
-              <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
-                <div className="bg-gradient-to-r from-green-50 to-green-100 px-6 py-4 border-b border-green-200">
-                  <div className="flex items-center justify-between">
-                    <h3 className="font-semibold text-green-900 flex items-center text-lg">
-                      <div className="w-8 h-8 bg-green-200 rounded-lg flex items-center justify-center mr-3">
-                        <CheckCircle size={16} />
-                      </div>
-                      Matched Transactions ({reconciliationResults.matched.length})
-                    </h3>
-                    <button
-                      onClick={() => exportToCSV(reconciliationResults.matched, 'matched_transactions.csv', 'matched')}
-                      className="text-green-600 hover:text-green-800 transition-colors p-2 hover:bg-green-100 rounded-lg"
-                    >
-                      <Download size={16} />
-                    </button>
+              
+              <div className="bg-gradient-to-br from-orange-50 to-orange-100 p-4 sm:p-6 rounded-2xl border border-orange-200 shadow-sm hover:shadow-md transition-all duration-300">
+                <div className="flex items-center">
+                  <div className="w-10 h-10 sm:w-12 sm:h-12 bg-orange-200 rounded-xl flex items-center justify-center mr-3 sm:mr-4">
+                    <Copy className="text-orange-700" size={20} />
+                  </div>
+                  <div>
+                    <p className="text-xs sm:text-sm font-medium text-orange-700 mb-1">Duplicates</p>
+                    <p className="text-xl sm:text-2xl lg:text-3xl font-bold text-orange-900">
+                      {reconciliationResults.summary.internalDuplicateCount + reconciliationResults.summary.providerDuplicateCount}
+                    </p>
                   </div>
-                </div>
-                <div className="p-6 max-h-80 sm:max-h-96 overflow-y-auto">
-                  {reconciliationResults.matched.length === 0 ? (
-                    <div className="text-center py-8">
-                      <div className="w-16 h-16 bg-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
-                        <CheckCircle className="text-gray-400" size={24} />
-                      </div>
-                      <p className="text-gray-500 text-sm">No matched transactions</p>
-                    </div>
-                  ) : (
-                    <div className="space-y-3">
-                      {reconciliationResults.matched.map((match, index) => (
-                        <div key={index} className={`p-4 rounded-xl border ${
-                          !match.amountMatch || !match.statusMatch 
-                            ? 'border-yellow-200 bg-yellow-50' 
-                            : 'border-gray-200 bg-gray-50'
-                        } hover:shadow-sm transition-all duration-200`}>
-                          <div className="font-mono text-sm font-medium text-gray-900 mb-2 break-all">
-                            {match.transaction_reference}
-                          </div>
-                          {(!match.amountMatch || !match.statusMatch) && (
-                            <div className="text-xs space-y-2">
-                              {!match.amountMatch && (
-                                <div className="flex items-center text-yellow-700">
-                                  <div className="w-2 h-2 bg-yellow-400 rounded-full mr-2"></div>
-                                  Amount: {formatCurrency(match.internal.amount)} vs {formatCurrency(match.provider.amount)}
-                                </div>
-                              )}
-                              {!match.statusMatch && (
-                                <div className="flex items-center text-yellow-700">
-                                  <div className="w-2 h-2 bg-yellow-400 rounded-full mr-2"></div>
-                                  Status: {match.internal.status} vs {match.provider.status}
-                                </div>
-                              )}
-                            </div>
-                          )}
-                        </div>
-                      ))}
-                    </div>
-                  )}
                 </div>
               </div>
 
-              {/* Internal Only */}
-              <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
-                <div className="bg-gradient-to-r from-yellow-50 to-yellow-100 px-6 py-4 border-b border-yellow-200">
-                  <div className="flex items-center justify-between">
-                    <h3 className="font-semibold text-yellow-900 flex items-center text-lg">
-                      <div className="w-8 h-8 bg-yellow-200 rounded-lg flex items-center justify-center mr-3">
-                        <AlertTriangle size={16} />
-                      </div>
-                      Internal Only ({reconciliationResults.internalOnly.length})
-                    </h3>
-                    <button
-                      onClick={() => exportToCSV(reconciliationResults.internalOnly, 'internal_only_transactions.csv')}
-                      className="text-yellow-600 hover:text-yellow-800 transition-colors p-2 hover:bg-yellow-100 rounded-lg"
-                    >
-                      <Download size={16} />
-                    </button>
+              <div className="bg-gradient-to-br from-gray-50 to-gray-100 p-4 sm:p-6 rounded-2xl border border-gray-200 shadow-sm hover:shadow-md transition-all duration-300">
+                <div className="flex items-center">
+                  <div className="w-10 h-10 sm:w-12 sm:h-12 bg-gray-200 rounded-xl flex items-center justify-center mr-3 sm:mr-4">
+                    <ClipboardList className="text-gray-700" size={20} />
+                  </div>
+                  <div>
+                    <p className="text-xs sm:text-sm font-medium text-gray-700 mb-1">Open / Resolved</p>
+                    <p className="text-xl sm:text-2xl lg:text-3xl font-bold text-gray-900">
+                      {exceptionSummary.open} / {exceptionSummary.resolved}
+                    </p>
                   </div>
-                </div>
-                <div className="p-6 max-h-80 sm:max-h-96 overflow-y-auto">
-                  {reconciliationResults.internalOnly.length === 0 ? (
-                    <div className="text-center py-8">
-                      <div className="w-16 h-16 bg-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
-                        <CheckCircle className="text-gray-400" size={24} />
-                      </div>
-                      <p className="text-gray-500 text-sm">No internal-only transactions</p>
-                    </div>
-                  ) : (
-                    <div className="space-y-3">
-                      {reconciliationResults.internalOnly.map((record, index) => (
-                        <div key={index} className="p-4 rounded-xl border border-gray-200 bg-gray-50 hover:shadow-sm transition-all duration-200">
-                          <div className="font-mono text-sm font-medium text-gray-900 mb-2 break-all">
-                            {record.transaction_reference}
-                          </div>
-                          <div className="text-xs text-gray-600 space-y-1">
-                            {record.amount && <div>Amount: {formatCurrency(record.amount)}</div>}
-                            {record.status && <div>Status: {record.status}</div>}
-                          </div>
-                        </div>
-                      ))}
-                    </div>
-                  )}
                 </div>
               </div>
+            </div>
 
-              {/* Provider Only */}
-              <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
-                <div className="bg-gradient-to-r from-red-50 to-red-100 px-6 py-4 border-b border-red-200">
-                  <div className="flex items-center justify-between">
-                    <h3 className="font-semibold text-red-900 flex items-center text-lg">
-                      <div className="w-8 h-8 bg-red-200 rounded-lg flex items-center justify-center mr-3">
-                        <XCircle size={16} />
-                      </div>
-                      Provider Only ({reconciliationResults.providerOnly.length})
-                    </h3>
-                    <button
-                      onClick={() => exportToCSV(reconciliationResults.providerOnly, 'provider_only_transactions.csv')}
-                      className="text-red-600 hover:text-red-800 transition-colors p-2 hover:bg-red-100 rounded-lg"
-                    >
-                      <Download size={16} />
-                    </button>
-                  </div>
-                </div>
-                <div className="p-6 max-h-80 sm:max-h-96 overflow-y-auto">
-                  {reconciliationResults.providerOnly.length === 0 ? (
-                    <div className="text-center py-8">
-                      <div className="w-16 h-16 bg-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
-                        <CheckCircle className="text-gray-400" size={24} />
-                      </div>
-                      <p className="text-gray-500 text-sm">No provider-only transactions</p>
-                    </div>
-                  ) : (
-                    <div className="space-y-3">
-                      {reconciliationResults.providerOnly.map((record, index) => (
-                        <div key={index} className="p-4 rounded-xl border border-gray-200 bg-gray-50 hover:shadow-sm transition-all duration-200">
-                          <div className="font-mono text-sm font-medium text-gray-900 mb-2 break-all">
-                            {record.transaction_reference}
-                          </div>
-                          <div className="text-xs text-gray-600 space-y-1">
-                            {record.amount && <div>Amount: {formatCurrency(record.amount)}</div>}
-                            {record.status && <div>Status: {record.status}</div>}
-                          </div>
-                        </div>
-                      ))}
-                    </div>
-                  )}
-                </div>
+            {/* Proposed Matches */}
+            {reconciliationResults.proposedMatches.length > 0 && (
+              <ProposedMatchesPanel
+                proposals={reconciliationResults.proposedMatches}
+                onAccept={handleAcceptProposal}
+                onReject={handleRejectProposal}
+              />
+            )}
+
+            {/* Detailed Results */}
+            <div>
+              <div className="flex flex-wrap gap-2 mb-4">
+                <button
+                  onClick={() => showTab('dashboard')}
+                  className={`px-4 py-2 rounded-xl text-sm font-semibold transition-all duration-200 flex items-center ${
+                    activeTab === 'dashboard' ? 'bg-gray-900 text-white shadow-sm' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  <BarChart3 size={14} className="mr-1" /> Dashboard
+                </button>
+                {RESULT_TABS.filter(tab => tabRows(tab, reconciliationResults)).map(tab => (
+                  <button
+                    key={tab.key}
+                    onClick={() => showTab(tab.key)}
+                    className={`px-4 py-2 rounded-xl text-sm font-semibold transition-all duration-200 ${
+                      activeTab === tab.key ? 'bg-gray-900 text-white shadow-sm' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                    }`}
+                  >
+                    {tab.label} ({tabRows(tab, reconciliationResults).length})
+                  </button>
+                ))}
               </div>
+
+              {activeTab === 'dashboard' && (
+                <AnalyticsDashboard results={reconciliationResults} onSelect={handleChartSelect} />
+              )}
+              {activeTab === 'matched' && (
+                <ResultTable
+                  key="matched"
+                  resolutionOf={resolutionReaders.matched}
+                  filter={tableFilter}
+                  onClearFilter={() => setTableFilter(null)}
+                  onRowClick={(row) => setSelectedRow({ bucket: 'matched', row })}
+                  title="Matched Transactions"
+                  icon={<CheckCircle size={16} />}
+                  accent="green"
+                  rows={reconciliationResults.matched}
+                  table={matchedTable}
+                  emptyMessage="No matched transactions"
+                  onExport={() => exportToCSV(reconciliationResults.matched, 'matched_transactions.csv', 'matched')}
+                />
+              )}
+              {activeTab === 'internalOnly' && (
+                <ResultTable
+                  key="internalOnly"
+                  resolutionOf={resolutionReaders.internalOnly}
+                  filter={tableFilter}
+                  onClearFilter={() => setTableFilter(null)}
+                  onRowClick={(row) => setSelectedRow({ bucket: 'internalOnly', row })}
+                  title="Internal Only"
+                  icon={<AlertTriangle size={16} />}
+                  accent="yellow"
+                  rows={reconciliationResults.internalOnly}
+                  table={recordTable}
+                  emptyMessage="No internal-only transactions"
+                  onExport={() => exportToCSV(reconciliationResults.internalOnly, 'internal_only_transactions.csv', 'records')}
+                />
+              )}
+              {activeTab === 'providerOnly' && (
+                <ResultTable
+                  key="providerOnly"
+                  resolutionOf={resolutionReaders.providerOnly}
+                  filter={tableFilter}
+                  onClearFilter={() => setTableFilter(null)}
+                  onRowClick={(row) => setSelectedRow({ bucket: 'providerOnly', row })}
+                  title="Provider Only"
+                  icon={<XCircle size={16} />}
+                  accent="red"
+                  rows={reconciliationResults.providerOnly}
+                  table={recordTable}
+                  emptyMessage="No provider-only transactions"
+                  onExport={() => exportToCSV(reconciliationResults.providerOnly, 'provider_only_transactions.csv', 'records')}
+                />
+              )}
+              {activeTab === 'timingDifferences' && (
+                <ResultTable
+                  key="timingDifferences"
+                  resolutionOf={resolutionReaders.timingDifferences}
+                  filter={tableFilter}
+                  onClearFilter={() => setTableFilter(null)}
+                  onRowClick={(row) => setSelectedRow({ bucket: 'timingDifferences', row })}
+                  title="Timing Differences"
+                  icon={<Clock size={16} />}
+                  accent="blue"
+                  rows={reconciliationResults.timingDifferences}
+                  table={timingTable}
+                  emptyMessage={reconciliationResults.period ? 'No timing differences' : 'Set a statement period to classify timing differences'}
+                  onExport={() => exportToCSV(reconciliationResults.timingDifferences, 'timing_differences.csv', 'timing')}
+                />
+              )}
+              {activeTab === 'sourcePresence' && reconciliationResults.sourcePresence && (
+                <ResultTable
+                  key="sourcePresence"
+                  title="Source Presence"
+                  icon={<Layers size={16} />}
+                  accent="teal"
+                  rows={reconciliationResults.sourcePresence.rows}
+                  table={sourcesTable}
+                  emptyMessage="No references in any source"
+                  onExport={() => exportToCSV(reconciliationResults.sourcePresence.rows, 'source_presence.csv', 'presence')}
+                />
+              )}
             </div>
 
+            {reconciliationResults.settlement && (
+              <SettlementPanel
+                settlement={reconciliationResults.settlement}
+                onExport={() => exportToCSV(reconciliationResults.settlement.batches, 'bank_settlements.csv', 'settlements')}
+              />
+            )}
+
+            {reconciliationResults.reversals?.reversals.length > 0 && (
+              <ReversalsPanel
+                reversals={reconciliationResults.reversals}
+                onExport={() => exportToCSV(reconciliationResults.reversals.reversals, 'reversals.csv', 'reversals')}
+                onExportPositions={() => exportToCSV(reconciliationResults.reversals.positions, 'net_positions.csv', 'positions')}
+              />
+            )}
+
+            <DuplicatesPanel
+              internal={reconciliationResults.internalDuplicates}
+              provider={reconciliationResults.providerDuplicates}
+              onExport={() => exportToCSV([
+                ...reconciliationResults.internalDuplicates.map(group => ({ ...group, side: 'internal' })),
+                ...reconciliationResults.providerDuplicates.map(group => ({ ...group, side: 'provider' }))
+              ], 'duplicate_transactions.csv', 'duplicates')}
+            />
+
             {/* Reconciliation Summary */}
             <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden">
-              <div className="bg-gradient-to-r from-gray-50 to-gray-100 px-6 py-4 border-b border-gray-200">
+              <div className="bg-gradient-to-r from-gray-50 to-gray-100 px-6 py-4 border-b border-gray-200 flex flex-wrap items-center justify-between gap-3">
                 <h3 className="text-xl font-semibold text-gray-900 flex items-center">
                   <div className="w-8 h-8 bg-gray-200 rounded-lg flex items-center justify-center mr-3">
                     <FileText size={16} />
                   </div>
                   Reconciliation Summary
                 </h3>
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => downloadReport('xlsx')}
+                    className="flex items-center px-3 py-2 text-sm rounded-lg bg-white border border-gray-200 hover:bg-gray-100 text-gray-700"
+                  >
+                    <Download size={14} className="mr-1" /> Excel report
+                  </button>
+                  <button
+                    onClick={() => downloadReport('pdf')}
+                    className="flex items-center px-3 py-2 text-sm rounded-lg bg-white border border-gray-200 hover:bg-gray-100 text-gray-700"
+                  >
+                    <Download size={14} className="mr-1" /> PDF report
+                  </button>
+                </div>
               </div>
               <div className="p-6">
                 <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -651,10 +942,14 @@ const formatCurrency = (amount) => {
                         <span className="text-gray-600">Provider Records:</span>
                         <span className="font-semibold text-gray-900">{reconciliationResults.summary.totalProvider}</span>
                       </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">Timing Differences:</span>
+                        <span className="font-semibold text-gray-900">{reconciliationResults.summary.timingDifferenceCount}</span>
+                      </div>
                       <div className="flex justify-between items-center">
                         <span className="text-gray-600">Match Rate:</span>
                         <span className="font-semibold text-blue-600">{
-                          Math.round((reconciliationResults.summary.matchedCount / Math.max(reconciliationResults.summary.totalInternal, reconciliationResults.summary.totalProvider)) * 100)
+                          matchRate(reconciliationResults.summary)
                         }%</span>
                       </div>
                     </div>
@@ -676,22 +971,193 @@ const formatCurrency = (amount) => {
                         <span className="font-semibold text-red-600">{reconciliationResults.summary.statusMismatchCount}</span>
                       </div>
                       <div className="flex justify-between items-center">
-                        <span className="text-gray-600">Total Issues:</span>
+                        <span className="text-gray-600">Currency Mismatches:</span>
+                        <span className="font-semibold text-red-600">{reconciliationResults.summary.currencyMismatchCount}</span>
+                      </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">Date Mismatches:</span>
+                        <span className="font-semibold text-red-600">{reconciliationResults.summary.dateMismatchCount}</span>
+                      </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">Field Mismatches:</span>
+                        <span className="font-semibold text-red-600">{reconciliationResults.summary.fieldMismatchCount || 0}</span>
+                      </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">Reversal Exceptions:</span>
+                        <span className="font-semibold text-red-600">{reconciliationResults.summary.reversalExceptionCount || 0}</span>
+                      </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">Duplicate References:</span>
                         <span className="font-semibold text-red-600">{
-                          reconciliationResults.summary.internalOnlyCount + 
-                          reconciliationResults.summary.providerOnlyCount + 
-                          reconciliationResults.summary.amountMismatchCount + 
-                          reconciliationResults.summary.statusMismatchCount
+                          reconciliationResults.summary.internalDuplicateCount + 
+                          reconciliationResults.summary.providerDuplicateCount
                         }</span>
                       </div>
+                      <div className="flex justify-between items-center">
+                        <span className="text-gray-600">Total Issues:</span>
+                        <span className="font-semibold text-red-600">{discrepancyCount(reconciliationResults.summary)}</span>
+                      </div>
+                    </div>
+                  </div>
+                </div>
+                {typeof reconciliationResults.summary.totalInternalValue === 'number' && (
+                  <div className="bg-gray-50 rounded-xl p-6 mt-6">
+                    <h4 className="font-semibold text-gray-800 mb-4 flex items-center">
+                      <div className="w-6 h-6 bg-yellow-200 rounded-lg flex items-center justify-center mr-2">
+                        <div className="w-2 h-2 bg-yellow-600 rounded-full"></div>
+                      </div>
+                      Value Summary
+                    </h4>
+                    <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-5 gap-4 text-sm">
+                      {[
+                        ['Internal Total', reconciliationResults.summary.totalInternalValue],
+                        ['Provider Total', reconciliationResults.summary.totalProviderValue],
+                        ['Net Difference', reconciliationResults.summary.netDifference, reconciliationResults.summary.netDifference !== 0],
+                        ['Matched Value', reconciliationResults.summary.matchedInternalValue],
+                        ['Internal Only', reconciliationResults.summary.internalOnlyValue, reconciliationResults.summary.internalOnlyValue !== 0],
+                        ['Provider Only', reconciliationResults.summary.providerOnlyValue, reconciliationResults.summary.providerOnlyValue !== 0],
+                        ['Timing Differences', reconciliationResults.summary.timingDifferenceValue],
+                        ['Amount Variances', reconciliationResults.summary.amountVarianceValue, reconciliationResults.summary.amountVarianceValue !== 0],
+                        ['Value at Risk', reconciliationResults.summary.valueAtRisk, reconciliationResults.summary.valueAtRisk !== 0]
+                      ].map(([label, value, flagged]) => (
+                        <div key={label}>
+                          <span className="block text-gray-600">{label}</span>
+                          <span className={`font-semibold ${flagged ? 'text-red-600' : 'text-gray-900'}`}>{formatCurrency(value)}</span>
+                        </div>
+                      ))}
+                      <div>
+                        <span className="block text-gray-600">Value Match Rate</span>
+                        <span className="font-semibold text-blue-600">{valueMatchRate(reconciliationResults.summary)}%</span>
+                      </div>
+                    </div>
+                    {Object.keys(reconciliationResults.summary.currencyTotals).length > 1 && (
+                      <p className="text-xs text-gray-500 mt-3">
+                        These values add amounts across currencies; use Totals by Currency below to tie out each ledger.
+                      </p>
+                    )}
+                  </div>
+                )}
+                <div className="bg-gray-50 rounded-xl p-6 mt-6">
+                  <h4 className="font-semibold text-gray-800 mb-4 flex items-center">
+                    <div className="w-6 h-6 bg-green-200 rounded-lg flex items-center justify-center mr-2">
+                      <div className="w-2 h-2 bg-green-600 rounded-full"></div>
+                    </div>
+                    Totals by Currency
+                  </h4>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-left">
+                      <thead>
+                        <tr className="text-gray-500 border-b border-gray-200">
+                          <th className="py-2 pr-4 font-medium">Currency</th>
+                          <th className="py-2 pr-4 font-medium">Internal</th>
+                          <th className="py-2 pr-4 font-medium">Provider</th>
+                          <th className="py-2 pr-4 font-medium">Difference</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(reconciliationResults.summary.currencyTotals).map(([currency, totals]) => (
+                          <tr key={currency} className="border-b border-gray-100">
+                            <td className="py-2 pr-4 font-semibold text-gray-900">{currency || 'Unspecified'}</td>
+                            <td className="py-2 pr-4 text-gray-700">
+                              {formatCurrency(totals.internalAmount, currency)} <span className="text-gray-400">({totals.internalCount})</span>
+                            </td>
+                            <td className="py-2 pr-4 text-gray-700">
+                              {formatCurrency(totals.providerAmount, currency)} <span className="text-gray-400">({totals.providerCount})</span>
+                            </td>
+                            <td className={`py-2 pr-4 font-semibold ${Math.abs(totals.internalAmount - totals.providerAmount) > 0.005 ? 'text-red-600' : 'text-green-700'}`}>
+                              {formatCurrency(totals.internalAmount - totals.providerAmount, currency)}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+                <div className="bg-gray-50 rounded-xl p-6 mt-6">
+                  <h4 className="font-semibold text-gray-800 mb-4 flex items-center">
+                    <div className="w-6 h-6 bg-purple-200 rounded-lg flex items-center justify-center mr-2">
+                      <div className="w-2 h-2 bg-purple-600 rounded-full"></div>
+                    </div>
+                    Exception Workflow
+                  </h4>
+                  <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+                    <div className="flex-1 grid grid-cols-3 gap-3 text-sm">
+                      <div>
+                        <span className="block text-gray-600">Exceptions</span>
+                        <span className="font-semibold text-gray-900">{exceptionSummary.total}</span>
+                      </div>
+                      <div>
+                        <span className="block text-gray-600">Open</span>
+                        <span className="font-semibold text-red-600">{exceptionSummary.open}</span>
+                      </div>
+                      <div>
+                        <span className="block text-gray-600">Resolved</span>
+                        <span className="font-semibold text-green-700">{exceptionSummary.resolved}</span>
+                      </div>
+                    </div>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => exportToCSV(exceptionsForExport(reconciliationResults), 'exceptions.csv')}
+                        className="flex items-center px-3 py-2 text-sm rounded-lg bg-white border border-gray-200 hover:bg-gray-100 text-gray-700"
+                      >
+                        <Download size={14} className="mr-1" /> Exceptions
+                      </button>
+                      <button
+                        onClick={() => exportToCSV(auditLogForExport(reconciliationResults), 'audit_log.csv')}
+                        className="flex items-center px-3 py-2 text-sm rounded-lg bg-white border border-gray-200 hover:bg-gray-100 text-gray-700"
+                      >
+                        <Download size={14} className="mr-1" /> Audit log
+                      </button>
                     </div>
                   </div>
+                  <div className="mt-4 grid grid-cols-3 gap-3 text-sm">
+                    {AGE_BUCKETS.map(bucket => (
+                      <div key={bucket.key}>
+                        <span className="block text-gray-600">Open {bucket.label}</span>
+                        <span className="font-semibold text-gray-900">{exceptionSummary.aging[bucket.key]}</span>
+                      </div>
+                    ))}
+                  </div>
+                  {reconciliationResults.carryForward && (
+                    <p className="text-sm text-purple-700 mt-3">
+                      {reconciliationResults.summary.carriedForwardCount} open exception(s) carried forward from
+                      “{reconciliationResults.carryForward.source.name}”; {reconciliationResults.summary.carriedClearedCount} now
+                      match and were cleared automatically.
+                    </p>
+                  )}
+                  <p className="text-xs text-gray-500 mt-3">Click a row in the tables above to set its status, reason code and note.</p>
+                </div>
+                <div className="bg-gray-50 rounded-xl p-6 mt-6">
+                  <h4 className="font-semibold text-gray-800 mb-4 flex items-center">
+                    <div className="w-6 h-6 bg-gray-200 rounded-lg flex items-center justify-center mr-2">
+                      <div className="w-2 h-2 bg-gray-600 rounded-full"></div>
+                    </div>
+                    Rules Applied
+                  </h4>
+                  <ul className="space-y-1 text-sm text-gray-600">
+                    {describeRules(reconciliationResults.rules).map(line => (
+                      <li key={line}>{line}</li>
+                    ))}
+                  </ul>
                 </div>
               </div>
             </div>
           </div>
         )}
 
+        {selectedRow && reconciliationResults && (
+          <ExceptionDrawer
+            key={exceptionKey(selectedRow.bucket, selectedRow.row)}
+            bucket={selectedRow.bucket}
+            row={selectedRow.row}
+            results={reconciliationResults}
+            reviewer={reviewer}
+            onReviewerChange={handleReviewerChange}
+            onSave={handleSaveException}
+            onClose={() => setSelectedRow(null)}
+          />
+        )}
+
         {/* Instructions */}
         {!reconciliationResults && !isProcessing && (
           <div className="bg-gradient-to-br from-blue-50 to-blue-100 border border-blue-200 rounded-2xl p-8 mt-8 sm:mt-12">
@@ -705,13 +1171,13 @@ const formatCurrency = (amount) => {
                   <div className="w-6 h-6 bg-blue-300 rounded-full flex items-center justify-center mr-3 mt-0.5">
                     <span className="text-blue-800 text-xs font-bold">1</span>
                   </div>
-                  <p>Upload your Internal System Export CSV file (must contain 'transaction_reference' column)</p>
+                  <p>Upload your Internal System Export (CSV, Excel, JSON or fixed-width text) and confirm which columns hold the reference, amount and status</p>
                 </div>
                 <div className="flex items-start">
                   <div className="w-6 h-6 bg-blue-300 rounded-full flex items-center justify-center mr-3 mt-0.5">
                     <span className="text-blue-800 text-xs font-bold">2</span>
                   </div>
-                  <p>Upload your Payment Processor Statement CSV file (must contain 'transaction_reference' column)</p>
+                  <p>Upload your Payment Processor Statement (CSV, Excel, JSON or fixed-width text) and confirm which columns hold the reference, amount and status. Optionally add the bank statement to check the provider's settlement payouts</p>
                 </div>
                 <div className="flex items-start">
                   <div className="w-6 h-6 bg-blue-300 rounded-full flex items-center justify-center mr-3 mt-0.5">
@@ -726,7 +1192,7 @@ const formatCurrency = (amount) => {
                   <p>Review results and export discrepancies for further investigation</p>
                 </div>
                 <div className="mt-6 p-4 bg-blue-200 rounded-xl">
-                  <p className="font-semibold text-blue-900">💡 Optional columns: amount, status (for enhanced mismatch detection)</p>
+                  <p className="font-semibold text-blue-900">💡 Headers like “Receipt No.” or “Paid In” are detected automatically. Save a mapping as a profile to reuse it.</p>
                 </div>
               </div>
             </div>
@@ -0,0 +1,279 @@
+import React, { useMemo, useState } from 'react';
+import { Download, Search, ArrowUp, ArrowDown, Columns, CheckCircle, X } from 'lucide-react';
+import { MISMATCH_TYPES } from '../lib/resultColumns';
+import { SEVERITIES } from '../lib/rules';
+import { EXCEPTION_STATUSES } from '../lib/exceptions';
+
+const ROW_HEIGHT = 40;
+const VIEWPORT_HEIGHT = 384;
+const OVERSCAN = 10;
+const COLUMN_WIDTH = 160;
+
+const ACCENTS = {
+  green: {
+    header: 'from-green-50 to-green-100 border-green-200 text-green-900',
+    icon: 'bg-green-200',
+    button: 'text-green-600 hover:text-green-800 hover:bg-green-100'
+  },
+  yellow: {
+    header: 'from-yellow-50 to-yellow-100 border-yellow-200 text-yellow-900',
+    icon: 'bg-yellow-200',
+    button: 'text-yellow-600 hover:text-yellow-800 hover:bg-yellow-100'
+  },
+  red: {
+    header: 'from-red-50 to-red-100 border-red-200 text-red-900',
+    icon: 'bg-red-200',
+    button: 'text-red-600 hover:text-red-800 hover:bg-red-100'
+  },
+  blue: {
+    header: 'from-blue-50 to-blue-100 border-blue-200 text-blue-900',
+    icon: 'bg-blue-200',
+    button: 'text-blue-600 hover:text-blue-800 hover:bg-blue-100'
+  },
+  teal: {
+    header: 'from-teal-50 to-teal-100 border-teal-200 text-teal-900',
+    icon: 'bg-teal-200',
+    button: 'text-teal-600 hover:text-teal-800 hover:bg-teal-100'
+  }
+};
+
+// Nulls sort last; numbers numerically; everything else as text
+const compareValues = (a, b) => {
+  const aEmpty = a === null || a === undefined || a === '';
+  const bEmpty = b === null || b === undefined || b === '';
+  if (aEmpty || bEmpty) return aEmpty === bEmpty ? 0 : aEmpty ? 1 : -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const inputClass = 'border border-gray-200 rounded-lg px-3 py-2 text-sm';
+
+const RESOLUTION_BADGES = {
+  open: 'bg-gray-100 text-gray-700',
+  investigating: 'bg-blue-100 text-blue-800',
+  'awaiting-provider': 'bg-purple-100 text-purple-800',
+  resolved: 'bg-green-100 text-green-800',
+  'written-off': 'bg-orange-100 text-orange-800'
+};
+
+const SEVERITY_ROWS = {
+  critical: 'bg-red-50',
+  warning: 'bg-yellow-50',
+  info: 'bg-blue-50'
+};
+
+const rowClass = (table, row) => {
+  if (table.severity) return SEVERITY_ROWS[table.severity(row)] || 'bg-white';
+  return table.isFlagged(row) ? 'bg-yellow-50' : 'bg-white';
+};
+
+const resolutionBadge = (status) => {
+  if (!status) return '—';
+  const label = EXCEPTION_STATUSES.find(s => s.key === status)?.label || status;
+  return <span className={`text-xs font-semibold px-2 py-1 rounded-full ${RESOLUTION_BADGES[status] || ''}`}>{label}</span>;
+};
+
+// resolutionOf(row) gives an exception's workflow status (null for rows that
+// aren't exceptions); onRowClick opens a row for review. filter is a
+// { label, test } picked on the dashboard, cleared with onClearFilter.
+const ResultTable = ({ title, icon, accent, rows, table, emptyMessage, onExport, resolutionOf, onRowClick, filter, onClearFilter }) => {
+  const [search, setSearch] = useState('');
+  const [minAmount, setMinAmount] = useState('');
+  const [maxAmount, setMaxAmount] = useState('');
+  const [status, setStatus] = useState('');
+  const [mismatchType, setMismatchType] = useState('');
+  const [resolution, setResolution] = useState('');
+  const [severity, setSeverity] = useState('');
+  const [sort, setSort] = useState({ key: table.defaultSort || null, direction: 'asc' });
+  const [showAllColumns, setShowAllColumns] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const colors = ACCENTS[accent];
+
+  const columns = useMemo(() => {
+    const base = showAllColumns ? [...table.columns, ...table.originalColumns(rows)] : table.columns;
+    return resolutionOf
+      ? [...base, { key: 'resolution', label: 'Resolution', value: resolutionOf, format: resolutionBadge }]
+      : base;
+  }, [showAllColumns, table, rows, resolutionOf]);
+
+  const statusOptions = useMemo(() => {
+    const statuses = new Set();
+    rows.forEach(row => table.statuses(row).forEach(s => s && statuses.add(s)));
+    return [...statuses].sort();
+  }, [rows, table]);
+
+  const visibleRows = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    const min = minAmount === '' ? null : parseFloat(minAmount);
+    const max = maxAmount === '' ? null : parseFloat(maxAmount);
+
+    const filtered = rows.filter(row => {
+      if (filter && !filter.test(row)) return false;
+      if (term && !String(table.reference(row)).toLowerCase().includes(term)) return false;
+      const amount = table.amount(row);
+      if (min !== null && (amount === null || amount < min)) return false;
+      if (max !== null && (amount === null || amount > max)) return false;
+      if (status && !table.statuses(row).includes(status)) return false;
+      if (mismatchType && table.mismatchTypes && !table.mismatchTypes(row).includes(mismatchType)) return false;
+      if (resolution && resolutionOf?.(row) !== resolution) return false;
+      if (severity && table.severity?.(row) !== severity) return false;
+      return true;
+    });
+
+    const column = columns.find(c => c.key === sort.key);
+    if (!column) return filtered;
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => compareValues(column.value(a), column.value(b)) * direction);
+  }, [rows, table, columns, filter, search, minAmount, maxAmount, status, mismatchType, resolution, resolutionOf, severity, sort]);
+
+  const toggleSort = (key) => {
+    setSort(prev => (prev.key === key
+      ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: 'asc' }));
+  };
+
+  // Only render the rows in (and just around) the viewport
+  const firstIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastIndex = Math.min(visibleRows.length, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN);
+  const gridTemplateColumns = `repeat(${columns.length}, minmax(${COLUMN_WIDTH}px, 1fr))`;
+  const minWidth = columns.length * COLUMN_WIDTH;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
+      <div className={`bg-gradient-to-r px-6 py-4 border-b ${colors.header}`}>
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold flex items-center text-lg">
+            <div className={`w-8 h-8 rounded-lg flex items-center justify-center mr-3 ${colors.icon}`}>
+              {icon}
+            </div>
+            {title} ({rows.length})
+          </h3>
+          <button onClick={onExport} className={`transition-colors p-2 rounded-lg ${colors.button}`}>
+            <Download size={16} />
+          </button>
+        </div>
+      </div>
+
+      {/* Search and filters */}
+      <div className="px-6 py-4 border-b border-gray-100 flex flex-wrap gap-2 items-center">
+        {filter && (
+          <span className="flex items-center px-3 py-2 text-sm rounded-lg bg-gray-900 text-white">
+            {filter.label}
+            <button onClick={onClearFilter} className="ml-2 text-gray-300 hover:text-white">
+              <X size={14} />
+            </button>
+          </span>
+        )}
+        <div className="relative flex-1 min-w-48">
+          <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search reference"
+            className={`w-full pl-8 ${inputClass}`}
+          />
+        </div>
+        <input
+          type="number"
+          value={minAmount}
+          onChange={(e) => setMinAmount(e.target.value)}
+          placeholder="Min amount"
+          className={`w-32 ${inputClass}`}
+        />
+        <input
+          type="number"
+          value={maxAmount}
+          onChange={(e) => setMaxAmount(e.target.value)}
+          placeholder="Max amount"
+          className={`w-32 ${inputClass}`}
+        />
+        <select value={status} onChange={(e) => setStatus(e.target.value)} className={inputClass}>
+          <option value="">All statuses</option>
+          {statusOptions.map(s => <option key={s} value={s}>{s}</option>)}
+        </select>
+        {table.mismatchTypes && (
+          <select value={mismatchType} onChange={(e) => setMismatchType(e.target.value)} className={inputClass}>
+            <option value="">All match types</option>
+            {MISMATCH_TYPES.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+          </select>
+        )}
+        {table.severity && (
+          <select value={severity} onChange={(e) => setSeverity(e.target.value)} className={inputClass}>
+            <option value="">All severities</option>
+            {SEVERITIES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+          </select>
+        )}
+        {resolutionOf && (
+          <select value={resolution} onChange={(e) => setResolution(e.target.value)} className={inputClass}>
+            <option value="">All resolutions</option>
+            {EXCEPTION_STATUSES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+          </select>
+        )}
+        <button
+          onClick={() => setShowAllColumns(show => !show)}
+          className={`flex items-center px-3 py-2 text-sm rounded-lg ${showAllColumns ? 'bg-gray-800 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+        >
+          <Columns size={14} className="mr-1" /> All columns
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-center py-8">
+          <div className="w-16 h-16 bg-gray-100 rounded-2xl flex items-center justify-center mx-auto mb-4">
+            <CheckCircle className="text-gray-400" size={24} />
+          </div>
+          <p className="text-gray-500 text-sm">{emptyMessage}</p>
+        </div>
+      ) : (
+        <div
+          className="overflow-auto text-sm text-left"
+          style={{ height: Math.min(VIEWPORT_HEIGHT, (visibleRows.length + 1) * ROW_HEIGHT) }}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          <div style={{ minWidth }}>
+            <div
+              className="grid sticky top-0 z-10 bg-gray-50 border-b border-gray-200 font-medium text-gray-600"
+              style={{ gridTemplateColumns, height: ROW_HEIGHT }}
+            >
+              {columns.map(column => (
+                <button
+                  key={column.key}
+                  onClick={() => toggleSort(column.key)}
+                  className="px-4 flex items-center text-left truncate hover:text-gray-900"
+                >
+                  <span className="truncate">{column.label}</span>
+                  {sort.key === column.key && (sort.direction === 'asc' ? <ArrowUp size={12} className="ml-1 shrink-0" /> : <ArrowDown size={12} className="ml-1 shrink-0" />)}
+                </button>
+              ))}
+            </div>
+            <div style={{ height: visibleRows.length * ROW_HEIGHT, position: 'relative' }}>
+              {visibleRows.slice(firstIndex, lastIndex).map((row, offset) => (
+                <div
+                  key={firstIndex + offset}
+                  onClick={onRowClick ? () => onRowClick(row) : undefined}
+                  className={`grid absolute left-0 right-0 border-b border-gray-100 items-center ${rowClass(table, row)} ${onRowClick ? 'cursor-pointer hover:bg-gray-50' : ''}`}
+                  style={{ gridTemplateColumns, height: ROW_HEIGHT, top: (firstIndex + offset) * ROW_HEIGHT }}
+                >
+                  {columns.map(column => (
+                    <div key={column.key} className={`px-4 truncate text-gray-800 ${column.mono ? 'font-mono' : ''}`}>
+                      {column.format(column.value(row), row)}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+      {rows.length > 0 && (
+        <div className="px-6 py-2 text-xs text-gray-500 border-t border-gray-100">
+          Showing {visibleRows.length.toLocaleString()} of {rows.length.toLocaleString()}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ResultTable;
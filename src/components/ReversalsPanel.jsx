@@ -0,0 +1,130 @@
+import React from 'react';
+import { Undo2, Download } from 'lucide-react';
+import { formatCurrency } from '../lib/format';
+import { REVERSAL_KINDS } from '../lib/reversals';
+
+const kindLabel = (key) => REVERSAL_KINDS.find(kind => kind.key === key)?.label || key;
+
+const foundIn = (item) => {
+  if (!item.provider) return 'Internal only';
+  if (!item.internal) return 'Provider only';
+  return item.amountMatch ? 'Both' : 'Both, amount differs';
+};
+
+const amountOf = (record) => (record ? formatCurrency(record.amount, record.currency) : '—');
+
+const netOf = (value) => (value === null ? '—' : formatCurrency(value));
+
+// Reversals, refunds and chargebacks linked to the transactions they undo
+const ReversalsPanel = ({ reversals, onExport, onExportPositions }) => {
+  const { reversals: items, positions, summary } = reversals;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
+      <div className="bg-gradient-to-r from-purple-50 to-purple-100 px-6 py-4 border-b border-purple-200">
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold text-purple-900 flex items-center text-lg">
+            <div className="w-8 h-8 bg-purple-200 rounded-lg flex items-center justify-center mr-3">
+              <Undo2 size={16} />
+            </div>
+            Reversals &amp; Refunds ({summary.reversalCount})
+          </h3>
+          <button onClick={onExport} className="text-purple-600 hover:text-purple-800 transition-colors p-2 hover:bg-purple-100 rounded-lg">
+            <Download size={16} />
+          </button>
+        </div>
+        <p className="text-sm text-purple-700 mt-1">
+          Reversal, refund and chargeback rows, paired across the two files and netted off against the transactions they undo.
+        </p>
+      </div>
+
+      <div className="p-6 space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Internal only</p>
+            <p className="font-semibold text-gray-900">{summary.internalOnlyCount}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Provider only</p>
+            <p className="font-semibold text-gray-900">{summary.providerOnlyCount}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Amount differs</p>
+            <p className="font-semibold text-gray-900">{summary.amountMismatchCount}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Net positions that differ</p>
+            <p className="font-semibold text-gray-900">{summary.netMismatchCount}</p>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="w-full text-sm text-left">
+            <thead className="text-xs text-gray-500 border-b border-gray-100">
+              <tr>
+                <th className="py-2 pr-4">Reference</th>
+                <th className="py-2 pr-4">Kind</th>
+                <th className="py-2 pr-4">Original</th>
+                <th className="py-2 pr-4 text-right">Internal</th>
+                <th className="py-2 pr-4 text-right">Provider</th>
+                <th className="py-2">Found in</th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((item, index) => (
+                <tr
+                  key={index}
+                  className={`border-b border-gray-50 ${item.internal && item.provider && item.amountMatch ? '' : 'bg-red-50'}`}
+                >
+                  <td className="py-2 pr-4 font-mono break-all">{item.transaction_reference}</td>
+                  <td className="py-2 pr-4">{kindLabel(item.kind)}</td>
+                  <td className="py-2 pr-4 font-mono break-all">{item.original_reference || '—'}</td>
+                  <td className="py-2 pr-4 text-right">{amountOf(item.internal)}</td>
+                  <td className="py-2 pr-4 text-right">{amountOf(item.provider)}</td>
+                  <td className="py-2 text-gray-600">{foundIn(item)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {positions.length > 0 && (
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-semibold text-gray-800 text-sm">Net position per original transaction ({positions.length})</h4>
+              <button onClick={onExportPositions} className="text-purple-600 hover:text-purple-800 transition-colors p-2 hover:bg-purple-100 rounded-lg">
+                <Download size={14} />
+              </button>
+            </div>
+            <div className="overflow-x-auto max-h-72 overflow-y-auto">
+              <table className="w-full text-sm text-left">
+                <thead className="text-xs text-gray-500 border-b border-gray-100">
+                  <tr>
+                    <th className="py-2 pr-4">Original reference</th>
+                    <th className="py-2 pr-4 text-right">Internal net</th>
+                    <th className="py-2 pr-4 text-right">Provider net</th>
+                    <th className="py-2 text-right">Difference</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {positions.map(position => (
+                    <tr key={position.transaction_reference} className={`border-b border-gray-50 ${position.netMatch ? '' : 'bg-red-50'}`}>
+                      <td className="py-2 pr-4 font-mono break-all">{position.transaction_reference}</td>
+                      <td className="py-2 pr-4 text-right">{netOf(position.internalNet)}</td>
+                      <td className="py-2 pr-4 text-right">{netOf(position.providerNet)}</td>
+                      <td className={`py-2 text-right ${position.netMatch ? 'text-gray-700' : 'text-red-700 font-semibold'}`}>
+                        {formatCurrency(position.difference)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReversalsPanel;
@@ -0,0 +1,464 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronUp, Plus, Save, Trash2, X } from 'lucide-react';
+import {
+  REFERENCE_RULE_TYPES,
+  SEVERITIES,
+  resolveRules,
+  loadRuleSets,
+  saveRuleSet,
+  deleteRuleSet
+} from '../lib/rules';
+import { LOCALE_OPTIONS } from '../lib/format';
+import { DATE_FORMATS } from '../lib/dates';
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? 0 : number;
+};
+
+// One group per line, statuses separated by commas
+const formatStatusGroups = (groups) => groups.map(group => group.join(', ')).join('\n');
+
+const parseStatusGroups = (text) =>
+  text.split('\n')
+    .map(line => line.split(',').map(status => status.trim().toLowerCase()).filter(Boolean))
+    .filter(group => group.length > 1);
+
+const parseStatusList = (text) => text.split(',').map(status => status.trim().toLowerCase()).filter(Boolean);
+
+const inputClass = 'w-full border border-gray-200 rounded-lg px-3 py-2 text-sm';
+
+// columns: { internal, provider } column names of the loaded files, suggested for compare fields
+const RulesPanel = ({ rules, onChange, displaySettings, onDisplayChange, columns }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [ruleSets, setRuleSets] = useState(loadRuleSets);
+  const [statusText, setStatusText] = useState(() => formatStatusGroups(rules.statusGroups));
+  const [reversalText, setReversalText] = useState(() => rules.reversals.statuses.join(', '));
+
+  const update = (changes) => onChange({ ...rules, ...changes });
+
+  const handleSelectRuleSet = (name) => {
+    const ruleSet = ruleSets.find(r => r.name === name);
+    const next = resolveRules(ruleSet || { name: 'Default' });
+    setStatusText(formatStatusGroups(next.statusGroups));
+    setReversalText(next.reversals.statuses.join(', '));
+    onChange(next);
+  };
+
+  const updateReferenceRule = (index, changes) => {
+    update({
+      referenceRules: rules.referenceRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    });
+  };
+
+  const updateFeeTier = (index, changes) => {
+    update({
+      feeSchedule: {
+        ...rules.feeSchedule,
+        tiers: rules.feeSchedule.tiers.map((tier, i) => (i === index ? { ...tier, ...changes } : tier))
+      }
+    });
+  };
+
+  const updateSeverityRule = (index, changes) => {
+    update({
+      severityRules: rules.severityRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule))
+    });
+  };
+
+  const updateCompareField = (index, changes) => {
+    update({
+      compareFields: rules.compareFields.map((field, i) => (i === index ? { ...field, ...changes } : field))
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden mb-8 sm:mb-12">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full bg-gradient-to-r from-gray-50 to-gray-100 px-6 py-4 border-b border-gray-200 flex items-center justify-between"
+      >
+        <span className="text-lg font-semibold text-gray-900 flex items-center">
+          <span className="w-8 h-8 bg-gray-200 rounded-lg flex items-center justify-center mr-3">
+            <SlidersHorizontal size={16} />
+          </span>
+          Matching Rules: {rules.name}
+        </span>
+        {isOpen ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
+      </button>
+
+      {isOpen && (
+        <div className="p-6 space-y-6 text-left">
+          {/* Rule sets */}
+          <div className="flex flex-col sm:flex-row gap-2">
+            <select
+              value={ruleSets.some(r => r.name === rules.name) ? rules.name : ''}
+              onChange={(e) => handleSelectRuleSet(e.target.value)}
+              className={`sm:flex-1 ${inputClass}`}
+            >
+              <option value="">Default rules</option>
+              {ruleSets.map(ruleSet => (
+                <option key={ruleSet.name} value={ruleSet.name}>{ruleSet.name}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={rules.name}
+              onChange={(e) => update({ name: e.target.value })}
+              placeholder="Provider name"
+              className={`sm:flex-1 ${inputClass}`}
+            />
+            <button
+              onClick={() => setRuleSets(saveRuleSet(rules))}
+              disabled={!rules.name.trim()}
+              className="flex items-center justify-center px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 disabled:opacity-50 text-gray-700"
+            >
+              <Save size={14} className="mr-1" /> Save
+            </button>
+            {ruleSets.some(r => r.name === rules.name) && (
+              <button
+                onClick={() => setRuleSets(deleteRuleSet(rules.name))}
+                className="flex items-center justify-center px-3 py-2 text-sm rounded-lg bg-red-50 hover:bg-red-100 text-red-700"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+
+          {/* Amount tolerances */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-3">Amount tolerance</h4>
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3 text-sm text-gray-700">
+              <label>
+                <span className="block mb-1">Absolute</span>
+                <input
+                  type="number" min="0" step="0.01"
+                  value={rules.amountTolerance.absolute}
+                  onChange={(e) => update({ amountTolerance: { ...rules.amountTolerance, absolute: toNumber(e.target.value) } })}
+                  className={inputClass}
+                />
+              </label>
+              <label>
+                <span className="block mb-1">Percent of amount</span>
+                <input
+                  type="number" min="0" step="0.1"
+                  value={rules.amountTolerance.percent}
+                  onChange={(e) => update({ amountTolerance: { ...rules.amountTolerance, percent: toNumber(e.target.value) } })}
+                  className={inputClass}
+                />
+              </label>
+              <label>
+                <span className="block mb-1">Fee allowance (flat)</span>
+                <input
+                  type="number" min="0" step="0.01"
+                  value={rules.feeTolerance.flat}
+                  onChange={(e) => update({ feeTolerance: { ...rules.feeTolerance, flat: toNumber(e.target.value) } })}
+                  className={inputClass}
+                />
+              </label>
+              <label>
+                <span className="block mb-1">Fee allowance (%)</span>
+                <input
+                  type="number" min="0" step="0.1"
+                  value={rules.feeTolerance.percent}
+                  onChange={(e) => update({ feeTolerance: { ...rules.feeTolerance, percent: toNumber(e.target.value) } })}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* Fee schedule */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-1">Fee schedule</h4>
+            <p className="text-xs text-gray-500 mb-2">
+              Expected fees when the files have no fee, commission or tax columns. Each tier covers amounts up to its limit; leave the limit empty for the rest.
+            </p>
+            <div className="space-y-2">
+              {rules.feeSchedule.tiers.map((tier, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    type="number" min="0" step="0.01"
+                    value={tier.upTo ?? ''}
+                    onChange={(e) => updateFeeTier(index, { upTo: e.target.value === '' ? null : toNumber(e.target.value) })}
+                    placeholder="Up to (any amount)"
+                    className={`flex-1 ${inputClass}`}
+                  />
+                  <input
+                    type="number" min="0" step="0.1"
+                    value={tier.percent}
+                    onChange={(e) => updateFeeTier(index, { percent: toNumber(e.target.value) })}
+                    placeholder="Percent"
+                    className={`flex-1 ${inputClass}`}
+                  />
+                  <input
+                    type="number" min="0" step="0.01"
+                    value={tier.flat}
+                    onChange={(e) => updateFeeTier(index, { flat: toNumber(e.target.value) })}
+                    placeholder="Flat"
+                    className={`flex-1 ${inputClass}`}
+                  />
+                  <button
+                    onClick={() => update({ feeSchedule: { ...rules.feeSchedule, tiers: rules.feeSchedule.tiers.filter((_, i) => i !== index) } })}
+                    className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              <div className="flex flex-wrap gap-2 items-center">
+                <button
+                  onClick={() => update({ feeSchedule: { ...rules.feeSchedule, tiers: [...rules.feeSchedule.tiers, { upTo: null, percent: 0, flat: 0 }] } })}
+                  className="flex items-center px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+                >
+                  <Plus size={14} className="mr-1" /> Add tier
+                </button>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  Tax on fees (%)
+                  <input
+                    type="number" min="0" step="0.1"
+                    value={rules.feeSchedule.taxPercent}
+                    onChange={(e) => update({ feeSchedule: { ...rules.feeSchedule, taxPercent: toNumber(e.target.value) } })}
+                    className="w-24 border border-gray-200 rounded-lg px-3 py-2 text-sm"
+                  />
+                </label>
+              </div>
+            </div>
+          </div>
+
+          {/* Status equivalence */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-1">Equivalent statuses</h4>
+            <p className="text-xs text-gray-500 mb-2">One group per line, comma separated, e.g. completed, success, settled</p>
+            <textarea
+              rows={3}
+              value={statusText}
+              onChange={(e) => {
+                setStatusText(e.target.value);
+                update({ statusGroups: parseStatusGroups(e.target.value) });
+              }}
+              className={`${inputClass} font-mono`}
+            />
+          </div>
+
+          {/* Reversals */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-1">Reversals, refunds and chargebacks</h4>
+            <p className="text-xs text-gray-500 mb-2">
+              Rows with these statuses, or with an original reference, are linked to the transaction they undo instead of being matched, when that transaction is in the same file
+            </p>
+            <input
+              type="text"
+              value={reversalText}
+              onChange={(e) => {
+                setReversalText(e.target.value);
+                update({ reversals: { ...rules.reversals, statuses: parseStatusList(e.target.value) } });
+              }}
+              className={`${inputClass} font-mono`}
+            />
+            <label className="flex items-center gap-2 mt-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={rules.reversals.negativeAmounts}
+                onChange={(e) => update({ reversals: { ...rules.reversals, negativeAmounts: e.target.checked } })}
+              />
+              Treat negative amounts as reversals
+            </label>
+          </div>
+
+          {/* Status mismatch severity */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-1">Status mismatch severity</h4>
+            <p className="text-xs text-gray-500 mb-2">First rule that fits wins; * fits any status. Mismatches no rule covers are warnings.</p>
+            <div className="space-y-2">
+              {rules.severityRules.map((rule, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    type="text"
+                    value={rule.internal}
+                    onChange={(e) => updateSeverityRule(index, { internal: e.target.value.trim().toLowerCase() })}
+                    placeholder="Internal status"
+                    className={`flex-1 font-mono ${inputClass}`}
+                  />
+                  <input
+                    type="text"
+                    value={rule.provider}
+                    onChange={(e) => updateSeverityRule(index, { provider: e.target.value.trim().toLowerCase() })}
+                    placeholder="Provider status"
+                    className={`flex-1 font-mono ${inputClass}`}
+                  />
+                  <select
+                    value={rule.severity}
+                    onChange={(e) => updateSeverityRule(index, { severity: e.target.value })}
+                    className={`flex-1 ${inputClass}`}
+                  >
+                    {SEVERITIES.map(severity => <option key={severity.key} value={severity.key}>{severity.label}</option>)}
+                  </select>
+                  <button
+                    onClick={() => update({ severityRules: rules.severityRules.filter((_, i) => i !== index) })}
+                    className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => update({ severityRules: [...rules.severityRules, { internal: '*', provider: '*', severity: 'critical' }] })}
+                className="flex items-center px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+              >
+                <Plus size={14} className="mr-1" /> Add severity rule
+              </button>
+            </div>
+          </div>
+
+          {/* Dates */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-3">Dates</h4>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 text-sm text-gray-700">
+              {['internal', 'provider', 'bank'].map(side => (
+                <label key={side}>
+                  <span className="block mb-1 capitalize">{side} date format</span>
+                  <select
+                    value={rules.dateFormats[side]}
+                    onChange={(e) => update({ dateFormats: { ...rules.dateFormats, [side]: e.target.value } })}
+                    className={inputClass}
+                  >
+                    {DATE_FORMATS.map(format => <option key={format.key} value={format.key}>{format.label}</option>)}
+                  </select>
+                </label>
+              ))}
+              <label>
+                <span className="block mb-1">Settlement lag (days)</span>
+                <input
+                  type="number" min="0" step="1"
+                  value={rules.settlementLagDays}
+                  onChange={(e) => update({ settlementLagDays: toNumber(e.target.value) })}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* Extra compared fields */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-1">Compare extra fields</h4>
+            <p className="text-xs text-gray-500 mb-2">Columns checked on every matched pair and reported as field mismatches, e.g. customer phone</p>
+            <datalist id="internal-columns">
+              {(columns?.internal || []).map(column => <option key={column} value={column} />)}
+            </datalist>
+            <datalist id="provider-columns">
+              {(columns?.provider || []).map(column => <option key={column} value={column} />)}
+            </datalist>
+            <div className="space-y-2">
+              {rules.compareFields.map((field, index) => (
+                <div key={index} className="flex gap-2">
+                  <input
+                    type="text"
+                    list="internal-columns"
+                    value={field.internal}
+                    onChange={(e) => updateCompareField(index, { internal: e.target.value.trim() })}
+                    placeholder="Internal column"
+                    className={`flex-1 font-mono ${inputClass}`}
+                  />
+                  <input
+                    type="text"
+                    list="provider-columns"
+                    value={field.provider}
+                    onChange={(e) => updateCompareField(index, { provider: e.target.value.trim() })}
+                    placeholder="Provider column"
+                    className={`flex-1 font-mono ${inputClass}`}
+                  />
+                  <button
+                    onClick={() => update({ compareFields: rules.compareFields.filter((_, i) => i !== index) })}
+                    className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600"
+                  >
+                    <X size={14} />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => update({ compareFields: [...rules.compareFields, { internal: '', provider: '' }] })}
+                className="flex items-center px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+              >
+                <Plus size={14} className="mr-1" /> Add field
+              </button>
+            </div>
+          </div>
+
+          {/* Currency display */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-3">Currency display</h4>
+            <div className="grid grid-cols-2 gap-3 text-sm text-gray-700">
+              <label>
+                <span className="block mb-1">Locale</span>
+                <select
+                  value={displaySettings.locale}
+                  onChange={(e) => onDisplayChange({ locale: e.target.value })}
+                  className={inputClass}
+                >
+                  {LOCALE_OPTIONS.map(locale => <option key={locale} value={locale}>{locale}</option>)}
+                </select>
+              </label>
+              <label>
+                <span className="block mb-1">Currency for rows without one</span>
+                <input
+                  type="text"
+                  maxLength={3}
+                  value={displaySettings.currency}
+                  onChange={(e) => onDisplayChange({ currency: e.target.value.toUpperCase().trim() })}
+                  className={inputClass}
+                />
+              </label>
+            </div>
+          </div>
+
+          {/* Reference normalization */}
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-3">Reference normalization</h4>
+            <div className="space-y-2">
+              {rules.referenceRules.map((rule, index) => {
+                const type = REFERENCE_RULE_TYPES.find(t => t.key === rule.type);
+                return (
+                  <div key={index} className="flex gap-2">
+                    <select
+                      value={rule.type}
+                      onChange={(e) => updateReferenceRule(index, { type: e.target.value })}
+                      className={`flex-1 ${inputClass}`}
+                    >
+                      {REFERENCE_RULE_TYPES.map(t => (
+                        <option key={t.key} value={t.key}>{t.label}</option>
+                      ))}
+                    </select>
+                    {type?.needsValue && (
+                      <input
+                        type="text"
+                        value={rule.value || ''}
+                        onChange={(e) => updateReferenceRule(index, { value: e.target.value })}
+                        placeholder={rule.type === 'regex' ? 'e.g. (\\d+)$' : 'e.g. MP-'}
+                        className={`flex-1 font-mono ${inputClass}`}
+                      />
+                    )}
+                    <button
+                      onClick={() => update({ referenceRules: rules.referenceRules.filter((_, i) => i !== index) })}
+                      className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600"
+                    >
+                      <X size={14} />
+                    </button>
+                  </div>
+                );
+              })}
+              <button
+                onClick={() => update({ referenceRules: [...rules.referenceRules, { type: 'caseFold' }] })}
+                className="flex items-center px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+              >
+                <Plus size={14} className="mr-1" /> Add rule
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RulesPanel;
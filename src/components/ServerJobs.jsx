@@ -0,0 +1,105 @@
+import React, { useEffect, useState } from 'react';
+import { Server, ChevronDown, ChevronUp, FolderOpen, RefreshCw } from 'lucide-react';
+import { loadApiJobs } from '../lib/apiJobs';
+
+// How often the list is refreshed while a job is still queued or running
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_BADGES = {
+  queued: 'bg-gray-100 text-gray-700',
+  running: 'bg-blue-100 text-blue-800',
+  done: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800'
+};
+
+// Jobs submitted through the local API (`reconflow serve`). Hidden when no
+// API server is reachable.
+const ServerJobs = ({ onOpen }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [jobs, setJobs] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+    loadApiJobs()
+      .then(list => {
+        if (cancelled) return;
+        setJobs(list);
+        if (list.some(job => job.status === 'queued' || job.status === 'running')) {
+          timer = setTimeout(() => setRefreshKey(key => key + 1), POLL_INTERVAL_MS);
+        }
+      })
+      .catch(() => !cancelled && setJobs(null));
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [refreshKey]);
+
+  if (!jobs) return null;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden mb-8 sm:mb-12">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full bg-gradient-to-r from-gray-50 to-gray-100 px-6 py-4 border-b border-gray-200 flex items-center justify-between"
+      >
+        <span className="text-lg font-semibold text-gray-900 flex items-center">
+          <span className="w-8 h-8 bg-gray-200 rounded-lg flex items-center justify-center mr-3">
+            <Server size={16} />
+          </span>
+          Server Jobs ({jobs.length})
+        </span>
+        {isOpen ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
+      </button>
+
+      {isOpen && (
+        <div className="p-6 space-y-3 text-left max-h-96 overflow-y-auto">
+          <div className="flex justify-end">
+            <button
+              onClick={() => setRefreshKey(key => key + 1)}
+              className="flex items-center px-3 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+            >
+              <RefreshCw size={14} className="mr-1" /> Refresh
+            </button>
+          </div>
+          {jobs.length === 0 && (
+            <p className="text-sm text-gray-500">Jobs submitted to the reconciliation API are listed here.</p>
+          )}
+          {jobs.map(job => (
+            <div key={job.id} className="p-4 rounded-xl border border-gray-200 bg-gray-50 flex flex-col sm:flex-row sm:items-center gap-3">
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center gap-2">
+                  <p className="font-medium text-gray-900 break-all">{job.name}</p>
+                  <span className={`text-xs font-semibold px-2 py-1 rounded-full ${STATUS_BADGES[job.status] || ''}`}>{job.status}</span>
+                </div>
+                <p className="text-xs text-gray-500">
+                  {new Date(job.createdAt).toLocaleString()} · {job.rules?.name || 'Default'} rules
+                </p>
+                {job.summary && (
+                  <p className="text-xs text-gray-600">
+                    {job.summary.matchedCount.toLocaleString()} matched ·{' '}
+                    {job.summary.internalOnlyCount.toLocaleString()} internal only ·{' '}
+                    {job.summary.providerOnlyCount.toLocaleString()} provider only
+                  </p>
+                )}
+                {job.error && <p className="text-xs text-red-700">{job.error}</p>}
+              </div>
+              {job.status === 'done' && (
+                <button
+                  onClick={() => onOpen(job.id)}
+                  className="flex items-center px-3 py-2 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white"
+                >
+                  <FolderOpen size={14} className="mr-1" /> Open
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ServerJobs;
@@ -0,0 +1,127 @@
+import React, { useEffect, useState } from 'react';
+import { History, ChevronDown, ChevronUp, FolderOpen, Pencil, Trash2, Check, X } from 'lucide-react';
+import { loadSessions, renameSession, deleteSession } from '../lib/sessions';
+
+const inputClass = 'border border-gray-200 rounded-lg px-3 py-2 text-sm';
+
+const formatTimestamp = (iso) => new Date(iso).toLocaleString();
+
+// refreshKey changes whenever a session is saved so the list reloads
+const SessionHistory = ({ activeSessionId, refreshKey, onOpen }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    loadSessions()
+      .then(setSessions)
+      .catch(err => setError(err.message));
+  }, [refreshKey]);
+
+  const run = (promise) =>
+    promise
+      .then(updated => {
+        setSessions(updated);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+
+  const handleRename = () => {
+    const name = editing.name.trim();
+    if (name) run(renameSession(editing.id, name));
+    setEditing(null);
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden mb-8 sm:mb-12">
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        className="w-full bg-gradient-to-r from-gray-50 to-gray-100 px-6 py-4 border-b border-gray-200 flex items-center justify-between"
+      >
+        <span className="text-lg font-semibold text-gray-900 flex items-center">
+          <span className="w-8 h-8 bg-gray-200 rounded-lg flex items-center justify-center mr-3">
+            <History size={16} />
+          </span>
+          Saved Sessions ({sessions.length})
+        </span>
+        {isOpen ? <ChevronUp size={20} /> : <ChevronDown size={20} />}
+      </button>
+
+      {isOpen && (
+        <div className="p-6 space-y-3 text-left max-h-96 overflow-y-auto">
+          {error && <p className="text-sm text-red-700">{error}</p>}
+          {!error && sessions.length === 0 && (
+            <p className="text-sm text-gray-500">Completed runs are saved here so you can reopen them later.</p>
+          )}
+          {sessions.map(session => (
+            <div
+              key={session.id}
+              className={`p-4 rounded-xl border flex flex-col sm:flex-row sm:items-center gap-3 ${
+                session.id === activeSessionId ? 'border-blue-300 bg-blue-50' : 'border-gray-200 bg-gray-50'
+              }`}
+            >
+              <div className="flex-1 min-w-0">
+                {editing?.id === session.id ? (
+                  <div className="flex gap-2 mb-1">
+                    <input
+                      type="text"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                      onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                      className={`flex-1 ${inputClass}`}
+                      autoFocus
+                    />
+                    <button onClick={handleRename} className="px-3 py-2 rounded-lg bg-gray-200 hover:bg-gray-300 text-gray-700">
+                      <Check size={14} />
+                    </button>
+                    <button onClick={() => setEditing(null)} className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-600">
+                      <X size={14} />
+                    </button>
+                  </div>
+                ) : (
+                  <p className="font-medium text-gray-900 break-all">{session.name}</p>
+                )}
+                <p className="text-xs text-gray-500">
+                  {formatTimestamp(session.updatedAt)} · {session.rules?.name || 'Default'} rules
+                  {session.resultsOnly && ' · results only'}
+                </p>
+                <p className="text-xs text-gray-600 mt-1 break-all">
+                  {session.files.internal.name} ({session.files.internal.rows.toLocaleString()} rows) vs{' '}
+                  {session.files.provider.name} ({session.files.provider.rows.toLocaleString()} rows)
+                </p>
+                <p className="text-xs text-gray-600">
+                  {session.summary.matchedCount.toLocaleString()} matched ·{' '}
+                  {session.summary.internalOnlyCount.toLocaleString()} internal only ·{' '}
+                  {session.summary.providerOnlyCount.toLocaleString()} provider only
+                </p>
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => onOpen(session.id)}
+                  className="flex items-center px-3 py-2 text-sm rounded-lg bg-blue-600 hover:bg-blue-700 text-white"
+                >
+                  <FolderOpen size={14} className="mr-1" /> Open
+                </button>
+                <button
+                  onClick={() => setEditing({ id: session.id, name: session.name })}
+                  className="px-3 py-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+                >
+                  <Pencil size={14} />
+                </button>
+                <button
+                  onClick={() => run(deleteSession(session.id))}
+                  className="px-3 py-2 rounded-lg bg-red-50 hover:bg-red-100 text-red-700"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SessionHistory;
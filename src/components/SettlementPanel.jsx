@@ -0,0 +1,107 @@
+import React from 'react';
+import { Landmark, Download } from 'lucide-react';
+import { formatCurrency } from '../lib/format';
+
+const MATCHED_BY_LABELS = { batch: 'Batch reference', date: 'Settlement day' };
+
+// Bank credits matched to the provider transactions they settle
+const SettlementPanel = ({ settlement, onExport }) => {
+  const { batches, unmatchedBank, summary } = settlement;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
+      <div className="bg-gradient-to-r from-teal-50 to-teal-100 px-6 py-4 border-b border-teal-200">
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold text-teal-900 flex items-center text-lg">
+            <div className="w-8 h-8 bg-teal-200 rounded-lg flex items-center justify-center mr-3">
+              <Landmark size={16} />
+            </div>
+            Bank Settlements ({summary.batchCount})
+          </h3>
+          <button onClick={onExport} className="text-teal-600 hover:text-teal-800 transition-colors p-2 hover:bg-teal-100 rounded-lg">
+            <Download size={16} />
+          </button>
+        </div>
+        <p className="text-sm text-teal-700 mt-1">
+          Net payouts on the bank statement matched to provider transactions by batch reference or settlement day.
+        </p>
+      </div>
+
+      <div className="p-6 space-y-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Bank credits</p>
+            <p className="font-semibold text-gray-900">{formatCurrency(summary.bankTotal)}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Settled net</p>
+            <p className="font-semibold text-gray-900">{formatCurrency(summary.settledNetTotal)}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Batches with a difference</p>
+            <p className="font-semibold text-gray-900">{summary.batchMismatchCount}</p>
+          </div>
+          <div className="p-3 bg-gray-50 rounded-lg">
+            <p className="text-xs text-gray-500">Provider transactions not yet settled</p>
+            <p className="font-semibold text-gray-900">{summary.unsettledProviderCount}</p>
+          </div>
+        </div>
+
+        {batches.length === 0 ? (
+          <p className="text-gray-500 text-sm">No bank credits could be matched to provider transactions</p>
+        ) : (
+          <div className="overflow-x-auto max-h-96 overflow-y-auto">
+            <table className="w-full text-sm text-left">
+              <thead className="text-xs text-gray-500 border-b border-gray-100">
+                <tr>
+                  <th className="py-2 pr-4">Bank reference</th>
+                  <th className="py-2 pr-4">Date</th>
+                  <th className="py-2 pr-4 text-right">Bank amount</th>
+                  <th className="py-2 pr-4 text-right">Transactions</th>
+                  <th className="py-2 pr-4 text-right">Gross</th>
+                  <th className="py-2 pr-4 text-right">Fees</th>
+                  <th className="py-2 pr-4 text-right">Net</th>
+                  <th className="py-2 pr-4 text-right">Difference</th>
+                  <th className="py-2">Matched by</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batches.map(batch => (
+                  <tr key={batch.transaction_reference} className={`border-b border-gray-50 ${batch.amountMatch ? '' : 'bg-red-50'}`}>
+                    <td className="py-2 pr-4 font-mono break-all">{batch.transaction_reference}</td>
+                    <td className="py-2 pr-4">{batch.bank.date || '—'}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(batch.bank.amount, batch.bank.currency)}</td>
+                    <td className="py-2 pr-4 text-right">{batch.provider.length}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(batch.gross, batch.bank.currency)}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(batch.fees, batch.bank.currency)}</td>
+                    <td className="py-2 pr-4 text-right">{formatCurrency(batch.net, batch.bank.currency)}</td>
+                    <td className={`py-2 pr-4 text-right ${batch.amountMatch ? 'text-gray-700' : 'text-red-700 font-semibold'}`}>
+                      {batch.difference === null ? '—' : formatCurrency(batch.difference, batch.bank.currency)}
+                    </td>
+                    <td className="py-2 text-gray-600">{MATCHED_BY_LABELS[batch.matchedBy]}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {unmatchedBank.length > 0 && (
+          <div>
+            <h4 className="font-semibold text-gray-800 mb-2 text-sm">Unmatched bank credits ({unmatchedBank.length})</h4>
+            <div className="space-y-2 max-h-48 overflow-y-auto">
+              {unmatchedBank.map((record, index) => (
+                <div key={index} className="p-3 rounded-lg border border-orange-200 bg-orange-50 flex items-center justify-between text-sm">
+                  <span className="font-mono text-gray-900 break-all">{record.transaction_reference}</span>
+                  <span className="text-gray-700">{record.date || '—'} · {formatCurrency(record.amount, record.currency)}</span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SettlementPanel;
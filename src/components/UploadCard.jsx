@@ -0,0 +1,159 @@
+import React from 'react';
+import { Upload, FileText, CheckCircle, AlertTriangle, XCircle } from 'lucide-react';
+import { ACCEPTED_EXTENSIONS } from '../lib/importers';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import ImportOptions from './ImportOptions';
+import ProviderProfiles from './ProviderProfiles';
+import ValidationReport from './ValidationReport';
+
+const ACCENTS = {
+  blue: {
+    header: 'from-blue-50 to-blue-100 border-blue-200 text-blue-900',
+    icon: 'bg-blue-200 text-blue-700',
+    drop: 'hover:border-blue-300 hover:bg-blue-50',
+    upload: 'bg-blue-100 text-blue-600',
+    progress: 'bg-blue-50 border-blue-200 text-blue-800',
+    cancel: 'text-blue-600 hover:text-blue-800',
+    track: 'bg-blue-100',
+    bar: 'bg-blue-600'
+  },
+  purple: {
+    header: 'from-purple-50 to-purple-100 border-purple-200 text-purple-900',
+    icon: 'bg-purple-200 text-purple-700',
+    drop: 'hover:border-purple-300 hover:bg-purple-50',
+    upload: 'bg-purple-100 text-purple-600',
+    progress: 'bg-purple-50 border-purple-200 text-purple-800',
+    cancel: 'text-purple-600 hover:text-purple-800',
+    track: 'bg-purple-100',
+    bar: 'bg-purple-600'
+  },
+  teal: {
+    header: 'from-teal-50 to-teal-100 border-teal-200 text-teal-900',
+    icon: 'bg-teal-200 text-teal-700',
+    drop: 'hover:border-teal-300 hover:bg-teal-50',
+    upload: 'bg-teal-100 text-teal-600',
+    progress: 'bg-teal-50 border-teal-200 text-teal-800',
+    cancel: 'text-teal-600 hover:text-teal-800',
+    track: 'bg-teal-100',
+    bar: 'bg-teal-600'
+  }
+};
+
+// One input file: upload, import options, column mapping, validation report
+// and the loaded / error state. upload holds the per-side state kept by
+// ReconciliationTool and handlers the callbacks, each taking the side.
+// profiles are the saved provider profiles, whose mappings the mapping wizard
+// offers on every side; profile, the provider side's profile controls, is
+// only given for the provider side.
+const UploadCard = ({ side, title, accent, hint, upload, handlers, profiles, profile, profileHandlers }) => {
+  const colors = ACCENTS[accent];
+  const { progress, pending, validation, file, recordCount, error } = upload;
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border border-gray-100 overflow-hidden hover:shadow-md transition-all duration-300">
+      <div className={`bg-gradient-to-r px-6 py-4 border-b ${colors.header}`}>
+        <h3 className="text-lg sm:text-xl font-semibold flex items-center">
+          <div className={`w-10 h-10 rounded-xl flex items-center justify-center mr-3 ${colors.icon}`}>
+            <FileText size={20} />
+          </div>
+          {title}
+        </h3>
+      </div>
+      <div className="p-6">
+        {profile && <ProviderProfiles key={profile.selected} profile={profile} handlers={profileHandlers} />}
+        <div className={`border-2 border-dashed border-gray-200 rounded-xl p-8 text-center transition-all duration-200 ${colors.drop}`}>
+          <input
+            type="file"
+            accept={ACCEPTED_EXTENSIONS}
+            onChange={(e) => handlers.onUpload(e.target.files[0], side)}
+            className="hidden"
+            id={`${side}-upload`}
+          />
+          <label htmlFor={`${side}-upload`} className="cursor-pointer">
+            <div className={`w-16 h-16 rounded-2xl flex items-center justify-center mx-auto mb-4 ${colors.upload}`}>
+              <Upload size={28} />
+            </div>
+            <p className="text-gray-700 font-medium mb-2">Click to upload a statement file</p>
+            <p className="text-sm text-gray-500">{hint}</p>
+          </label>
+        </div>
+        {progress !== null && (
+          <div className={`mt-4 p-4 border rounded-xl ${colors.progress}`}>
+            <div className="flex items-center justify-between mb-2 text-sm">
+              <span>Reading file... {Math.round(progress * 100)}%</span>
+              <button onClick={() => handlers.onCancelParse(side)} className={colors.cancel}>
+                <XCircle size={16} />
+              </button>
+            </div>
+            <div className={`w-full h-2 rounded-full overflow-hidden ${colors.track}`}>
+              <div className={`h-full transition-all duration-200 ${colors.bar}`} style={{ width: `${Math.round(progress * 100)}%` }}></div>
+            </div>
+          </div>
+        )}
+        {pending && (
+          <ImportOptions
+            key={JSON.stringify(pending.importInfo)}
+            importInfo={pending.importInfo}
+            onChange={(options) => handlers.onUpload(pending.file, side, options)}
+          />
+        )}
+        {pending && (
+          <ColumnMappingWizard
+            key={pending.headers.join('|')}
+            side={side}
+            fileName={pending.file.name}
+            headers={pending.headers}
+            rows={pending.rows}
+            preset={pending.preset}
+            decimalSeparator={pending.parse.decimalSeparator}
+            profiles={profiles}
+            onSaveProfile={profileHandlers.onSaveMapping}
+            onDeleteProfile={profileHandlers.onDelete}
+            onConfirm={(mapping, fileCurrency) => handlers.onMappingConfirm(side, mapping, fileCurrency)}
+            onCancel={() => handlers.onMappingCancel(side)}
+          />
+        )}
+        {validation && (
+          <ValidationReport
+            fileName={validation.file.name}
+            report={validation.report}
+            lineLabel={validation.format === 'json' ? 'Record' : 'Line'}
+            pending={validation.pending}
+            onProceed={() => handlers.onValidationProceed(side)}
+            onCancel={() => handlers.onValidationCancel(side)}
+            onExport={() => handlers.onExportRejected(side)}
+          />
+        )}
+        {file && (
+          <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-xl">
+            <div className="flex items-center">
+              <div className="w-8 h-8 bg-green-200 rounded-lg flex items-center justify-center mr-3">
+                <CheckCircle className="text-green-700" size={16} />
+              </div>
+              <div>
+                <p className="text-sm font-medium text-green-800">{file.name}</p>
+                <p className="text-xs text-green-600">
+                  {file.resultsOnly
+                    ? `${file.rows} rows in the server job's results; upload the file again to re-run`
+                    : `${recordCount} records loaded`}
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+        {error && (
+          <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-xl">
+            <div className="flex items-center">
+              <div className="w-8 h-8 bg-red-200 rounded-lg flex items-center justify-center mr-3">
+                <AlertTriangle className="text-red-700" size={16} />
+              </div>
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default UploadCard;
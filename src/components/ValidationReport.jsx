@@ -0,0 +1,99 @@
+import React from 'react';
+import { ClipboardCheck, Download, CheckCircle, XCircle } from 'lucide-react';
+
+// Issues listed inline; the export has every rejected row
+const MAX_LISTED_ISSUES = 200;
+
+const ValidationReport = ({ fileName, report, lineLabel, pending, onProceed, onCancel, onExport }) => {
+  const { counts, issues } = report;
+  const listed = issues.slice(0, MAX_LISTED_ISSUES);
+
+  return (
+    <div className="mt-4 rounded-xl border border-amber-200 overflow-hidden text-left">
+      <div className="bg-gradient-to-r from-amber-50 to-amber-100 px-4 py-3 border-b border-amber-200">
+        <h4 className="font-semibold text-amber-900 flex items-center">
+          <div className="w-8 h-8 bg-amber-200 rounded-lg flex items-center justify-center mr-3">
+            <ClipboardCheck size={16} />
+          </div>
+          Validation report for {fileName}
+        </h4>
+      </div>
+
+      <div className="p-4 space-y-4">
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-center">
+          {[
+            ['Rows read', counts.total, 'text-gray-900'],
+            ['Valid', counts.valid, 'text-green-700'],
+            ['Rejected', counts.rejected, 'text-red-700'],
+            ['Coerced', counts.coerced, 'text-amber-700']
+          ].map(([label, count, color]) => (
+            <div key={label} className="p-2 bg-gray-50 rounded-lg">
+              <p className={`text-lg font-bold ${color}`}>{count.toLocaleString()}</p>
+              <p className="text-xs text-gray-500">{label}</p>
+            </div>
+          ))}
+        </div>
+
+        {listed.length > 0 && (
+          <div className="max-h-60 overflow-y-auto border border-gray-100 rounded-lg">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-white">
+                <tr className="text-gray-500 border-b border-gray-200">
+                  <th className="text-left py-2 px-2 font-medium">{lineLabel}</th>
+                  <th className="text-left py-2 px-2 font-medium">Reference</th>
+                  <th className="text-left py-2 px-2 font-medium">Column</th>
+                  <th className="text-left py-2 px-2 font-medium">Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {listed.map((issue, index) => (
+                  <tr key={index} className={`border-b border-gray-100 ${issue.severity === 'error' ? 'text-red-800' : 'text-amber-800'}`}>
+                    <td className="py-1 px-2">{issue.line ?? '—'}</td>
+                    <td className="py-1 px-2 font-mono break-all">{issue.reference || '—'}</td>
+                    <td className="py-1 px-2">{issue.column || '—'}</td>
+                    <td className="py-1 px-2">{issue.problem}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {issues.length > listed.length && (
+          <p className="text-xs text-gray-500">
+            Showing the first {MAX_LISTED_ISSUES} of {issues.length.toLocaleString()} issues.
+          </p>
+        )}
+
+        <div className="flex flex-wrap justify-end gap-2">
+          {counts.rejected > 0 && (
+            <button
+              onClick={onExport}
+              className="flex items-center px-4 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+            >
+              <Download size={14} className="mr-1" /> Export rejected rows
+            </button>
+          )}
+          {pending && (
+            <>
+              <button
+                onClick={onCancel}
+                className="flex items-center px-4 py-2 text-sm rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700"
+              >
+                <XCircle size={14} className="mr-1" /> Cancel
+              </button>
+              <button
+                onClick={onProceed}
+                disabled={counts.valid === 0}
+                className="flex items-center px-4 py-2 text-sm rounded-lg bg-green-600 hover:bg-green-700 disabled:bg-gray-400 disabled:cursor-not-allowed text-white"
+              >
+                <CheckCircle size={14} className="mr-1" /> Proceed with {counts.valid.toLocaleString()} valid rows
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
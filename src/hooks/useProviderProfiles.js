@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import {
+  DEFAULT_PARSE_SETTINGS,
+  applyProfileRules,
+  buildProfile,
+  loadProviderProfiles,
+  saveProviderProfile,
+  saveProfileMapping,
+  deleteProviderProfile,
+  importProviderProfiles,
+  parseProfilesJson,
+  profilesToJson
+} from '../lib/providerProfiles';
+import { downloadFile } from '../lib/report';
+
+const NO_PROFILE = { name: '', detected: false };
+
+// Saved provider profiles and the one in use on the provider side. A
+// profile's date format, status groups and tolerances go into the active
+// rules through replaceRules(nextRules).
+const useProviderProfiles = (rules, replaceRules) => {
+  const [profiles, setProfiles] = useState(loadProviderProfiles);
+  // detected when the profile was picked from a file's headers
+  const [active, setActive] = useState(NO_PROFILE);
+  const [parseSettings, setParseSettings] = useState(DEFAULT_PARSE_SETTINGS);
+  // Last mapping confirmed for a provider file, saved with a new profile
+  const [mapping, setMapping] = useState(null);
+  const [error, setError] = useState(null);
+
+  const find = (name) => profiles.find(p => p.name === name) || null;
+
+  // Switch to a profile, or to none with null
+  const apply = (profile, detected = false) => {
+    setActive(profile ? { name: profile.name, detected } : NO_PROFILE);
+    setError(null);
+    if (!profile) return;
+    setParseSettings(profile.parse);
+    replaceRules(applyProfileRules(rules, profile));
+  };
+
+  // Drop a detected profile, since it belonged to the file it came from
+  const clearDetected = () => {
+    if (!active.detected) return;
+    apply(null);
+    setParseSettings(DEFAULT_PARSE_SETTINGS);
+  };
+
+  const save = (name) => {
+    const saved = mapping || find(active.name);
+    setProfiles(saveProviderProfile(buildProfile(name, parseSettings, saved.mapping, saved.fileCurrency, rules)));
+    setActive({ name, detected: false });
+    setError(null);
+  };
+
+  // A mapping saved from the column mapping wizard, for any side
+  const saveMapping = (name, nextMapping, fileCurrency) => {
+    setProfiles(saveProfileMapping(name, nextMapping, fileCurrency));
+  };
+
+  const remove = (name) => {
+    setProfiles(deleteProviderProfile(name));
+    if (active.name === name) setActive(NO_PROFILE);
+  };
+
+  const importJson = (text) => {
+    try {
+      setProfiles(importProviderProfiles(parseProfilesJson(text)));
+      setError(null);
+    } catch (importError) {
+      setError(importError.message);
+    }
+  };
+
+  const exportJson = () => downloadFile(profilesToJson(profiles), 'provider_profiles.json', 'application/json');
+
+  const reset = () => {
+    setMapping(null);
+    clearDetected();
+  };
+
+  return {
+    profiles,
+    active,
+    parseSettings,
+    setParseSettings,
+    mapping,
+    setMapping,
+    error,
+    find,
+    apply,
+    clearDetected,
+    save,
+    saveMapping,
+    remove,
+    importJson,
+    exportJson,
+    reset
+  };
+};
+
+export default useProviderProfiles;
@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { saveSession, loadSession, updateSessionResults } from '../lib/sessions';
+import { loadApiJob, loadApiJobResults } from '../lib/apiJobs';
+
+// Saved runs and the one open. onOpen(session) loads an opened session into
+// the tool; onError(message) reports anything that failed.
+const useSessions = ({ onOpen, onError }) => {
+  const [sessionId, setSessionId] = useState(null);
+  // Bumped whenever saved sessions change so the lists reload
+  const [version, setVersion] = useState(0);
+
+  const refresh = () => setVersion(current => current + 1);
+
+  // Save a finished run so it can be reopened after a refresh
+  const persist = async (session) => {
+    try {
+      const saved = await saveSession(session);
+      setSessionId(saved.id);
+      refresh();
+    } catch (error) {
+      onError(`Results could not be saved: ${error.message}`);
+    }
+  };
+
+  const open = async (id) => {
+    try {
+      const session = await loadSession(id);
+      if (!session) {
+        onError('That session no longer exists');
+        refresh();
+        return;
+      }
+      setSessionId(session.id);
+      onOpen(session);
+    } catch (error) {
+      onError(`Session could not be opened: ${error.message}`);
+    }
+  };
+
+  // A finished API job is copied into a local session so exception work on it
+  // is saved like any other run. The server keeps no records, only results, so
+  // the session is results-only: it can be worked and carried forward from,
+  // but re-running it needs the files uploaded again.
+  const openServerJob = async (id) => {
+    try {
+      const [job, results] = await Promise.all([loadApiJob(id), loadApiJobResults(id)]);
+      const fileInfo = (side) => (job.files[side] ? { name: job.files[side].name, rows: job.files[side].valid } : null);
+      const session = await saveSession({
+        name: job.name,
+        files: { internal: fileInfo('internal'), provider: fileInfo('provider'), bank: fileInfo('bank') },
+        rules: job.rules,
+        period: job.period,
+        resultsOnly: true,
+        internalData: [],
+        providerData: [],
+        results
+      });
+      refresh();
+      await open(session.id);
+    } catch (error) {
+      onError(`Server job could not be opened: ${error.message}`);
+    }
+  };
+
+  // Changes to the open session's results, such as exception work
+  const saveResults = (results) => {
+    if (!sessionId) return;
+    updateSessionResults(sessionId, results)
+      .then(refresh)
+      .catch(error => onError(`Results could not be saved: ${error.message}`));
+  };
+
+  const close = () => setSessionId(null);
+
+  return { sessionId, version, persist, open, openServerJob, saveResults, close };
+};
+
+export default useSessions;
@@ -0,0 +1,187 @@
+// Chart data for the results dashboard. Every bar carries a filter — the
+// detail tab it stands for and a test for that tab's rows — so clicking it
+// narrows the detail list to exactly the rows it counts.
+import { MISMATCH_TYPES, matchMismatchTypes } from './resultColumns.js';
+import { listExceptions, isException, exceptionRecord } from './exceptions.js';
+import { parseDate } from './dates.js';
+
+// Where each exception bucket's rows are listed
+export const EXCEPTION_SERIES = [
+  { key: 'matched', label: 'Matched with issues' },
+  { key: 'internalOnly', label: 'Internal only' },
+  { key: 'providerOnly', label: 'Provider only' },
+  { key: 'timingDifferences', label: 'Timing differences' }
+];
+
+// Times are read from the text so they stay as the file wrote them
+const TIME_PATTERN = /[ T](\d{1,2}):\d{2}/;
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const absAmount = (record) => Math.abs(record.amount ?? 0);
+
+const variance = (match) => (match.internal.amount === null || match.provider.amount === null
+  ? 0
+  : Math.abs(match.internal.amount - match.provider.amount));
+
+const sumOf = (rows, read) => roundCents(rows.reduce((sum, row) => sum + read(row), 0));
+
+const MATCH_ISSUES = ['amount', 'status', 'currency', 'date', 'field'];
+
+// Count and value per kind of discrepancy. Amount mismatches are valued by
+// their variance, everything else by the amount at stake.
+export const discrepanciesByType = (results) => {
+  const matchIssues = MATCH_ISSUES.map(key => {
+    const label = MISMATCH_TYPES.find(type => type.key === key).label;
+    const test = (match) => matchMismatchTypes(match).includes(key);
+    const rows = results.matched.filter(test);
+    return {
+      key,
+      label,
+      count: rows.length,
+      value: sumOf(rows, key === 'amount' ? variance : (match) => absAmount(match.internal)),
+      filter: { tab: 'matched', label, test }
+    };
+  });
+
+  const oneSided = EXCEPTION_SERIES.filter(series => series.key !== 'matched').map(series => {
+    const rows = results[series.key] || [];
+    return {
+      key: series.key,
+      label: series.label,
+      count: rows.length,
+      value: sumOf(rows, (row) => absAmount(series.key === 'timingDifferences' ? row.record : row)),
+      filter: { tab: series.key, label: series.label, test: () => true }
+    };
+  });
+
+  return [...matchIssues, ...oneSided];
+};
+
+const dayOf = (results, bucket, row) => {
+  const [side, record] = exceptionRecord(bucket, row);
+  const timestamp = parseDate(record.date, results.rules.dateFormats[side]);
+  return timestamp === null ? null : new Date(timestamp).toISOString().slice(0, 10);
+};
+
+const hourOf = (results, bucket, row) => {
+  const match = String(exceptionRecord(bucket, row)[1].date ?? '').match(TIME_PATTERN);
+  return match ? Number(match[1]) : null;
+};
+
+// Exceptions per transaction date ('date') or hour of day ('hour'), split by
+// bucket. Hours are null when no record carries a time.
+export const exceptionsOverTime = (results, by) => {
+  const read = by === 'hour' ? hourOf : dayOf;
+  const periods = new Map();
+  let undated = 0;
+
+  listExceptions(results).forEach(({ bucket, row }) => {
+    const period = read(results, bucket, row);
+    if (period === null) {
+      undated += 1;
+      return;
+    }
+    if (!periods.has(period)) periods.set(period, Object.fromEntries(EXCEPTION_SERIES.map(series => [series.key, 0])));
+    periods.get(period)[bucket] += 1;
+  });
+
+  if (by === 'hour' && periods.size === 0) return null;
+
+  const keys = by === 'hour' ? Array.from({ length: 24 }, (_, hour) => hour) : [...periods.keys()].sort();
+  return {
+    undated,
+    periods: keys.map(key => {
+      const label = by === 'hour' ? `${String(key).padStart(2, '0')}:00` : key;
+      const counts = periods.get(key) || {};
+      const segments = EXCEPTION_SERIES.filter(series => counts[series.key]).map(series => ({
+        key: series.key,
+        count: counts[series.key],
+        filter: {
+          tab: series.key,
+          label: `${series.label} on ${label}`,
+          test: (row) => isException(series.key, row) && read(results, series.key, row) === key
+        }
+      }));
+      return { key, label, total: segments.reduce((sum, segment) => sum + segment.count, 0), segments };
+    })
+  };
+};
+
+const statusOf = (record) => record.status || '—';
+
+// Cross-tab of internal status × provider status over every matched pair.
+// cells are keyed "internal|provider"; severity is null where the statuses agree.
+export const statusMatrix = (results) => {
+  const cells = {};
+  results.matched.forEach(match => {
+    const internal = statusOf(match.internal);
+    const provider = statusOf(match.provider);
+    const key = `${internal}|${provider}`;
+    if (!cells[key]) {
+      cells[key] = {
+        internal,
+        provider,
+        count: 0,
+        value: 0,
+        severity: match.statusSeverity,
+        filter: {
+          tab: 'matched',
+          label: `Internal ${internal}, provider ${provider}`,
+          test: (row) => statusOf(row.internal) === internal && statusOf(row.provider) === provider
+        }
+      };
+    }
+    cells[key].count += 1;
+    cells[key].value = roundCents(cells[key].value + absAmount(match.internal));
+  });
+
+  const statuses = (side) => [...new Set(Object.values(cells).map(cell => cell[side]))].sort();
+  return { internalStatuses: statuses('internal'), providerStatuses: statuses('provider'), cells };
+};
+
+// Matched pairs whose statuses disagree, grouped by the two statuses
+export const statusPairs = (results) => {
+  const pairs = new Map();
+  results.matched.filter(match => !match.statusMatch).forEach(match => {
+    const internal = statusOf(match.internal);
+    const provider = statusOf(match.provider);
+    const key = `${internal}|${provider}`;
+    if (!pairs.has(key)) pairs.set(key, { key, internal, provider, count: 0, value: 0 });
+    const pair = pairs.get(key);
+    pair.count += 1;
+    pair.value = roundCents(pair.value + absAmount(match.internal));
+  });
+
+  return [...pairs.values()]
+    .sort((a, b) => b.count - a.count)
+    .map(pair => ({
+      ...pair,
+      label: `${pair.internal} vs ${pair.provider}`,
+      filter: {
+        tab: 'matched',
+        label: `Internal ${pair.internal}, provider ${pair.provider}`,
+        test: (match) => !match.statusMatch
+          && statusOf(match.internal) === pair.internal
+          && statusOf(match.provider) === pair.provider
+      }
+    }));
+};
+
+// The matched references with the largest amount differences
+export const topVariances = (results, limit = 10) =>
+  results.matched
+    .filter(match => variance(match) > 0)
+    .sort((a, b) => variance(b) - variance(a))
+    .slice(0, limit)
+    .map(match => ({
+      key: match.transaction_reference,
+      label: match.transaction_reference,
+      value: roundCents(variance(match)),
+      currency: match.internal.currency,
+      filter: {
+        tab: 'matched',
+        label: `Reference ${match.transaction_reference}`,
+        test: (row) => row.transaction_reference === match.transaction_reference
+      }
+    }));
@@ -0,0 +1,19 @@
+// Client for the jobs API started with `reconflow serve`. The dev server
+// proxies /api to it; VITE_RECONFLOW_API points elsewhere when needed.
+const API_BASE = import.meta.env.VITE_RECONFLOW_API || '/api';
+
+const request = async (path) => {
+  const response = await fetch(`${API_BASE}${path}`);
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `Jobs API answered ${response.status}`);
+  }
+  return response.json();
+};
+
+// Rejects when no API server is reachable
+export const loadApiJobs = () => request('/jobs');
+
+export const loadApiJob = (id) => request(`/jobs/${id}`);
+
+export const loadApiJobResults = (id) => request(`/jobs/${id}/results`);
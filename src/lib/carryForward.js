@@ -0,0 +1,101 @@
+// Carry open exceptions from a previous run into the next one. Carried
+// records are tagged with carriedFrom so a later match can be recognised as
+// clearing them, and so they can be aged from when they were first seen.
+// Open mismatched pairs carry both records, which match again next run and
+// keep their resolution until the mismatch goes away.
+import { listExceptions, getResolution, isClosedStatus, isException, exceptionKey } from './exceptions.js';
+import { referenceKey } from './rules.js';
+import { parseDate } from './dates.js';
+
+const toDay = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+// session: { id, name, createdAt, results } as saved by sessions.js.
+// Returns { source, count, internal, provider } with each record tagged;
+// count is the number of exceptions, a matched pair carrying two records.
+export const collectCarryForward = (session) => {
+  const { results } = session;
+  const carried = { source: { sessionId: session.id, name: session.name }, count: 0, internal: [], provider: [] };
+
+  listExceptions(results).forEach(({ key, bucket, row }) => {
+    const resolution = getResolution(results, key);
+    if (isClosedStatus(resolution.status)) return;
+
+    const records = bucket === 'matched'
+      ? [['internal', row.internal], ['provider', row.provider]]
+      : [[bucket === 'internalOnly' ? 'internal' : bucket === 'providerOnly' ? 'provider' : row.side,
+        bucket === 'timingDifferences' ? row.record : row]];
+    // A pair is dated by its internal record, like its exception
+    const [dateSide, dated] = records[0];
+    const recordDate = parseDate(dated.date, results.rules.dateFormats[dateSide]);
+    const firstSeen = dated.carriedFrom?.firstSeen
+      || (recordDate !== null ? toDay(recordDate) : toDay(Date.parse(session.createdAt)));
+
+    carried.count += 1;
+    records.forEach(([side, record]) => carried[side].push({
+      ...record,
+      carriedFrom: {
+        sessionId: session.id,
+        sessionName: session.name,
+        bucket,
+        firstSeen,
+        resolution: resolution.status === 'open' && !resolution.note ? null : resolution
+      }
+    }));
+  });
+
+  return carried;
+};
+
+// Add carried records to this run's file. A re-exported row is the same
+// transaction, not a duplicate: its new values win, but it keeps the carry
+// tag so its history and resolution come along.
+export const mergeCarriedForward = (records, carried = [], rules) => {
+  if (carried.length === 0) return records;
+  const pending = new Map(carried.map(record => [referenceKey(record.transaction_reference, rules), record]));
+  const merged = records.map(record => {
+    const key = referenceKey(record.transaction_reference, rules);
+    const previous = pending.get(key);
+    if (!previous) return record;
+    pending.delete(key);
+    return { ...record, carriedFrom: previous.carriedFrom };
+  });
+  return [...merged, ...pending.values()];
+};
+
+const carriedOf = (match) => match.internal.carriedFrom || match.provider.carriedFrom;
+
+// Carried records that matched cleanly this time, and the earlier resolutions
+// of the ones still open so the workflow picks up where it left off. A carried
+// pair that still mismatches stays open rather than cleared.
+export const carryForwardOutcome = (results, source) => {
+  const stillOpen = (match) => carriedOf(match).bucket === 'matched' && isException('matched', match);
+  const cleared = results.matched
+    .filter(match => carriedOf(match) && !stillOpen(match))
+    .map(match => ({
+      transaction_reference: match.transaction_reference,
+      side: match.internal.carriedFrom ? 'internal' : 'provider',
+      carriedFrom: (match.internal.carriedFrom || match.provider.carriedFrom)
+    }));
+
+  const resolutions = {};
+  results.matched.forEach(match => {
+    if (carriedOf(match)?.resolution && stillOpen(match)) resolutions[exceptionKey('matched', match)] = carriedOf(match).resolution;
+  });
+  ['internalOnly', 'providerOnly', 'timingDifferences'].forEach(bucket => {
+    results[bucket].forEach(row => {
+      const record = bucket === 'timingDifferences' ? row.record : row;
+      if (record.carriedFrom?.resolution) resolutions[exceptionKey(bucket, row)] = record.carriedFrom.resolution;
+    });
+  });
+
+  const at = new Date().toISOString();
+  const auditLog = cleared.map(({ transaction_reference, side, carriedFrom }) => ({
+    at,
+    user: 'system',
+    action: 'auto-clear',
+    reference: transaction_reference,
+    details: `Carried ${side} exception from "${carriedFrom.sessionName}" matched in this run`
+  }));
+
+  return { carryForward: { source, cleared }, resolutions, auditLog };
+};
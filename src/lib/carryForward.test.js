@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { reconcile } from './reconcile.js';
+import { collectCarryForward } from './carryForward.js';
+
+const record = (reference, amount, status = 'completed') => ({
+  transaction_reference: reference,
+  amount,
+  status,
+  date: '2024-03-10',
+  currency: 'KES',
+  batch: null,
+  original_reference: null,
+  fee: null,
+  commission: null,
+  tax: null
+});
+
+const session = (results, resolutions = {}) => ({
+  id: 's1',
+  name: 'March',
+  createdAt: '2024-04-01T00:00:00.000Z',
+  results: { ...results, resolutions }
+});
+
+const investigating = { status: 'investigating', reasonCode: 'fee', note: 'Asked the provider' };
+
+describe('carry forward', () => {
+  it('carries open mismatched pairs with their resolution', () => {
+    const march = reconcile([record('A1', 100), record('A2', 50)], [record('A1', 90), record('A2', 50)]);
+    const carried = collectCarryForward(session(march, { 'matched:A1': investigating }));
+
+    expect(carried.count).toBe(1);
+    expect(carried.internal.map(r => r.transaction_reference)).toEqual(['A1']);
+    expect(carried.provider.map(r => r.transaction_reference)).toEqual(['A1']);
+
+    const april = reconcile([record('B1', 10)], [record('B1', 10)], { carriedForward: carried });
+
+    expect(april.amountMismatches.map(m => m.transaction_reference)).toEqual(['A1']);
+    expect(april.resolutions['matched:A1']).toEqual(investigating);
+    expect(april.carryForward.cleared).toEqual([]);
+    expect(april.summary.carriedForwardCount).toBe(1);
+  });
+
+  it('clears a carried pair once the mismatch is gone', () => {
+    const march = reconcile([record('A1', 100)], [record('A1', 90)]);
+    const carried = collectCarryForward(session(march));
+
+    const april = reconcile([], [record('A1', 100)], { carriedForward: carried });
+
+    expect(april.amountMismatches).toEqual([]);
+    expect(april.carryForward.cleared.map(c => c.transaction_reference)).toEqual(['A1']);
+  });
+
+  it('keeps the history of a carried record that is exported again', () => {
+    const march = reconcile([record('A1', 100), record('A2', 50)], [record('A1', 90), record('A2', 50)]);
+    const carried = collectCarryForward(session(march, { 'matched:A1': investigating }));
+
+    const april = reconcile([record('A1', 100)], [record('A1', 95)], { carriedForward: carried });
+
+    expect(april.amountMismatches[0].provider).toMatchObject({ amount: 95, carriedFrom: { sessionName: 'March' } });
+    expect(april.resolutions['matched:A1']).toEqual(investigating);
+    expect(april.summary.carriedForwardCount).toBe(1);
+  });
+
+  it('counts carried records in the summary totals', () => {
+    const march = reconcile([record('A1', 100)], []);
+    const carried = collectCarryForward(session(march));
+
+    const april = reconcile([record('B1', 10)], [record('A1', 100), record('B1', 10)], { carriedForward: carried });
+
+    expect(april.summary).toMatchObject({ totalInternal: 2, totalProvider: 2, matchedCount: 2, totalInternalValue: 110 });
+  });
+
+  it('leaves closed exceptions behind', () => {
+    const march = reconcile([record('A1', 100), record('A2', 5)], [record('A1', 90)]);
+    const carried = collectCarryForward(session(march, { 'matched:A1': { status: 'resolved', reasonCode: '', note: '' } }));
+
+    expect(carried.count).toBe(1);
+    expect(carried.internal.map(r => r.transaction_reference)).toEqual(['A2']);
+    expect(carried.provider).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+// Column mapping between an uploaded file's headers and the fields the
+// engine understands. Headers arrive already snake-cased by transformHeader.
+import { validateRows } from './validation.js';
+
+export const MAPPING_FIELDS = [
+  { key: 'reference', label: 'Reference', required: true },
+  { key: 'amount', label: 'Amount', required: false },
+  { key: 'status', label: 'Status', required: false },
+  { key: 'date', label: 'Date', required: false },
+  { key: 'currency', label: 'Currency', required: false },
+  // Provider settlement batch / payout id and per-transaction deductions, used
+  // to match bank settlements and to explain amount differences
+  { key: 'batch', label: 'Settlement batch', required: false },
+  { key: 'fee', label: 'Fee', required: false },
+  { key: 'commission', label: 'Commission', required: false },
+  { key: 'tax', label: 'Tax', required: false },
+  // Reference of the transaction a reversal, refund or chargeback undoes
+  { key: 'originalReference', label: 'Original reference', required: false }
+];
+
+// Known header spellings per field, compared with punctuation stripped
+const FIELD_SYNONYMS = {
+  reference: [
+    'transactionreference', 'reference', 'ref', 'transactionref', 'transactionid', 'txnid', 'txnref',
+    'receiptno', 'receiptnumber', 'receipt', 'mpesareceipt', 'paymentreference', 'externalreference'
+  ],
+  amount: ['amount', 'paidin', 'amt', 'transactionamount', 'value', 'credit', 'total', 'grossamount'],
+  status: ['status', 'transactionstatus', 'state', 'paymentstatus', 'result'],
+  date: ['date', 'transactiondate', 'completiontime', 'createdat', 'timestamp', 'valuedate', 'postingdate'],
+  currency: ['currency', 'currencycode', 'ccy', 'curr'],
+  batch: ['settlementbatch', 'batch', 'batchid', 'batchno', 'settlementid', 'payoutid', 'payoutreference', 'settlementreference'],
+  fee: ['fee', 'fees', 'charge', 'charges', 'transactionfee', 'processingfee', 'servicefee'],
+  commission: ['commission', 'commissions', 'commissionamount', 'mdr', 'merchantdiscount'],
+  tax: ['tax', 'taxes', 'taxamount', 'vat', 'exciseduty', 'withholdingtax'],
+  originalReference: [
+    'originalreference', 'originalref', 'originaltransaction', 'originaltransactionid', 'parentreference',
+    'reversalof', 'refundof', 'relatedreference'
+  ]
+};
+
+const compact = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const emptyMapping = () =>
+  MAPPING_FIELDS.reduce((mapping, field) => ({ ...mapping, [field.key]: '' }), {});
+
+// Best guess at a mapping: exact synonym first, then headers that contain one
+export const suggestMapping = (headers) => {
+  const mapping = emptyMapping();
+  const used = new Set();
+
+  const pick = (field, predicate) => {
+    if (mapping[field]) return;
+    const header = headers.find(h => !used.has(h) && FIELD_SYNONYMS[field].some(s => predicate(compact(h), s)));
+    if (header) {
+      mapping[field] = header;
+      used.add(header);
+    }
+  };
+
+  MAPPING_FIELDS.forEach(({ key }) => pick(key, (h, s) => h === s));
+  MAPPING_FIELDS.forEach(({ key }) => pick(key, (h, s) => s.length > 3 && h.includes(s)));
+
+  return mapping;
+};
+
+export const isMappingComplete = (mapping) =>
+  MAPPING_FIELDS.every(field => !field.required || Boolean(mapping[field.key]));
+
+// True when every column the mapping refers to exists in the file
+export const mappingFitsHeaders = (mapping, headers) =>
+  Object.values(mapping).every(header => !header || headers.includes(header));
+
+// Turn parsed rows into engine records, keeping the original columns alongside.
+// fileCurrency is used for rows when the file has no currency column.
+// Rows that fail validation are left out; see validateRows for the report and options.
+export const applyMapping = (rows, mapping, fileCurrency = null, options = {}) =>
+  validateRows(rows, mapping, fileCurrency, options).records;
@@ -0,0 +1,19 @@
+// Papa.parse settings shared by every place that reads a statement file.
+
+export const CSV_PARSE_OPTIONS = {
+  header: true,
+  skipEmptyLines: true,
+  dynamicTyping: true,
+  transformHeader: (header) => header.trim().toLowerCase().replace(/\s+/g, '_')
+};
+
+// The shared settings adjusted by a provider profile's parse settings (see
+// providerProfiles.js). With a decimal comma dynamicTyping is turned off, or
+// Papa would read "1.250" as one and a quarter.
+export const csvParseOptions = (parse = {}) => ({
+  ...CSV_PARSE_OPTIONS,
+  delimiter: parse.delimiter || '',
+  ...(parse.encoding && { encoding: parse.encoding }),
+  skipFirstNLines: parse.skipRows || 0,
+  dynamicTyping: parse.decimalSeparator !== ','
+});
@@ -0,0 +1,70 @@
+// Date helpers for the matching passes. Statement dates come in whatever
+// layout the exporting system uses, so each side can name its format.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DATE_FORMATS = [
+  { key: 'auto', label: 'Auto (ISO 8601)' },
+  { key: 'YYYY-MM-DD', label: 'YYYY-MM-DD' },
+  { key: 'DD/MM/YYYY', label: 'DD/MM/YYYY' },
+  { key: 'MM/DD/YYYY', label: 'MM/DD/YYYY' },
+  { key: 'DD-MM-YYYY', label: 'DD-MM-YYYY' },
+  { key: 'DD.MM.YYYY', label: 'DD.MM.YYYY' },
+  { key: 'YYYYMMDD', label: 'YYYYMMDD' }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+// Compile "DD/MM/YYYY" into a regex with named parts and an optional time
+const compileFormat = (format) => {
+  // Without separators ("YYYYMMDD") day and month must be two digits
+  const digits = /[^YMD]/.test(format) ? '\\d{1,2}' : '\\d{2}';
+  const pattern = format
+    .split(/(YYYY|MM|DD)/)
+    .map(part => {
+      if (part === 'YYYY') return '(?<year>\\d{4})';
+      if (part === 'MM') return `(?<month>${digits})`;
+      if (part === 'DD') return `(?<day>${digits})`;
+      return escapeRegExp(part);
+    })
+    .join('');
+  return new RegExp(`^${pattern}(?:[ T](?<hour>\\d{1,2}):(?<minute>\\d{2})(?::(?<second>\\d{2}))?)?$`);
+};
+
+const compiledFormats = new Map();
+
+// Parse a record's date into a timestamp, or null when it can't be read
+export const parseDate = (value, format = 'auto') => {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+
+  if (format === 'auto') {
+    const timestamp = Date.parse(text);
+    return Number.isNaN(timestamp) ? null : timestamp;
+  }
+
+  if (!compiledFormats.has(format)) compiledFormats.set(format, compileFormat(format));
+  const match = text.match(compiledFormats.get(format));
+  if (!match) return null;
+
+  const { year, month, day, hour = 0, minute = 0, second = 0 } = match.groups;
+  const timestamp = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  // Reject rollovers such as 31/02
+  return new Date(timestamp).getUTCDate() === Number(day) ? timestamp : null;
+};
+
+// Days from a to b, negative when b is earlier; null when either is missing
+export const daysBetween = (a, b) => {
+  if (a === null || b === null) return null;
+  return (b - a) / DAY_MS;
+};
+
+// Days between two timestamps in either direction
+export const daysApart = (a, b) => {
+  const days = daysBetween(a, b);
+  return days === null ? null : Math.abs(days);
+};
+
+export const startOfDay = (timestamp) => Math.floor(timestamp / DAY_MS) * DAY_MS;
+
+export const addDays = (timestamp, days) => timestamp + days * DAY_MS;
@@ -0,0 +1,175 @@
+// Exception workflow: every mismatch, one-sided record and timing difference
+// can be worked to a resolution. Resolutions and the audit log live on the
+// results object so they are saved and exported with the run.
+import { matchedTable } from './resultColumns.js';
+import { parseDate, daysBetween } from './dates.js';
+
+export const EXCEPTION_STATUSES = [
+  { key: 'open', label: 'Open', closed: false },
+  { key: 'investigating', label: 'Investigating', closed: false },
+  { key: 'awaiting-provider', label: 'Awaiting provider', closed: false },
+  { key: 'resolved', label: 'Resolved', closed: true },
+  { key: 'written-off', label: 'Written off', closed: true }
+];
+
+export const REASON_CODES = [
+  { key: '', label: 'No reason code' },
+  { key: 'timing', label: 'Timing / settlement delay' },
+  { key: 'fee', label: 'Provider fee deducted' },
+  { key: 'duplicate', label: 'Duplicate transaction' },
+  { key: 'data-entry', label: 'Data entry error' },
+  { key: 'reversal', label: 'Reversal or refund' },
+  { key: 'missing-callback', label: 'Missing provider callback' },
+  { key: 'fraud', label: 'Suspected fraud' },
+  { key: 'other', label: 'Other' }
+];
+
+const REVIEWER_STORAGE_KEY = 'reconflow.reviewer';
+
+// Buckets that hold exceptions and how to key and read their rows
+const EXCEPTION_BUCKETS = {
+  matched: {
+    key: (match) => `matched:${match.transaction_reference}`,
+    reference: (match) => match.transaction_reference,
+    isException: matchedTable.isFlagged
+  },
+  internalOnly: {
+    key: (record) => `internal:${record.transaction_reference}`,
+    reference: (record) => record.transaction_reference,
+    isException: () => true
+  },
+  providerOnly: {
+    key: (record) => `provider:${record.transaction_reference}`,
+    reference: (record) => record.transaction_reference,
+    isException: () => true
+  },
+  timingDifferences: {
+    key: (item) => `timing:${item.side}:${item.record.transaction_reference}`,
+    reference: (item) => item.record.transaction_reference,
+    isException: () => true
+  }
+};
+
+export const exceptionKey = (bucket, row) => EXCEPTION_BUCKETS[bucket].key(row);
+
+export const isException = (bucket, row) => Boolean(EXCEPTION_BUCKETS[bucket]?.isException(row));
+
+export const isClosedStatus = (status) => Boolean(EXCEPTION_STATUSES.find(s => s.key === status)?.closed);
+
+export const getResolution = (results, key) => results.resolutions?.[key] || { status: 'open', reasonCode: '', note: '' };
+
+// [{ key, bucket, reference, row }] for every exception in the results
+export const listExceptions = (results) =>
+  Object.entries(EXCEPTION_BUCKETS).flatMap(([bucket, definition]) =>
+    (results[bucket] || [])
+      .filter(definition.isException)
+      .map(row => ({ key: definition.key(row), bucket, reference: definition.reference(row), row })));
+
+export const exceptionCounts = (results) => {
+  const exceptions = listExceptions(results);
+  const resolved = exceptions.filter(({ key }) => isClosedStatus(getResolution(results, key).status)).length;
+  return { total: exceptions.length, open: exceptions.length - resolved, resolved };
+};
+
+export const AGE_BUCKETS = [
+  { key: '0-7', label: '0–7 days', maxDays: 7 },
+  { key: '8-30', label: '8–30 days', maxDays: 30 },
+  { key: '30+', label: '30+ days', maxDays: Infinity }
+];
+
+// [side, record] an exception row is dated by; matched pairs use the internal side
+export const exceptionRecord = (bucket, row) => (bucket === 'matched' ? ['internal', row.internal]
+  : bucket === 'timingDifferences' ? [row.side, row.record]
+    : [bucket === 'internalOnly' ? 'internal' : 'provider', row]);
+
+// When an exception was first seen: carried-forward records keep their
+// original date, others use the transaction date
+const firstSeen = (results, bucket, row) => {
+  const [side, record] = exceptionRecord(bucket, row);
+  if (record.carriedFrom) return parseDate(record.carriedFrom.firstSeen);
+  return parseDate(record.date, results.rules.dateFormats[side]);
+};
+
+// Open exceptions counted by age as of a timestamp; undated ones count as new
+export const exceptionAging = (results, asOf) => {
+  const counts = Object.fromEntries(AGE_BUCKETS.map(bucket => [bucket.key, 0]));
+  listExceptions(results).forEach(({ key, bucket, row }) => {
+    if (isClosedStatus(getResolution(results, key).status)) return;
+    const since = firstSeen(results, bucket, row);
+    const age = since === null || since > asOf ? 0 : Math.floor(daysBetween(since, asOf));
+    counts[AGE_BUCKETS.find(b => age <= b.maxDays).key] += 1;
+  });
+  return counts;
+};
+
+// Add an entry to the audit log; returns new results
+export const recordAudit = (results, entry) => ({
+  ...results,
+  auditLog: [...(results.auditLog || []), { at: new Date().toISOString(), ...entry }]
+});
+
+// Apply { status, reasonCode, note } changes to one exception and log what
+// changed. Returns the results unchanged when nothing did.
+export const updateException = (results, key, reference, changes, user) => {
+  const current = getResolution(results, key);
+  const changed = Object.keys(changes).filter(field => (changes[field] ?? '') !== (current[field] ?? ''));
+  if (changed.length === 0) return results;
+
+  const updatedAt = new Date().toISOString();
+  const next = {
+    ...results,
+    resolutions: { ...results.resolutions, [key]: { ...current, ...changes, updatedAt, updatedBy: user } }
+  };
+  return recordAudit(next, {
+    user,
+    action: 'update-exception',
+    key,
+    reference,
+    changes: changed.reduce((diff, field) => ({ ...diff, [field]: { from: current[field] ?? '', to: changes[field] } }), {})
+  });
+};
+
+// Audit entries for one exception, newest first
+export const exceptionHistory = (results, key) =>
+  (results.auditLog || []).filter(entry => entry.key === key).reverse();
+
+const describeChanges = (changes = {}) =>
+  Object.entries(changes).map(([field, { from, to }]) => `${field}: "${from}" -> "${to}"`).join('; ');
+
+// Flat rows for CSV export
+export const auditLogForExport = (results) =>
+  (results.auditLog || []).map(entry => ({
+    at: entry.at,
+    user: entry.user,
+    action: entry.action,
+    transaction_reference: entry.reference || '',
+    exception: entry.key || '',
+    changes: describeChanges(entry.changes),
+    details: entry.details || ''
+  }));
+
+export const exceptionsForExport = (results) =>
+  listExceptions(results).map(({ key, bucket, reference }) => {
+    const resolution = getResolution(results, key);
+    return {
+      transaction_reference: reference,
+      bucket,
+      status: resolution.status,
+      reason_code: resolution.reasonCode,
+      note: resolution.note,
+      updated_at: resolution.updatedAt || '',
+      updated_by: resolution.updatedBy || ''
+    };
+  });
+
+export const loadReviewer = () => {
+  try {
+    return localStorage.getItem(REVIEWER_STORAGE_KEY) || '';
+  } catch {
+    return '';
+  }
+};
+
+export const saveReviewer = (name) => {
+  localStorage.setItem(REVIEWER_STORAGE_KEY, name);
+};
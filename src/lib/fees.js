@@ -0,0 +1,63 @@
+// Fee decomposition for amount mismatches. Providers often report amounts net
+// of fees, commission or tax; the deductions are read from those columns when
+// the files have them, otherwise worked out from the fee schedule in the
+// rules, and whatever the deductions don't explain is the residual.
+import { amountTolerance } from './rules.js';
+
+// Optional mapped columns holding amounts deducted from a transaction
+export const DEDUCTION_FIELDS = [
+  { key: 'fee', label: 'Fee' },
+  { key: 'commission', label: 'Commission' },
+  { key: 'tax', label: 'Tax' }
+];
+
+export const AMOUNT_EXPLANATIONS = [
+  { key: 'fee', label: 'Explained by fees' },
+  { key: 'partial', label: 'Partial payment / refund' },
+  { key: 'unexplained', label: 'Unexplained' }
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Total of a record's deduction columns, or null when it has none filled in
+export const recordedDeductions = (record) => {
+  const values = DEDUCTION_FIELDS.map(({ key }) => record[key]).filter(value => typeof value === 'number');
+  return values.length ? roundCents(values.reduce((sum, value) => sum + value, 0)) : null;
+};
+
+// Fee plus tax on the fee for an amount, from the tier covering it: the first
+// tier, by upTo, the amount doesn't exceed; a tier without upTo covers the rest.
+// null when the schedule has no tier for the amount.
+export const scheduledDeductions = (amount, schedule) => {
+  const tier = [...(schedule?.tiers || [])]
+    .sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+    .find(t => t.upTo === null || t.upTo === undefined || Math.abs(amount) <= t.upTo);
+  if (!tier) return null;
+  const fee = (tier.flat || 0) + Math.abs(amount) * (tier.percent || 0) / 100;
+  return roundCents(fee + fee * (schedule.taxPercent || 0) / 100);
+};
+
+// Split the difference between two amounts into deductions and a residual.
+// source is 'columns', 'schedule' or null when nothing was deducted.
+export const decomposeAmount = (internalRecord, providerRecord, rules) => {
+  const recorded = recordedDeductions(providerRecord) ?? recordedDeductions(internalRecord);
+  const scheduled = recorded === null ? scheduledDeductions(internalRecord.amount, rules.feeSchedule) : null;
+  const deductions = recorded ?? scheduled ?? 0;
+  const source = recorded !== null ? 'columns' : scheduled !== null ? 'schedule' : null;
+
+  // Deductions reduce the size of the amount, whichever way the money moves
+  const expectedNet = roundCents(internalRecord.amount - Math.sign(internalRecord.amount) * deductions);
+  const residual = roundCents(providerRecord.amount - expectedNet);
+
+  let explanation = 'unexplained';
+  if (deductions !== 0 && Math.abs(residual) <= amountTolerance(expectedNet, rules)) {
+    explanation = 'fee';
+  } else if (Math.sign(providerRecord.amount) === Math.sign(expectedNet) && Math.abs(providerRecord.amount) < Math.abs(expectedNet)) {
+    // Part of the money moved: a part payment, or a partial refund on a negative amount
+    explanation = 'partial';
+  }
+
+  return { deductions, source, expectedNet, residual, explanation };
+};
+
+export const amountExplanationLabel = (key) => AMOUNT_EXPLANATIONS.find(e => e.key === key)?.label || key;
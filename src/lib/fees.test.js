@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { scheduledDeductions, decomposeAmount } from './fees.js';
+import { resolveRules } from './rules.js';
+import { reconcile } from './reconcile.js';
+
+const record = (reference, amount, extra = {}) => ({
+  transaction_reference: reference,
+  amount,
+  status: 'completed',
+  date: '2024-03-10',
+  currency: 'KES',
+  batch: null,
+  original_reference: null,
+  fee: null,
+  commission: null,
+  tax: null,
+  ...extra
+});
+
+// Listed out of order on purpose; tiers are taken by upTo
+const SCHEDULE = {
+  tiers: [
+    { upTo: 5000, percent: 1 },
+    { percent: 0.5 },
+    { upTo: 1000, flat: 10 }
+  ],
+  taxPercent: 0
+};
+
+describe('scheduledDeductions', () => {
+  it.each([
+    [1000, 10],
+    [1001, 10.01],
+    [5000, 50],
+    [6000, 30],
+    [-1000, 10]
+  ])('charges %s by the tier covering it', (amount, expected) => {
+    expect(scheduledDeductions(amount, SCHEDULE)).toBe(expected);
+  });
+
+  it('adds tax on the fee', () => {
+    expect(scheduledDeductions(1000, { ...SCHEDULE, taxPercent: 20 })).toBe(12);
+  });
+
+  it('is null when no tier covers the amount', () => {
+    expect(scheduledDeductions(200, { tiers: [{ upTo: 100, flat: 1 }] })).toBeNull();
+    expect(scheduledDeductions(200, undefined)).toBeNull();
+  });
+});
+
+describe('net against gross', () => {
+  const rules = resolveRules({ feeSchedule: SCHEDULE, amountTolerance: { absolute: 0.5, percent: 0 } });
+
+  it('explains a fee variance within the amount tolerance', () => {
+    const breakdown = decomposeAmount(record('A1', 1000), record('A1', 989.6), rules);
+
+    expect(breakdown).toMatchObject({ deductions: 10, source: 'schedule', expectedNet: 990, residual: -0.4, explanation: 'fee' });
+  });
+
+  it('leaves a fee variance outside the tolerance as a partial payment', () => {
+    const breakdown = decomposeAmount(record('A1', 1000), record('A1', 989), rules);
+
+    expect(breakdown).toMatchObject({ expectedNet: 990, residual: -1, explanation: 'partial' });
+  });
+
+  it('prefers the fee columns to the schedule', () => {
+    const breakdown = decomposeAmount(record('A1', 1000), record('A1', 985, { fee: 12, tax: 3 }), rules);
+
+    expect(breakdown).toMatchObject({ deductions: 15, source: 'columns', residual: 0, explanation: 'fee' });
+  });
+
+  it('matches pairs the fees explain and files the rest as amount mismatches', () => {
+    const results = reconcile(
+      [record('A1', 1000), record('A2', 1000)],
+      [record('A1', 989.6), record('A2', 989)],
+      { rules, fuzzyMatching: false }
+    );
+
+    expect(results.matched.map(pair => [pair.transaction_reference, pair.amountMatch, pair.feeExplained]))
+      .toEqual([['A1', true, true], ['A2', false, false]]);
+    expect(results.amountMismatches.map(pair => pair.transaction_reference)).toEqual(['A2']);
+  });
+
+  it('accepts a shortfall within the fee tolerance, but not an overpayment', () => {
+    const feeRules = resolveRules({ feeTolerance: { percent: 1, flat: 0 } });
+    const results = reconcile(
+      [record('A1', 1000), record('A2', 1000), record('A3', 1000)],
+      [record('A1', 990), record('A2', 989), record('A3', 1005)],
+      { rules: feeRules, fuzzyMatching: false }
+    );
+
+    expect(results.amountMismatches.map(pair => pair.transaction_reference)).toEqual(['A2', 'A3']);
+    expect(results.matched.find(pair => pair.transaction_reference === 'A1').feeExplained).toBe(true);
+  });
+});
@@ -0,0 +1,48 @@
+// Display formatting shared across the result panels. The locale and the
+// currency used for records without one are user settings, kept in
+// localStorage when it is available.
+
+const DISPLAY_SETTINGS_STORAGE_KEY = 'reconflow.displaySettings';
+
+export const DEFAULT_DISPLAY_SETTINGS = {
+  locale: 'en-KE',
+  currency: 'KES'
+};
+
+export const LOCALE_OPTIONS = ['en-KE', 'en-UG', 'en-US', 'en-GB', 'sw-KE', 'fr-FR'];
+
+const loadDisplaySettings = () => {
+  try {
+    const stored = typeof localStorage === 'undefined' ? null : localStorage.getItem(DISPLAY_SETTINGS_STORAGE_KEY);
+    return { ...DEFAULT_DISPLAY_SETTINGS, ...JSON.parse(stored) };
+  } catch {
+    return { ...DEFAULT_DISPLAY_SETTINGS };
+  }
+};
+
+let displaySettings = loadDisplaySettings();
+
+export const getDisplaySettings = () => displaySettings;
+
+export const setDisplaySettings = (settings) => {
+  displaySettings = { ...displaySettings, ...settings };
+  if (typeof localStorage !== 'undefined') {
+    localStorage.setItem(DISPLAY_SETTINGS_STORAGE_KEY, JSON.stringify(displaySettings));
+  }
+  return displaySettings;
+};
+
+export const formatCurrency = (amount, currency) => {
+  if (amount === null || amount === undefined) return 'N/A';
+  const code = currency || displaySettings.currency;
+  try {
+    return new Intl.NumberFormat(displaySettings.locale, {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: 2
+    }).format(amount);
+  } catch {
+    // Unknown currency code in the file: still show the number
+    return `${code} ${Number(amount).toFixed(2)}`;
+  }
+};
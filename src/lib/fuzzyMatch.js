@@ -0,0 +1,330 @@
+// Second matching pass over the Internal Only / Provider Only leftovers.
+// Nothing here moves records on its own: it proposes candidate matches with
+// a confidence score, and acceptProposedMatch / rejectProposedMatch apply the
+// reviewer's decision to a results object.
+import { compareRecords, fileMatch, summarize } from './matchResult.js';
+import { parseDate, daysApart, startOfDay, addDays } from './dates.js';
+import { resolveRules, compareAmounts } from './rules.js';
+
+export const DEFAULT_FUZZY_OPTIONS = {
+  dateWindowDays: 3,
+  minConfidence: 0.6,
+  // Equal amounts on the same day alone clear minConfidence, so a one-to-one
+  // pair also needs references at least this alike
+  minReferenceSimilarity: 0.5,
+  maxGroupSize: 5,
+  maxGroupCandidates: 12
+};
+
+// Candidate scoring is heavier per record than exact matching, so report more often
+const PROGRESS_INTERVAL = 1000;
+
+const toCents = (amount) => Math.round(amount * 100);
+
+// Case-fold, drop punctuation and leading zeros of each number: "TXN-000123" -> "txn123"
+export const normalizeReference = (ref) =>
+  String(ref ?? '').toLowerCase().replace(/[^a-z0-9]/g, '').replace(/(^|[a-z])0+(?=\d)/g, '$1');
+
+// Digits of a reference without leading zeros, e.g. "TXN-000123" -> "123"
+const referenceCore = (ref) => {
+  const digits = String(ref ?? '').replace(/\D/g, '').replace(/^0+/, '');
+  return digits.length >= 4 ? digits : null;
+};
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 0..1 similarity between two references after normalization
+export const referenceSimilarity = (a, b) => {
+  const left = normalizeReference(a);
+  const right = normalizeReference(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const scores = [1 - levenshtein(left, right) / Math.max(left.length, right.length)];
+  const core = referenceCore(a);
+  if (core && core === referenceCore(b)) scores.push(0.9);
+  if (left.includes(right) || right.includes(left)) scores.push(0.85);
+
+  return Math.max(...scores);
+};
+
+// 1 for same day, falling to 0 at the edge of the window; 0.5 when unknown
+const dateScore = (days, window) => (days === null ? 0.5 : Math.max(0, 1 - days / (window + 1)));
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const describeDays = (days) => {
+  if (days === null) return 'No date to compare';
+  const whole = Math.round(days);
+  return whole === 0 ? 'Same day' : `Dates ${whole} day${whole === 1 ? '' : 's'} apart`;
+};
+
+// Records without a currency are assumed to be in the other side's currency
+const sameCurrency = (a, b) => !a.currency || !b.currency || a.currency === b.currency;
+
+const indexBy = (records, keyOf) => {
+  const index = new Map();
+  records.forEach(record => {
+    const key = keyOf(record);
+    if (key === null || key === undefined) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(record);
+  });
+  return index;
+};
+
+// One provider row against one internal row
+const proposeOneToOne = (internalOnly, providerOnly, options) => {
+  const { rules, dateWindowDays, minConfidence, minReferenceSimilarity, onProgress } = options;
+  const internalDates = new Map(internalOnly.map(record => [record, parseDate(record.date, rules.dateFormats.internal)]));
+  const byCents = indexBy(internalOnly, record => (record.amount === null ? null : toCents(record.amount)));
+  const byCore = indexBy(internalOnly, record => referenceCore(record.transaction_reference));
+  const candidates = [];
+
+  providerOnly.forEach((provider, index) => {
+    if (onProgress && ((index + 1) % PROGRESS_INTERVAL === 0 || index + 1 === providerOnly.length)) {
+      onProgress({ stage: 'proposing', done: index + 1, total: providerOnly.length });
+    }
+    const providerDate = parseDate(provider.date, rules.dateFormats.provider);
+    const pool = new Set(byCore.get(referenceCore(provider.transaction_reference)) || []);
+    if (provider.amount !== null) {
+      const cents = toCents(provider.amount);
+      [cents - 1, cents, cents + 1].forEach(key => (byCents.get(key) || []).forEach(record => pool.add(record)));
+    }
+
+    pool.forEach(internal => {
+      if (!sameCurrency(internal, provider)) return;
+      const amountEqual = internal.amount !== null && provider.amount !== null &&
+        compareAmounts(internal.amount, provider.amount, rules).match;
+      const similarity = referenceSimilarity(internal.transaction_reference, provider.transaction_reference);
+      if (similarity < minReferenceSimilarity || (!amountEqual && similarity < 0.85)) return;
+
+      const days = daysApart(internalDates.get(internal), providerDate);
+      if (days !== null && days > dateWindowDays) return;
+
+      const confidence = 0.45 * (amountEqual ? 1 : 0) + 0.35 * similarity + 0.2 * dateScore(days, dateWindowDays);
+      if (confidence < minConfidence) return;
+
+      candidates.push({
+        matchType: 'fuzzy',
+        internal: [internal],
+        provider,
+        confidence,
+        reasons: [
+          amountEqual ? 'Amounts equal' : 'Amounts differ',
+          `Reference similarity ${formatPercent(similarity)}`,
+          describeDays(days)
+        ]
+      });
+    });
+  });
+
+  return candidates.sort((a, b) => b.confidence - a.confidence);
+};
+
+// Find up to maxSize internal rows whose amounts sum exactly to the target
+const findSubsetSum = (records, targetCents, maxSize) => {
+  const cents = records.map(record => toCents(record.amount));
+  const chosen = [];
+
+  const search = (start, remaining) => {
+    if (remaining === 0 && chosen.length >= 2) return true;
+    if (chosen.length === maxSize) return false;
+    for (let i = start; i < records.length; i++) {
+      if (Math.abs(cents[i]) > Math.abs(remaining)) continue;
+      chosen.push(i);
+      if (search(i + 1, remaining - cents[i])) return true;
+      chosen.pop();
+    }
+    return false;
+  };
+
+  return search(0, targetCents) ? chosen.map(i => records[i]) : null;
+};
+
+// Internal leftovers by day and currency, so a provider row only looks at
+// the rows inside its date window. Undated rows fit any date, rows without a
+// currency any currency. Dates are parsed once here, not per provider row.
+const indexByDay = (records, rules) => {
+  const entries = records.map((record, index) => ({ record, index, date: parseDate(record.date, rules.dateFormats.internal) }));
+  const byDay = new Map();
+  const undated = [];
+  entries.forEach(entry => {
+    if (entry.date === null) {
+      undated.push(entry);
+      return;
+    }
+    const key = `${startOfDay(entry.date)}|${entry.record.currency || ''}`;
+    if (!byDay.has(key)) byDay.set(key, []);
+    byDay.get(key).push(entry);
+  });
+  const currencies = [...new Set(records.map(record => record.currency || ''))];
+
+  // Entries that can fall within windowDays of a provider row
+  const near = (date, currency, windowDays) => {
+    if (date === null) return entries;
+    const wanted = currency ? [currency, ''] : currencies;
+    const found = [...undated];
+    for (let day = startOfDay(addDays(date, -windowDays)); day <= addDays(date, windowDays); day = addDays(day, 1)) {
+      wanted.forEach(code => (byDay.get(`${day}|${code}`) || []).forEach(entry => found.push(entry)));
+    }
+    return found;
+  };
+  return { near };
+};
+
+// One provider settlement line against several internal rows
+const proposeManyToOne = (internalOnly, providerOnly, options) => {
+  const { rules, dateWindowDays, minConfidence, maxGroupSize, maxGroupCandidates } = options;
+  const proposals = [];
+  const used = new Set();
+  const internalIndex = indexByDay(internalOnly, rules);
+
+  providerOnly.forEach(provider => {
+    if (provider.amount === null || provider.amount === 0) return;
+    const providerDate = parseDate(provider.date, rules.dateFormats.provider);
+
+    const pool = internalIndex.near(providerDate, provider.currency, dateWindowDays)
+      .filter(({ record }) => !used.has(record) && sameCurrency(record, provider) &&
+        record.amount !== null && record.amount !== 0 &&
+        Math.sign(record.amount) === Math.sign(provider.amount) &&
+        Math.abs(record.amount) < Math.abs(provider.amount))
+      .map(entry => ({ ...entry, days: daysApart(entry.date, providerDate) }))
+      .filter(({ days }) => days === null || days <= dateWindowDays)
+      .sort((a, b) => (a.days ?? dateWindowDays) - (b.days ?? dateWindowDays) || a.index - b.index)
+      .slice(0, maxGroupCandidates);
+
+    const group = findSubsetSum(pool.map(({ record }) => record), toCents(provider.amount), maxGroupSize);
+    if (!group) return;
+
+    const groupDays = pool.filter(({ record }) => group.includes(record)).map(({ days }) => days);
+    const knownDays = groupDays.filter(days => days !== null);
+    const worstDays = knownDays.length ? Math.max(...knownDays) : null;
+    const confidence = Math.max(0, 0.6 + 0.3 * dateScore(worstDays, dateWindowDays) - 0.05 * (group.length - 2));
+    if (confidence < minConfidence) return;
+
+    group.forEach(record => used.add(record));
+    proposals.push({
+      matchType: 'many-to-one',
+      internal: group,
+      provider,
+      confidence,
+      reasons: [
+        `${group.length} internal rows sum to the provider amount`,
+        describeDays(worstDays)
+      ]
+    });
+  });
+
+  return proposals;
+};
+
+export const proposeMatches = (internalOnly, providerOnly, options = {}) => {
+  const resolved = { ...DEFAULT_FUZZY_OPTIONS, ...options, rules: resolveRules(options.rules) };
+  const usedInternal = new Set();
+  const usedProvider = new Set();
+  const proposals = [];
+
+  // Greedy: highest-confidence pairs claim their records first
+  proposeOneToOne(internalOnly, providerOnly, resolved).forEach(candidate => {
+    if (usedProvider.has(candidate.provider) || usedInternal.has(candidate.internal[0])) return;
+    usedProvider.add(candidate.provider);
+    usedInternal.add(candidate.internal[0]);
+    proposals.push(candidate);
+  });
+
+  proposals.push(...proposeManyToOne(
+    internalOnly.filter(record => !usedInternal.has(record)),
+    providerOnly.filter(record => !usedProvider.has(record)),
+    resolved
+  ));
+
+  return proposals.map((proposal, index) => ({
+    ...proposal,
+    id: `proposal-${index + 1}`,
+    confidence: Math.round(proposal.confidence * 100) / 100
+  }));
+};
+
+// Collapse a many-to-one group into a single record the match can point at
+const combineRecords = (records) => {
+  const statuses = new Set(records.map(record => record.status));
+  return {
+    transaction_reference: records.map(record => record.transaction_reference).join(' + '),
+    amount: records.reduce((sum, record) => sum + (record.amount ?? 0), 0),
+    status: statuses.size === 1 ? records[0].status : null,
+    date: records[0].date ?? null,
+    currency: records[0].currency ?? null
+  };
+};
+
+const totalsOf = (results) => ({
+  totalInternal: results.summary.totalInternal,
+  totalProvider: results.summary.totalProvider,
+  totalInternalValue: results.summary.totalInternalValue,
+  totalProviderValue: results.summary.totalProviderValue
+});
+
+// Leftovers hold at most one record per reference on each side, so side and
+// reference identify a record even after results went through JSON (a saved
+// session or an API job), where object identity is lost
+const claimKey = (side, record) => `${side}:${record.transaction_reference}`;
+
+export const acceptProposedMatch = (results, proposalId) => {
+  const proposal = results.proposedMatches.find(p => p.id === proposalId);
+  if (!proposal) return results;
+
+  const resolved = { rules: resolveRules(results.rules) };
+  const internalRecord = proposal.internal.length === 1 ? proposal.internal[0] : combineRecords(proposal.internal);
+  const matchResult = {
+    ...compareRecords(proposal.provider.transaction_reference, internalRecord, proposal.provider, resolved),
+    matchType: proposal.matchType,
+    confidence: proposal.confidence,
+    ...(proposal.internal.length > 1 && { internalGroup: proposal.internal })
+  };
+
+  const claimed = new Set([
+    ...proposal.internal.map(record => claimKey('internal', record)),
+    claimKey('provider', proposal.provider)
+  ]);
+  const isClaimed = (side) => (record) => claimed.has(claimKey(side, record));
+  const next = {
+    ...results,
+    matched: [...results.matched],
+    amountMismatches: [...results.amountMismatches],
+    statusMismatches: [...results.statusMismatches],
+    currencyMismatches: [...results.currencyMismatches],
+    dateMismatches: [...results.dateMismatches],
+    fieldMismatches: [...(results.fieldMismatches || [])],
+    internalOnly: results.internalOnly.filter(record => !isClaimed('internal')(record)),
+    providerOnly: results.providerOnly.filter(record => !isClaimed('provider')(record)),
+    proposedMatches: results.proposedMatches.filter(p =>
+      p.id !== proposalId && !isClaimed('provider')(p.provider) && !p.internal.some(isClaimed('internal')))
+  };
+  fileMatch(next, matchResult);
+
+  return { ...next, summary: { ...results.summary, ...summarize(next, totalsOf(results)) } };
+};
+
+export const rejectProposedMatch = (results, proposalId) => {
+  const next = {
+    ...results,
+    proposedMatches: results.proposedMatches.filter(p => p.id !== proposalId)
+  };
+  return { ...next, summary: { ...results.summary, ...summarize(next, totalsOf(results)) } };
+};
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { reconcile } from './reconcile.js';
+import { acceptProposedMatch, proposeMatches } from './fuzzyMatch.js';
+
+const record = (reference, amount, date = '2024-03-10') => ({
+  transaction_reference: reference,
+  amount,
+  status: 'completed',
+  date,
+  currency: 'KES'
+});
+
+const references = (rows) => rows.map(row => row.transaction_reference);
+
+describe('proposeMatches', () => {
+  it('proposes a pair with alike references and equal amounts', () => {
+    const [proposal, ...rest] = proposeMatches([record('ABC12345', 100)], [record('ABC12346', 100)]);
+
+    expect(rest).toEqual([]);
+    expect(proposal).toMatchObject({ matchType: 'fuzzy', provider: { transaction_reference: 'ABC12346' } });
+    expect(references(proposal.internal)).toEqual(['ABC12345']);
+  });
+
+  it('proposes nothing for equal amounts on the same day under unrelated references', () => {
+    expect(proposeMatches([record('INV-77', 100)], [record('MP9QX', 100)])).toEqual([]);
+  });
+
+  it('proposes nothing outside the date window', () => {
+    expect(proposeMatches([record('ABC12345', 100, '2024-03-01')], [record('ABC12346', 100, '2024-03-10')])).toEqual([]);
+  });
+
+  it('proposes internal rows that add up to one provider line', () => {
+    const [proposal] = proposeMatches(
+      [record('S1', 30), record('S2', 45, '2024-03-11'), record('S3', 25), record('S4', 999)],
+      [record('BATCH-9', 100)]
+    );
+
+    expect(proposal.matchType).toBe('many-to-one');
+    expect(references(proposal.internal).sort()).toEqual(['S1', 'S2', 'S3']);
+  });
+
+  it('leaves many-to-one groups out of the date window', () => {
+    const proposals = proposeMatches(
+      [record('S1', 30, '2024-03-01'), record('S2', 70, '2024-03-01')],
+      [record('BATCH-9', 100, '2024-03-10')]
+    );
+
+    expect(proposals).toEqual([]);
+  });
+});
+
+describe('acceptProposedMatch', () => {
+  const results = reconcile([record('ABC12345', 100), record('Z1', 5)], [record('ABC12346', 100), record('Q9', 7)]);
+
+  it('moves both records of an accepted proposal out of the one-sided lists', () => {
+    const accepted = acceptProposedMatch(results, results.proposedMatches[0].id);
+
+    expect(references(accepted.matched)).toEqual(['ABC12346']);
+    expect(references(accepted.internalOnly)).toEqual(['Z1']);
+    expect(references(accepted.providerOnly)).toEqual(['Q9']);
+    expect(accepted.proposedMatches).toEqual([]);
+    expect(accepted.summary).toMatchObject({ matchedCount: 1, internalOnlyCount: 1, providerOnlyCount: 1 });
+  });
+
+  it('works on results that went through JSON, as saved sessions and API jobs do', () => {
+    const restored = JSON.parse(JSON.stringify(results));
+    const accepted = acceptProposedMatch(restored, restored.proposedMatches[0].id);
+
+    expect(references(accepted.internalOnly)).toEqual(['Z1']);
+    expect(references(accepted.providerOnly)).toEqual(['Q9']);
+    expect(accepted.summary).toMatchObject({ matchedCount: 1, internalOnlyCount: 1, providerOnlyCount: 1 });
+  });
+});
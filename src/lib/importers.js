@@ -0,0 +1,214 @@
+// Import layer for non-CSV statements. Every importer turns file contents into
+// the same { headers, rows } shape Papa.parse gives us for CSV, with headers
+// normalized the same way, so column mapping and validation work unchanged.
+// CSV itself is streamed by Papa in the worker. importInfo.firstLine is the
+// line (record, for JSON) of the first data row, used in validation reports.
+import * as XLSX from 'xlsx';
+import { CSV_PARSE_OPTIONS } from './csv.js';
+
+export const IMPORT_FORMATS = [
+  { key: 'csv', label: 'CSV', extensions: ['.csv'] },
+  { key: 'xlsx', label: 'Excel', extensions: ['.xlsx', '.xls'] },
+  { key: 'json', label: 'JSON', extensions: ['.json'] },
+  { key: 'fixed-width', label: 'Fixed-width text', extensions: ['.txt', '.prn', '.dat'] }
+];
+
+export const ACCEPTED_EXTENSIONS = IMPORT_FORMATS.flatMap(format => format.extensions).join(',');
+
+// Rows scanned when guessing a header row or fixed-width column boundaries
+const SAMPLE_ROWS = 20;
+
+export const detectFormat = (fileName) => {
+  const name = String(fileName).toLowerCase();
+  const format = IMPORT_FORMATS.find(f => f.extensions.some(ext => name.endsWith(ext)));
+  return format ? format.key : 'csv';
+};
+
+// Normalize headers like transformHeader and make them unique and non-empty
+const normalizeHeaders = (rawHeaders) => {
+  const seen = new Map();
+  return rawHeaders.map((raw, index) => {
+    const base = CSV_PARSE_OPTIONS.transformHeader(String(raw ?? '')) || `column_${index + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base}_${count}`;
+  });
+};
+
+// Text of a file in the given encoding; labels the browser doesn't know fall back to UTF-8
+export const decodeText = (buffer, encoding = 'utf-8') => {
+  try {
+    return new TextDecoder(encoding || 'utf-8').decode(buffer);
+  } catch {
+    return new TextDecoder().decode(buffer);
+  }
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+const rowsToObjects = (headers, valueRows) =>
+  valueRows
+    .filter(values => values.some(value => !isBlank(value)))
+    .map(values => {
+      const row = {};
+      headers.forEach((header, i) => {
+        row[header] = values[i] ?? null;
+      });
+      return row;
+    });
+
+const filledCount = (values) => values.filter(value => !isBlank(value)).length;
+
+const textCount = (values) => values.filter(value => typeof value === 'string' && value.trim()).length;
+
+// The header row is the first of the rows with the most filled text cells
+// among those followed by a row just as wide, which passes over banner and
+// title blocks ("Statement for ...", account numbers) above the table. With
+// no such row, the widest text row wins.
+export const guessHeaderRow = (valueRows) => {
+  const sample = valueRows.slice(0, SAMPLE_ROWS);
+  const nextFilled = (index) => sample.slice(index + 1).find(values => filledCount(values) > 0);
+  const pick = (fits) => {
+    let best = -1;
+    let bestCount = 0;
+    sample.forEach((values, index) => {
+      const count = textCount(values);
+      if (count > bestCount && fits(values, index)) {
+        best = index;
+        bestCount = count;
+      }
+    });
+    return best;
+  };
+  const tableHeader = pick((values, index) => filledCount(nextFilled(index) || []) === filledCount(values));
+  return tableHeader >= 0 ? tableHeader : Math.max(pick(() => true), 0);
+};
+
+// options: { sheet, headerRow, skipRows } where headerRow is zero-based; all
+// optional. Without a header row, it is guessed among the rows below the
+// skipRows banner rows.
+export const parseWorkbook = (data, options = {}) => {
+  let workbook;
+  try {
+    workbook = XLSX.read(data, { type: 'array', cellDates: true });
+  } catch (error) {
+    throw new Error(`Excel import error: ${error.message}`);
+  }
+
+  const sheetNames = workbook.SheetNames;
+  const sheet = sheetNames.includes(options.sheet) ? options.sheet : sheetNames[0];
+  if (!sheet) throw new Error('Excel import error: workbook has no sheets');
+
+  const valueRows = XLSX.utils.sheet_to_json(workbook.Sheets[sheet], { header: 1, raw: true, defval: null, blankrows: true });
+  const skipRows = options.skipRows || 0;
+  const headerRow = Number.isInteger(options.headerRow)
+    ? options.headerRow
+    : skipRows + guessHeaderRow(valueRows.slice(skipRows));
+  if (!valueRows[headerRow]) throw new Error(`Excel import error: sheet "${sheet}" has no row ${headerRow + 1}`);
+
+  const headers = normalizeHeaders(valueRows[headerRow]);
+  return {
+    headers,
+    rows: rowsToObjects(headers, valueRows.slice(headerRow + 1)),
+    importInfo: {
+      format: 'xlsx',
+      sheetNames,
+      sheet,
+      headerRow,
+      firstLine: headerRow + 2,
+      preview: valueRows.slice(0, SAMPLE_ROWS).map(values => values.map(value => (isBlank(value) ? '' : String(value))))
+    }
+  };
+};
+
+// Flatten one level of nesting: { payer: { phone } } -> payer_phone
+const flattenRecord = (record) =>
+  Object.entries(record).reduce((flat, [key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.entries(value).forEach(([inner, innerValue]) => {
+        flat[`${key}_${inner}`] = innerValue;
+      });
+    } else {
+      flat[key] = value;
+    }
+    return flat;
+  }, {});
+
+// Accepts an array of records or an object holding one, e.g. { transactions: [...] }
+export const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`JSON import error: ${error.message}`);
+  }
+
+  const records = Array.isArray(data)
+    ? data
+    : Object.values(data || {}).find(value => Array.isArray(value));
+  if (!records) throw new Error('JSON import error: expected an array of transaction objects');
+
+  const objects = records.filter(record => record && typeof record === 'object').map(flattenRecord);
+  const rawKeys = [...new Set(objects.flatMap(record => Object.keys(record)))];
+  const headers = normalizeHeaders(rawKeys);
+
+  return {
+    headers,
+    rows: rowsToObjects(headers, objects.map(record => rawKeys.map(key => record[key]))),
+    importInfo: { format: 'json', firstLine: 1 }
+  };
+};
+
+// Column boundaries are the character positions that are blank in every
+// sampled line, which is how fixed-width reports line up their columns
+export const guessColumnWidths = (lines) => {
+  const sample = lines.slice(0, SAMPLE_ROWS);
+  const width = Math.max(...sample.map(line => line.length));
+  const blank = Array.from({ length: width }, (_, i) => sample.every(line => !line[i] || line[i] === ' '));
+
+  const widths = [];
+  let start = 0;
+  for (let i = 1; i <= width; i++) {
+    // A column ends where a blank run gives way to text again
+    if (i === width || (blank[i - 1] && !blank[i])) {
+      widths.push(i - start);
+      start = i;
+    }
+  }
+  return widths;
+};
+
+// With a decimal comma numbers stay text for validation to read
+const toValue = (text, decimalSeparator) => {
+  const trimmed = text.trim();
+  if (trimmed === '') return null;
+  if (decimalSeparator === ',') return trimmed;
+  const number = Number(trimmed);
+  return Number.isNaN(number) ? trimmed : number;
+};
+
+// options: { widths } as character counts per column, guessed when omitted;
+// { skipRows, decimalSeparator } from a provider profile's parse settings
+export const parseFixedWidth = (text, options = {}) => {
+  const skipRows = options.skipRows || 0;
+  const lines = text.split(/\r?\n/).slice(skipRows).filter(line => line.trim());
+  if (lines.length === 0) throw new Error('Fixed-width import error: file is empty');
+
+  const widths = options.widths?.length ? options.widths : guessColumnWidths(lines);
+  const slice = (line) => {
+    let position = 0;
+    return widths.map((width, i) => {
+      const end = i === widths.length - 1 ? line.length : position + width;
+      const value = line.slice(position, end);
+      position += width;
+      return value;
+    });
+  };
+
+  const headers = normalizeHeaders(slice(lines[0]).map(value => value.trim()));
+  return {
+    headers,
+    rows: rowsToObjects(headers, lines.slice(1).map(line => slice(line).map(value => toValue(value, options.decimalSeparator)))),
+    importInfo: { format: 'fixed-width', widths, firstLine: skipRows + 2 }
+  };
+};
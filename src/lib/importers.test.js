@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import { parseWorkbook, guessHeaderRow } from './importers.js';
+
+const workbook = (rows) => {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), 'Statement');
+  return XLSX.write(book, { type: 'array', bookType: 'xlsx' });
+};
+
+const STATEMENT = [
+  ['Acme Payments Ltd', 'Merchant statement', 'Nairobi', 'Kenya'],
+  [],
+  ['Reference', 'Amount', 'Status'],
+  ['A1', 100, 'completed'],
+  ['A2', 50, 'completed']
+];
+
+describe('parseWorkbook', () => {
+  it('guesses the header row below a banner block', () => {
+    const { headers, importInfo } = parseWorkbook(workbook(STATEMENT));
+
+    expect(importInfo.headerRow).toBe(2);
+    expect(headers.slice(0, 3)).toEqual(['reference', 'amount', 'status']);
+  });
+
+  it('falls back to the row with the most text cells', () => {
+    expect(guessHeaderRow([['Statement'], ['Reference', 'Amount', 'Status']])).toBe(1);
+  });
+
+  it('guesses the header row below the skipped rows', () => {
+    const { headers, rows, importInfo } = parseWorkbook(workbook(STATEMENT), { skipRows: 1 });
+
+    expect(importInfo.headerRow).toBe(2);
+    expect(importInfo.firstLine).toBe(4);
+    expect(headers.slice(0, 3)).toEqual(['reference', 'amount', 'status']);
+    expect(rows).toHaveLength(2);
+  });
+
+  it('uses an explicit header row', () => {
+    const { importInfo } = parseWorkbook(workbook(STATEMENT), { skipRows: 1, headerRow: 1 });
+
+    expect(importInfo.headerRow).toBe(1);
+  });
+});
@@ -0,0 +1,180 @@
+// Helpers shared by every matching pass: building a matched pair, filing it
+// into the mismatch buckets and recomputing the summary counts.
+import { SEVERITIES, compareAmounts, statusesMatch, statusSeverity, fieldsEqual, compareFieldLabel } from './rules.js';
+import { parseDate, daysBetween, startOfDay } from './dates.js';
+import { AMOUNT_EXPLANATIONS, decomposeAmount } from './fees.js';
+
+// Configured extra columns that differ. A column missing from a record
+// altogether (e.g. a combined many-to-one record) is not compared.
+const compareExtraFields = (internalRecord, providerRecord, rules) =>
+  (rules.compareFields || [])
+    .filter(field => field.internal && field.provider && field.internal in internalRecord && field.provider in providerRecord)
+    .filter(field => !fieldsEqual(internalRecord[field.internal], providerRecord[field.provider]))
+    .map(field => ({
+      label: compareFieldLabel(field),
+      internal: internalRecord[field.internal] ?? null,
+      provider: providerRecord[field.provider] ?? null
+    }));
+
+export const compareRecords = (ref, internalRecord, providerRecord, { rules }) => {
+  const matchResult = {
+    transaction_reference: ref,
+    internal: internalRecord,
+    provider: providerRecord,
+    matchType: 'exact',
+    amountMatch: true,
+    statusMatch: true,
+    // critical / warning / info when the statuses disagree
+    statusSeverity: null,
+    currencyMatch: true,
+    dateMatch: true,
+    dateLagDays: null,
+    feeExplained: false,
+    // Deductions, expected net and residual of an amount difference, see decomposeAmount
+    amountBreakdown: null,
+    fieldsMatch: true,
+    fieldMismatches: []
+  };
+
+  // Check currency mismatch; amounts in different currencies aren't comparable
+  if (internalRecord.currency && providerRecord.currency && internalRecord.currency !== providerRecord.currency) {
+    matchResult.currencyMatch = false;
+  }
+
+  // Check amount mismatch
+  if (matchResult.currencyMatch && internalRecord.amount !== null && providerRecord.amount !== null) {
+    const { match, feeExplained } = compareAmounts(internalRecord.amount, providerRecord.amount, rules);
+    matchResult.amountMatch = match;
+    matchResult.feeExplained = feeExplained;
+
+    // Differences the recorded or scheduled fees account for aren't mismatches
+    if (!match) {
+      matchResult.amountBreakdown = decomposeAmount(internalRecord, providerRecord, rules);
+      if (matchResult.amountBreakdown.explanation === 'fee') {
+        matchResult.amountMatch = true;
+        matchResult.feeExplained = true;
+      }
+    }
+  }
+
+  // Check status mismatch
+  if (internalRecord.status && providerRecord.status) {
+    if (!statusesMatch(internalRecord.status, providerRecord.status, rules)) {
+      matchResult.statusMatch = false;
+      matchResult.statusSeverity = statusSeverity(internalRecord.status, providerRecord.status, rules);
+    }
+  }
+
+  // Check date mismatch beyond the tolerated settlement lag. The provider
+  // settles on or after the internal date, so an earlier day is a mismatch.
+  const internalDate = parseDate(internalRecord.date, rules.dateFormats.internal);
+  const providerDate = parseDate(providerRecord.date, rules.dateFormats.provider);
+  const lag = daysBetween(internalDate, providerDate);
+  if (lag !== null) {
+    matchResult.dateLagDays = Math.round(lag * 10) / 10;
+    matchResult.dateMatch = lag <= rules.settlementLagDays && startOfDay(providerDate) >= startOfDay(internalDate);
+  }
+
+  matchResult.fieldMismatches = compareExtraFields(internalRecord, providerRecord, rules);
+  matchResult.fieldsMatch = matchResult.fieldMismatches.length === 0;
+
+  return matchResult;
+};
+
+// Push a match into `matched` and whichever mismatch buckets it belongs to
+export const fileMatch = (buckets, matchResult) => {
+  buckets.matched.push(matchResult);
+  if (!matchResult.amountMatch) buckets.amountMismatches.push(matchResult);
+  if (!matchResult.statusMatch) buckets.statusMismatches.push(matchResult);
+  if (!matchResult.currencyMatch) buckets.currencyMismatches.push(matchResult);
+  if (!matchResult.dateMatch) buckets.dateMismatches.push(matchResult);
+  if (!matchResult.fieldsMatch) buckets.fieldMismatches.push(matchResult);
+};
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const sumAmounts = (records, read = (record) => record.amount) =>
+  roundCents(records.reduce((sum, record) => sum + (read(record) ?? 0), 0));
+
+const sumAbsolute = (records) => sumAmounts(records, (record) => Math.abs(record.amount ?? 0));
+
+// What the discrepancies are worth, not just how many there are. Amounts are
+// summed as they are, so files with several currencies need currencyTotals too.
+const summarizeValues = (results, totals) => {
+  const amountVarianceValue = sumAmounts(results.amountMismatches, (match) =>
+    (match.internal.amount === null || match.provider.amount === null
+      ? 0
+      : Math.abs(match.internal.amount - match.provider.amount)));
+  const hasTotals = typeof totals.totalInternalValue === 'number' && typeof totals.totalProviderValue === 'number';
+  return {
+    totalInternalValue: totals.totalInternalValue ?? null,
+    totalProviderValue: totals.totalProviderValue ?? null,
+    matchedInternalValue: sumAmounts(results.matched, (match) => match.internal.amount),
+    matchedProviderValue: sumAmounts(results.matched, (match) => match.provider.amount),
+    internalOnlyValue: sumAmounts(results.internalOnly),
+    providerOnlyValue: sumAmounts(results.providerOnly),
+    timingDifferenceValue: sumAmounts(results.timingDifferences, (item) => item.record.amount),
+    amountVarianceValue,
+    netDifference: hasTotals ? roundCents(totals.totalInternalValue - totals.totalProviderValue) : null,
+    // Unmatched money either way plus the gaps on matched pairs
+    valueAtRisk: roundCents(sumAbsolute(results.internalOnly) + sumAbsolute(results.providerOnly) + amountVarianceValue)
+  };
+};
+
+// Total amount per side, passed to summarize alongside the record counts
+export const valueTotals = (internalRecords, providerRecords) => ({
+  totalInternalValue: sumAmounts(internalRecords),
+  totalProviderValue: sumAmounts(providerRecords)
+});
+
+const explanationCounts = (matches) =>
+  Object.fromEntries(AMOUNT_EXPLANATIONS.map(({ key }) => [key, matches.filter(match => match.amountBreakdown?.explanation === key).length]));
+
+const severityCounts = (mismatches) =>
+  Object.fromEntries(SEVERITIES.map(({ key }) => [key, mismatches.filter(match => match.statusSeverity === key).length]));
+
+export const summarize = (results, totals) => ({
+  totalInternal: totals.totalInternal,
+  totalProvider: totals.totalProvider,
+  matchedCount: results.matched.length,
+  internalOnlyCount: results.internalOnly.length,
+  providerOnlyCount: results.providerOnly.length,
+  amountMismatchCount: results.amountMismatches.length,
+  // Amount differences by what the fee decomposition made of them
+  amountExplanationCounts: explanationCounts(results.matched),
+  statusMismatchCount: results.statusMismatches.length,
+  statusSeverityCounts: severityCounts(results.statusMismatches),
+  currencyMismatchCount: results.currencyMismatches.length,
+  dateMismatchCount: results.dateMismatches.length,
+  // Runs saved before extra field comparison have no fieldMismatches bucket
+  fieldMismatchCount: (results.fieldMismatches || []).length,
+  timingDifferenceCount: results.timingDifferences.length,
+  internalDuplicateCount: results.internalDuplicates.length,
+  providerDuplicateCount: results.providerDuplicates.length,
+  proposedMatchCount: results.proposedMatches.length,
+  // Reversals on one side only or for a different amount, and reversed
+  // transactions whose net positions differ
+  reversalExceptionCount: results.reversals
+    ? results.reversals.summary.internalOnlyCount + results.reversals.summary.providerOnlyCount + results.reversals.summary.amountMismatchCount
+    : 0,
+  reversalNetMismatchCount: results.reversals ? results.reversals.summary.netMismatchCount : 0,
+  ...summarizeValues(results, totals)
+});
+
+// Record count and amount per currency for each side; '' collects rows without one
+export const currencyTotals = (internalRecords, providerRecords) => {
+  const totals = {};
+  const add = (records, side) => {
+    records.forEach(record => {
+      const currency = record.currency || '';
+      if (!totals[currency]) {
+        totals[currency] = { internalCount: 0, internalAmount: 0, providerCount: 0, providerAmount: 0 };
+      }
+      totals[currency][`${side}Count`]++;
+      totals[currency][`${side}Amount`] += record.amount ?? 0;
+    });
+  };
+  add(internalRecords, 'internal');
+  add(providerRecords, 'provider');
+  return totals;
+};
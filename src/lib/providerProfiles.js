@@ -0,0 +1,182 @@
+// Provider profiles: everything needed to read one provider's statements —
+// how the file is parsed, its date format, column mapping, status vocabulary
+// and tolerances — saved under a name. A profile is picked up from a file's
+// headers and shared as JSON so a team reads every provider the same way.
+import Papa from 'papaparse';
+import { csvParseOptions } from './csv.js';
+import { detectFormat, decodeText } from './importers.js';
+import { isMappingComplete, mappingFitsHeaders } from './columnMapping.js';
+import { resolveRules } from './rules.js';
+
+export const DELIMITERS = [
+  { key: '', label: 'Auto-detect' },
+  { key: ',', label: 'Comma' },
+  { key: ';', label: 'Semicolon' },
+  { key: '\t', label: 'Tab' },
+  { key: '|', label: 'Pipe' }
+];
+
+export const ENCODINGS = [
+  { key: 'utf-8', label: 'UTF-8' },
+  { key: 'windows-1252', label: 'Windows-1252' },
+  { key: 'iso-8859-1', label: 'ISO-8859-1' },
+  { key: 'utf-16le', label: 'UTF-16 LE' }
+];
+
+export const DECIMAL_SEPARATORS = [
+  { key: 'auto', label: 'Auto' },
+  { key: '.', label: 'Point (1,250.50)' },
+  { key: ',', label: 'Comma (1.250,50)' }
+];
+
+// How a file is read; skipRows are banner lines above the header row
+export const DEFAULT_PARSE_SETTINGS = { delimiter: '', encoding: 'utf-8', skipRows: 0, decimalSeparator: 'auto' };
+
+const PROFILES_STORAGE_KEY = 'reconflow.providerProfiles';
+
+// Where the column mapping wizard kept its own { name, mapping, fileCurrency }
+// profiles before they became provider profiles
+const LEGACY_MAPPING_STORAGE_KEY = 'reconflow.mappingProfiles';
+
+// Bytes read from a CSV to find its header row when detecting a profile
+const SAMPLE_BYTES = 64 * 1024;
+
+// Fill in what a hand-written or older profile leaves out. Tolerances and
+// status groups are null when the profile leaves the active rules alone.
+export const resolveProfile = (profile) => ({
+  name: String(profile.name ?? '').trim(),
+  parse: { ...DEFAULT_PARSE_SETTINGS, ...profile.parse },
+  dateFormat: profile.dateFormat || 'auto',
+  mapping: profile.mapping || {},
+  fileCurrency: profile.fileCurrency || null,
+  statusGroups: profile.statusGroups || null,
+  amountTolerance: profile.amountTolerance || null,
+  feeTolerance: profile.feeTolerance || null
+});
+
+// A profile from the provider side's current settings
+export const buildProfile = (name, parse, mapping, fileCurrency, rules) => resolveProfile({
+  name,
+  parse,
+  dateFormat: rules.dateFormats.provider,
+  mapping,
+  fileCurrency,
+  statusGroups: rules.statusGroups,
+  amountTolerance: rules.amountTolerance,
+  feeTolerance: rules.feeTolerance
+});
+
+// The active rules with a profile's date format, status vocabulary and
+// tolerances; the date format is for the side the profile reads
+export const applyProfileRules = (rules, profile, side = 'provider') => resolveRules({
+  ...rules,
+  statusGroups: profile.statusGroups || rules.statusGroups,
+  amountTolerance: profile.amountTolerance || rules.amountTolerance,
+  feeTolerance: profile.feeTolerance || rules.feeTolerance,
+  dateFormats: { ...rules.dateFormats, [side]: profile.dateFormat || rules.dateFormats[side] }
+});
+
+// The profile whose mapping fits the file best: it names a reference column,
+// every column it maps is in the file, and more mapped columns beat fewer.
+// headersFor(profile) gives the file's headers as that profile would read them.
+export const detectProfile = (profiles, headersFor) => {
+  let best = null;
+  let bestScore = 0;
+  profiles.forEach(profile => {
+    if (!isMappingComplete(profile.mapping)) return;
+    const headers = headersFor(profile);
+    if (!headers.length || !mappingFitsHeaders(profile.mapping, headers)) return;
+    const score = Object.values(profile.mapping).filter(Boolean).length;
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+// Headers of a CSV sample read with a profile's parse settings
+export const sampleHeaders = (buffer, parse) => {
+  const text = decodeText(buffer, parse.encoding);
+  return Papa.parse(text, { ...csvParseOptions(parse), preview: 1 }).meta.fields || [];
+};
+
+// Detect a CSV file's profile before it is parsed, since its delimiter or
+// skipped rows decide what the headers are; null for other formats
+export const detectFileProfile = async (file, profiles) => {
+  if (!profiles.length || detectFormat(file.name) !== 'csv') return null;
+  const sample = await file.slice(0, SAMPLE_BYTES).arrayBuffer();
+  return detectProfile(profiles, profile => sampleHeaders(sample, profile.parse));
+};
+
+const readProfiles = (key) => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored.filter(profile => profile?.name).map(resolveProfile) : [];
+  } catch {
+    return [];
+  }
+};
+
+const storeProfiles = (profiles) => {
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+  return profiles;
+};
+
+// Move the wizard's old mapping profiles over once; provider profiles with
+// the same name win
+const migrateMappingProfiles = () => {
+  if (localStorage.getItem(LEGACY_MAPPING_STORAGE_KEY) === null) return;
+  const profiles = readProfiles(PROFILES_STORAGE_KEY);
+  const names = new Set(profiles.map(profile => profile.name));
+  const legacy = readProfiles(LEGACY_MAPPING_STORAGE_KEY).filter(profile => !names.has(profile.name));
+  storeProfiles([...profiles, ...legacy]);
+  localStorage.removeItem(LEGACY_MAPPING_STORAGE_KEY);
+};
+
+export const loadProviderProfiles = () => {
+  try {
+    migrateMappingProfiles();
+  } catch {
+    // Storage unavailable; read what there is
+  }
+  return readProfiles(PROFILES_STORAGE_KEY);
+};
+
+export const saveProviderProfile = (profile) =>
+  storeProfiles([...loadProviderProfiles().filter(p => p.name !== profile.name), profile]);
+
+// Save a column mapping from the mapping wizard under a profile name,
+// keeping the rest of that profile when it exists
+export const saveProfileMapping = (name, mapping, fileCurrency = null) => {
+  const existing = loadProviderProfiles().find(profile => profile.name === name);
+  return saveProviderProfile(resolveProfile({ ...existing, name, mapping, fileCurrency }));
+};
+
+export const deleteProviderProfile = (name) =>
+  storeProfiles(loadProviderProfiles().filter(profile => profile.name !== name));
+
+// Imported profiles replace saved ones with the same name
+export const importProviderProfiles = (imported) => {
+  const names = new Set(imported.map(profile => profile.name));
+  return storeProfiles([...loadProviderProfiles().filter(profile => !names.has(profile.name)), ...imported]);
+};
+
+export const profilesToJson = (profiles) => JSON.stringify({ profiles }, null, 2);
+
+// Accepts an exported file ({ profiles: [...] }), a list of profiles or a single one
+export const parseProfilesJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Profile import error: ${error.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : Array.isArray(data?.profiles) ? data.profiles : [data];
+  const profiles = list.filter(profile => profile && typeof profile === 'object').map(resolveProfile);
+  if (profiles.length === 0 || profiles.some(profile => !profile.name)) {
+    throw new Error('Profile import error: every profile needs a name');
+  }
+  return profiles;
+};
@@ -0,0 +1,51 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { loadProviderProfiles, saveProviderProfile, saveProfileMapping, resolveProfile } from './providerProfiles.js';
+
+// Enough of localStorage for the profile store
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const MAPPING = { reference: 'Receipt No.', amount: 'Paid In', date: 'Completion Time', status: 'Status' };
+
+describe('provider profile store', () => {
+  beforeEach(() => {
+    vi.stubGlobal('localStorage', memoryStorage());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('moves the old mapping profiles over once', () => {
+    saveProviderProfile(resolveProfile({ name: 'M-Pesa', mapping: { reference: 'Ref' }, parse: { delimiter: ';' } }));
+    localStorage.setItem('reconflow.mappingProfiles', JSON.stringify([
+      { name: 'Core banking', mapping: MAPPING, fileCurrency: 'KES' },
+      { name: 'M-Pesa', mapping: MAPPING, fileCurrency: null }
+    ]));
+
+    const profiles = loadProviderProfiles();
+
+    expect(profiles.map(profile => profile.name)).toEqual(['M-Pesa', 'Core banking']);
+    expect(profiles[0].mapping).toEqual({ reference: 'Ref' });
+    expect(profiles[0].parse.delimiter).toBe(';');
+    expect(profiles[1]).toMatchObject({ mapping: MAPPING, fileCurrency: 'KES' });
+    expect(localStorage.getItem('reconflow.mappingProfiles')).toBeNull();
+    expect(loadProviderProfiles()).toHaveLength(2);
+  });
+
+  it('saves a wizard mapping into the profile of that name, keeping its settings', () => {
+    saveProviderProfile(resolveProfile({ name: 'M-Pesa', mapping: { reference: 'Ref' }, parse: { delimiter: ';' } }));
+
+    const profiles = saveProfileMapping('M-Pesa', MAPPING, 'KES');
+
+    expect(profiles).toHaveLength(1);
+    expect(profiles[0]).toMatchObject({ mapping: MAPPING, fileCurrency: 'KES' });
+    expect(profiles[0].parse.delimiter).toBe(';');
+  });
+});
@@ -0,0 +1,218 @@
+// Pure reconciliation engine shared by the UI and any scripts that need it.
+// Records are expected to already be normalized (see applyMapping):
+// a trimmed transaction_reference, a numeric or null amount and a lowercased
+// or null status.
+import { compareRecords, fileMatch, summarize, currencyTotals, valueTotals } from './matchResult.js';
+import { proposeMatches, DEFAULT_FUZZY_OPTIONS } from './fuzzyMatch.js';
+import { resolveRules, referenceKey } from './rules.js';
+import { parseDate, addDays } from './dates.js';
+import { mergeCarriedForward, carryForwardOutcome } from './carryForward.js';
+import { reconcileSettlements, sourcePresence } from './settlement.js';
+import { splitReversals, reconcileReversals } from './reversals.js';
+
+export const DEFAULT_OPTIONS = {
+  fuzzyMatching: true,
+  // Statement period { start, end } (YYYY-MM-DD) for timing-difference classification
+  period: null,
+  // Open exceptions from a previous run, see collectCarryForward
+  carriedForward: null,
+  // Optional bank statement records for three-way reconciliation
+  bankRecords: null,
+  ...DEFAULT_FUZZY_OPTIONS
+};
+
+// How often (in records) long loops report progress through options.onProgress
+const PROGRESS_INTERVAL = 5000;
+
+// Index records by normalized reference. The first occurrence of a reference
+// is the one that takes part in matching; any repeats are reported as
+// duplicate groups.
+const indexByReference = (records, rules) => {
+  const groups = new Map();
+  records.forEach(record => {
+    const ref = referenceKey(record.transaction_reference, rules);
+    if (groups.has(ref)) {
+      groups.get(ref).push(record);
+    } else {
+      groups.set(ref, [record]);
+    }
+  });
+
+  const map = new Map();
+  const duplicates = [];
+  groups.forEach((group, ref) => {
+    map.set(ref, group[0]);
+    if (group.length > 1) {
+      duplicates.push({ transaction_reference: ref, records: group });
+    }
+  });
+
+  return { map, duplicates };
+};
+
+// Split Internal Only / Provider Only records that sit at the edges of the
+// statement period. period is { start, end } as YYYY-MM-DD, end inclusive.
+// Internal rows in the last settlementLagDays of the period (or after it) are
+// expected on the next statement; provider rows in the first days of the
+// period (or before it) settle transactions booked in the previous one.
+const classifyTiming = ({ internalOnly, providerOnly }, period, rules) => {
+  const start = parseDate(period.start);
+  const end = parseDate(period.end);
+  const lag = rules.settlementLagDays;
+  const timing = [];
+
+  // Carried-forward records are already known to be outstanding
+  const split = (records, side, isTiming) => records.filter(record => {
+    if (record.carriedFrom) return true;
+    const date = parseDate(record.date, rules.dateFormats[side]);
+    const reason = date === null ? null : isTiming(date);
+    if (!reason) return true;
+    timing.push({ side, record, reason });
+    return false;
+  });
+
+  const remainingInternal = end === null ? internalOnly : split(internalOnly, 'internal', (date) => {
+    if (date >= addDays(end, 1)) return 'After period end';
+    if (date >= addDays(end, 1 - lag)) return 'Within settlement lag of period end';
+    return null;
+  });
+
+  const remainingProvider = start === null ? providerOnly : split(providerOnly, 'provider', (date) => {
+    if (date < start) return 'Before period start';
+    if (date < addDays(start, lag)) return 'Within settlement lag of period start';
+    return null;
+  });
+
+  return { internalOnly: remainingInternal, providerOnly: remainingProvider, timing };
+};
+
+export const reconcile = (internalRecords, providerRecords, options = {}) => {
+  const resolved = { ...DEFAULT_OPTIONS, ...options, rules: resolveRules(options.rules) };
+  const carried = resolved.carriedForward;
+
+  // Records of this run: the files plus what was carried forward
+  const internalAll = carried ? mergeCarriedForward(internalRecords, carried.internal, resolved.rules) : internalRecords;
+  const providerAll = carried ? mergeCarriedForward(providerRecords, carried.provider, resolved.rules) : providerRecords;
+
+  // Reversals are linked to what they reverse rather than matched as transactions
+  const { internal: internalSplit, provider: providerSplit } = splitReversals(internalAll, providerAll, resolved.rules);
+
+  const { map: internalMap, duplicates: internalDuplicates } = indexByReference(internalSplit.transactions, resolved.rules);
+  const { map: providerMap, duplicates: providerDuplicates } = indexByReference(providerSplit.transactions, resolved.rules);
+
+  const buckets = {
+    matched: [],
+    internalOnly: [],
+    providerOnly: [],
+    amountMismatches: [],
+    statusMismatches: [],
+    currencyMismatches: [],
+    dateMismatches: [],
+    fieldMismatches: []
+  };
+
+  const { onProgress } = resolved;
+  const total = internalMap.size + providerMap.size;
+  let done = 0;
+  const tick = () => {
+    done++;
+    if (onProgress && (done % PROGRESS_INTERVAL === 0 || done === total)) {
+      onProgress({ stage: 'matching', done, total });
+    }
+  };
+
+  // Check internal records
+  internalMap.forEach((internalRecord, ref) => {
+    tick();
+    const providerRecord = providerMap.get(ref);
+
+    if (providerRecord) {
+      fileMatch(buckets, compareRecords(internalRecord.transaction_reference, internalRecord, providerRecord, resolved));
+    } else {
+      buckets.internalOnly.push(internalRecord);
+    }
+  });
+
+  // Check provider records not in internal
+  providerMap.forEach((providerRecord, ref) => {
+    tick();
+    if (!internalMap.has(ref)) {
+      buckets.providerOnly.push(providerRecord);
+    }
+  });
+
+  // A reversed transaction that matched can still differ once its reversals are netted off
+  const reversals = reconcileReversals(internalSplit.reversals, providerSplit.reversals, internalMap, providerMap, resolved.rules);
+  const positions = new Map(reversals.positions.map(position => [position.transaction_reference, position]));
+  buckets.matched.forEach(match => {
+    const position = positions.get(referenceKey(match.internal.transaction_reference, resolved.rules));
+    if (position) match.netPosition = position;
+  });
+
+  // Leftovers at the edges of the statement period are timing differences,
+  // not missing transactions
+  let timingDifferences = [];
+  if (resolved.period) {
+    const { internalOnly, providerOnly, timing } = classifyTiming(buckets, resolved.period, resolved.rules);
+    buckets.internalOnly = internalOnly;
+    buckets.providerOnly = providerOnly;
+    timingDifferences = timing;
+  }
+
+  // Second pass: candidate matches among the leftovers, pending review
+  const proposedMatches = resolved.fuzzyMatching
+    ? proposeMatches(buckets.internalOnly, buckets.providerOnly, resolved)
+    : [];
+
+  // Third source: bank settlements against the provider's transactions, and
+  // which of the three sources each reference turned up in
+  let settlement = null;
+  let presence = null;
+  if (resolved.bankRecords?.length) {
+    settlement = reconcileSettlements(providerRecords, resolved.bankRecords, resolved.rules);
+    const settledReferences = new Set();
+    settlement.batches.forEach(batch => batch.provider.forEach(record => {
+      settledReferences.add(referenceKey(record.transaction_reference, resolved.rules));
+    }));
+    presence = sourcePresence([
+      { key: 'internal', label: 'Internal ledger', references: new Set(internalMap.keys()) },
+      { key: 'provider', label: 'Payment provider', references: new Set(providerMap.keys()) },
+      { key: 'bank', label: 'Bank settlement', references: settledReferences }
+    ]);
+  }
+
+  const results = {
+    ...buckets,
+    timingDifferences,
+    internalDuplicates,
+    providerDuplicates,
+    proposedMatches,
+    settlement,
+    reversals,
+    sourcePresence: presence,
+    rules: resolved.rules,
+    period: resolved.period || null
+  };
+
+  const outcome = carried
+    ? carryForwardOutcome(results, carried.source)
+    : { carryForward: null, resolutions: {}, auditLog: [] };
+
+  return {
+    ...results,
+    carryForward: outcome.carryForward,
+    // Filled in as exceptions are worked, see exceptions.js
+    resolutions: outcome.resolutions,
+    auditLog: outcome.auditLog,
+    summary: {
+      ...summarize(results, {
+        totalInternal: internalAll.length,
+        totalProvider: providerAll.length,
+        ...valueTotals(internalAll, providerAll)
+      }),
+      currencyTotals: currencyTotals(internalAll, providerAll),
+      carriedForwardCount: carried ? carried.count : 0,
+      carriedClearedCount: outcome.carryForward ? outcome.carryForward.cleared.length : 0
+    }
+  };
+};
@@ -0,0 +1,275 @@
+import { describe, it, expect } from 'vitest';
+import { reconcile } from './reconcile.js';
+import { resolveRules } from './rules.js';
+import { statusMatrix } from './analytics.js';
+
+// A record as applyMapping leaves it
+const record = (reference, amount, status = 'completed', extra = {}) => ({
+  transaction_reference: reference,
+  amount,
+  status,
+  date: '2024-03-10',
+  currency: 'KES',
+  batch: null,
+  original_reference: null,
+  fee: null,
+  commission: null,
+  tax: null,
+  ...extra
+});
+
+const references = (rows) => rows.map(row => row.transaction_reference);
+
+describe('reconcile', () => {
+  it('matches records with the same reference, amount and status', () => {
+    const results = reconcile([record('A1', 100)], [record('A1', 100)]);
+
+    expect(references(results.matched)).toEqual(['A1']);
+    expect(results.matched[0]).toMatchObject({ amountMatch: true, statusMatch: true, currencyMatch: true });
+    expect(results.amountMismatches).toEqual([]);
+    expect(results.statusMismatches).toEqual([]);
+    expect(results.internalOnly).toEqual([]);
+    expect(results.providerOnly).toEqual([]);
+  });
+
+  it('files matched pairs with different amounts as amount mismatches', () => {
+    const results = reconcile([record('A1', 100)], [record('A1', 80)]);
+
+    expect(references(results.matched)).toEqual(['A1']);
+    expect(references(results.amountMismatches)).toEqual(['A1']);
+    expect(results.statusMismatches).toEqual([]);
+  });
+
+  it('treats differences within the amount tolerance as a match', () => {
+    const rules = { amountTolerance: { absolute: 1, percent: 0 } };
+    const results = reconcile([record('A1', 100)], [record('A1', 99.5)], { rules });
+
+    expect(results.amountMismatches).toEqual([]);
+  });
+
+  it('files matched pairs with different statuses as status mismatches', () => {
+    const results = reconcile([record('A1', 100, 'completed')], [record('A1', 100, 'failed')]);
+
+    expect(references(results.statusMismatches)).toEqual(['A1']);
+    expect(results.amountMismatches).toEqual([]);
+  });
+
+  it('applies status equivalence groups', () => {
+    const rules = { statusGroups: [['completed', 'success']] };
+    const results = reconcile([record('A1', 100, 'completed')], [record('A1', 100, 'success')], { rules });
+
+    expect(results.statusMismatches).toEqual([]);
+  });
+
+  it('files matched pairs with different currencies as currency mismatches', () => {
+    const results = reconcile([record('A1', 100)], [record('A1', 100, 'completed', { currency: 'USD' })]);
+
+    expect(references(results.currencyMismatches)).toEqual(['A1']);
+  });
+
+  it('allows the provider date to lag the internal date by the settlement lag', () => {
+    const results = reconcile([record('A1', 100)], [record('A1', 100, 'completed', { date: '2024-03-12' })]);
+
+    expect(results.dateMismatches).toEqual([]);
+    expect(results.matched[0].dateLagDays).toBe(2);
+  });
+
+  it('files provider dates before the internal date as date mismatches', () => {
+    const results = reconcile([record('A1', 100)], [record('A1', 100, 'completed', { date: '2024-03-09' })]);
+
+    expect(references(results.dateMismatches)).toEqual(['A1']);
+    expect(results.matched[0].dateLagDays).toBe(-1);
+  });
+
+  it('lists records found on one side only', () => {
+    const results = reconcile([record('A1', 100), record('A2', 50)], [record('A1', 100), record('B1', 70)]);
+
+    expect(references(results.internalOnly)).toEqual(['A2']);
+    expect(references(results.providerOnly)).toEqual(['B1']);
+  });
+
+  it('reports repeated references as duplicates and matches the first occurrence', () => {
+    const results = reconcile(
+      [record('A1', 100), record('A1', 100), record('A2', 10)],
+      [record('A2', 10), record('A2', 10), record('A2', 10)]
+    );
+
+    expect(results.internalDuplicates).toHaveLength(1);
+    expect(results.internalDuplicates[0]).toMatchObject({ transaction_reference: 'A1' });
+    expect(results.internalDuplicates[0].records).toHaveLength(2);
+    expect(results.providerDuplicates[0].records).toHaveLength(3);
+    expect(references(results.matched)).toEqual(['A2']);
+    expect(references(results.internalOnly)).toEqual(['A1']);
+  });
+
+  it('moves one-sided records at the edges of the period to timing differences', () => {
+    const results = reconcile(
+      [record('A1', 100, 'completed', { date: '2024-03-31' }), record('A2', 100, 'completed', { date: '2024-03-15' })],
+      [record('B1', 100, 'completed', { date: '2024-02-29' })],
+      { period: { start: '2024-03-01', end: '2024-03-31' }, fuzzyMatching: false }
+    );
+
+    expect(results.timingDifferences.map(timing => timing.record.transaction_reference).sort()).toEqual(['A1', 'B1']);
+    expect(references(results.internalOnly)).toEqual(['A2']);
+    expect(results.providerOnly).toEqual([]);
+  });
+
+  it('takes reversals out of matching', () => {
+    const results = reconcile(
+      [record('A1', 100), record('R1', -100, 'refund', { original_reference: 'A1' })],
+      [record('A1', 100), record('R1', -100, 'refund', { original_reference: 'A1' })]
+    );
+
+    expect(references(results.matched)).toEqual(['A1']);
+    expect(results.reversals.reversals).toHaveLength(1);
+    expect(results.reversals.positions[0]).toMatchObject({ internalNet: 0, providerNet: 0, netMatch: true });
+  });
+
+  it('only takes out a reversal whose original is on the same side', () => {
+    const results = reconcile(
+      [record('A1', 100), record('R1', -40, 'refund', { original_reference: 'A1' })],
+      [record('B1', 5), record('R1', -40, 'refund', { original_reference: 'A1' })],
+      { fuzzyMatching: false }
+    );
+
+    expect(results.reversals.reversals).toHaveLength(1);
+    expect(results.reversals.reversals[0].provider).toBeNull();
+    expect(results.reversals.positions[0]).toMatchObject({ internalNet: 60, providerNet: null, providerReversed: 0 });
+    expect(references(results.providerOnly)).toEqual(['B1', 'R1']);
+  });
+
+  it('reports a reversed status against a completed one as a status mismatch', () => {
+    const results = reconcile([record('A1', 100, 'completed')], [record('A1', 100, 'reversed')], { fuzzyMatching: false });
+
+    expect(references(results.statusMismatches)).toEqual(['A1']);
+    expect(results.internalOnly).toEqual([]);
+    expect(results.reversals.reversals).toEqual([]);
+  });
+
+  it('matches negative amounts under their own reference like any transaction', () => {
+    const results = reconcile([record('W1', -500)], [record('W1', -450)], { fuzzyMatching: false });
+
+    expect(references(results.amountMismatches)).toEqual(['W1']);
+    expect(results.summary.valueAtRisk).toBeGreaterThan(0);
+  });
+
+  it('counts every bucket in the summary', () => {
+    const results = reconcile(
+      [record('A1', 100), record('A2', 100, 'completed'), record('A3', 5)],
+      [record('A1', 90), record('A2', 100, 'failed'), record('B1', 5)],
+      { fuzzyMatching: false }
+    );
+
+    expect(results.summary).toMatchObject({
+      totalInternal: 3,
+      totalProvider: 3,
+      matchedCount: 2,
+      internalOnlyCount: 1,
+      providerOnlyCount: 1,
+      amountMismatchCount: 1,
+      statusMismatchCount: 1
+    });
+  });
+});
+
+describe('bank settlement', () => {
+  const provider = [
+    record('P1', 100, 'completed', { batch: 'B1', fee: 2 }),
+    record('P2', 50, 'completed', { batch: 'B1', fee: 1 })
+  ];
+  const internal = [record('P1', 100), record('P2', 50)];
+  const credit = (reference, amount, date = '2024-03-11') => record(reference, amount, 'completed', { date });
+
+  it('settles a batch whose bank credit equals its net', () => {
+    const { settlement } = reconcile(internal, provider, { bankRecords: [credit('B1', 147)] });
+
+    expect(settlement.batches).toHaveLength(1);
+    expect(settlement.batches[0]).toMatchObject({ matchedBy: 'batch', gross: 150, fees: 3, net: 147, difference: 0, amountMatch: true });
+    expect(references(settlement.batches[0].provider)).toEqual(['P1', 'P2']);
+    expect(settlement.summary).toMatchObject({ batchMismatchCount: 0, unmatchedBankCount: 0, unsettledProviderCount: 0 });
+  });
+
+  it('reports a bank credit short of the batch net', () => {
+    const { settlement } = reconcile(internal, provider, { bankRecords: [credit('B1', 140)] });
+
+    expect(settlement.batches[0]).toMatchObject({ net: 147, difference: -7, amountMatch: false });
+    expect(settlement.summary).toMatchObject({ batchMismatchCount: 1, bankTotal: 140, settledNetTotal: 147 });
+  });
+
+  it('settles unbatched transactions one day at a time within the settlement lag', () => {
+    const unbatched = [
+      record('P1', 100, 'completed', { date: '2024-03-10' }),
+      record('P2', 50, 'completed', { date: '2024-03-11' })
+    ];
+    const { settlement } = reconcile(internal, unbatched, {
+      bankRecords: [credit('S1', 150, '2024-03-12'), credit('S2', 100, '2024-03-12'), credit('S3', 50, '2024-03-20')]
+    });
+
+    // S1 covers both days together, which no single credit settles; S3 is past the lag
+    expect(settlement.batches).toHaveLength(1);
+    expect(settlement.batches[0]).toMatchObject({ matchedBy: 'date', net: 100, amountMatch: true });
+    expect(references(settlement.batches[0].provider)).toEqual(['P1']);
+    expect(references(settlement.unmatchedBank)).toEqual(['S1', 'S3']);
+    expect(references(settlement.unsettledProvider)).toEqual(['P2']);
+  });
+});
+
+describe('status severity', () => {
+  const run = (severityRules, pairs, extra = {}) => reconcile(
+    pairs.map(([reference, internal]) => record(reference, 100, internal)),
+    pairs.map(([reference, , provider]) => record(reference, 100, provider)),
+    { rules: resolveRules({ severityRules, ...extra }), fuzzyMatching: false }
+  );
+  const severities = (results) =>
+    Object.fromEntries(results.statusMismatches.map(pair => [pair.transaction_reference, pair.statusSeverity]));
+
+  it('takes the first rule that fits', () => {
+    const results = run([
+      { internal: 'completed', provider: 'failed', severity: 'critical' },
+      { internal: '*', provider: 'failed', severity: 'info' }
+    ], [['A1', 'completed', 'failed'], ['A2', 'pending', 'failed']]);
+
+    expect(severities(results)).toEqual({ A1: 'critical', A2: 'info' });
+  });
+
+  it('lets * stand for any status on either side', () => {
+    const results = run([
+      { internal: 'pending', provider: '*', severity: 'info' },
+      { internal: '*', provider: 'reversed', severity: 'critical' }
+    ], [['A1', 'pending', 'failed'], ['A2', 'completed', 'reversed'], ['A3', 'pending', 'reversed']]);
+
+    expect(severities(results)).toEqual({ A1: 'info', A2: 'critical', A3: 'info' });
+  });
+
+  it('falls back to a warning when no rule fits', () => {
+    const results = run(
+      [{ internal: 'completed', provider: 'failed', severity: 'critical' }],
+      [['A1', 'failed', 'completed'], ['A2', 'completed', 'completed']]
+    );
+
+    expect(severities(results)).toEqual({ A1: 'warning' });
+    expect(results.summary.statusSeverityCounts).toEqual({ critical: 0, warning: 1, info: 0 });
+  });
+
+  it('reads rule statuses through the equivalence groups', () => {
+    const results = run(
+      [{ internal: 'success', provider: 'failed', severity: 'critical' }],
+      [['A1', 'completed', 'failed']],
+      { statusGroups: [['completed', 'success']] }
+    );
+
+    expect(severities(results)).toEqual({ A1: 'critical' });
+  });
+
+  it('colours the status matrix by the same severities', () => {
+    const results = run(
+      [{ internal: 'completed', provider: 'failed', severity: 'critical' }],
+      [['A1', 'completed', 'failed'], ['A2', 'pending', 'failed'], ['A3', 'completed', 'completed']]
+    );
+    const { cells } = statusMatrix(results);
+
+    expect(cells['completed|failed'].severity).toBe('critical');
+    expect(cells['pending|failed'].severity).toBe('warning');
+    expect(cells['completed|completed'].severity).toBeNull();
+  });
+});
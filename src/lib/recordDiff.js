@@ -0,0 +1,65 @@
+// Rows for the side-by-side view of a matched pair: the fields the engine
+// compares first, then the configured compare fields, then every other
+// column by name. differs marks the rows to highlight; oneSided marks
+// columns only one of the files has.
+import { fieldsEqual, compareFieldLabel } from './rules.js';
+
+const ENGINE_FIELDS = [
+  { key: 'transaction_reference', label: 'Reference', differs: (m) => m.internal.transaction_reference !== m.provider.transaction_reference },
+  { key: 'amount', label: 'Amount', differs: (m) => !m.amountMatch },
+  { key: 'currency', label: 'Currency', differs: (m) => !m.currencyMatch },
+  { key: 'status', label: 'Status', differs: (m) => !m.statusMatch },
+  { key: 'date', label: 'Date', differs: (m) => !m.dateMatch },
+  { key: 'fee', label: 'Fee', optional: true, differs: (m) => !fieldsEqual(m.internal.fee, m.provider.fee) },
+  { key: 'commission', label: 'Commission', optional: true, differs: (m) => !fieldsEqual(m.internal.commission, m.provider.commission) },
+  { key: 'tax', label: 'Tax', optional: true, differs: (m) => !fieldsEqual(m.internal.tax, m.provider.tax) },
+  { key: 'batch', label: 'Settlement batch', optional: true, differs: (m) => !fieldsEqual(m.internal.batch, m.provider.batch) }
+];
+
+const isEmpty = (value) => value === null || value === undefined;
+
+const HIDDEN_KEYS = ['carriedFrom'];
+
+export const recordDiffRows = (match, compareFields = []) => {
+  const { internal, provider } = match;
+  const usedInternal = new Set(HIDDEN_KEYS);
+  const usedProvider = new Set(HIDDEN_KEYS);
+  const rows = [];
+
+  ENGINE_FIELDS.forEach(field => {
+    usedInternal.add(field.key);
+    usedProvider.add(field.key);
+    // Deductions and batch only show when at least one side has a value
+    if (field.optional && isEmpty(internal[field.key]) && isEmpty(provider[field.key])) return;
+    rows.push({ label: field.label, internal: internal[field.key], provider: provider[field.key], differs: field.differs(match) });
+  });
+
+  compareFields.filter(field => field.internal && field.provider).forEach(field => {
+    usedInternal.add(field.internal);
+    usedProvider.add(field.provider);
+    const label = compareFieldLabel(field);
+    rows.push({
+      label,
+      internal: internal[field.internal],
+      provider: provider[field.provider],
+      differs: (match.fieldMismatches || []).some(mismatch => mismatch.label === label),
+      compared: true
+    });
+  });
+
+  const others = [...new Set([...Object.keys(internal), ...Object.keys(provider)])]
+    .filter(key => !usedInternal.has(key) && !usedProvider.has(key))
+    .sort();
+  others.forEach(key => {
+    const oneSided = !(key in internal) || !(key in provider);
+    rows.push({
+      label: key,
+      internal: internal[key],
+      provider: provider[key],
+      differs: !oneSided && !fieldsEqual(internal[key], provider[key]),
+      oneSided
+    });
+  });
+
+  return rows;
+};
@@ -0,0 +1,391 @@
+// Sign-off artifacts for a finished run: flat export rows per bucket, an XLSX
+// workbook with a Summary sheet plus one sheet per discrepancy bucket, and a
+// printable PDF summary. xlsx and jspdf are only loaded when a report is
+// downloaded so they stay out of the main bundle.
+import { SEVERITIES, describeRules } from './rules.js';
+import { exceptionCounts, exceptionsForExport } from './exceptions.js';
+import { AMOUNT_EXPLANATIONS, amountExplanationLabel } from './fees.js';
+import { REVERSAL_KINDS } from './reversals.js';
+
+const yesNo = (value) => (value ? 'Yes' : 'No');
+
+// A record's own columns, with its carry-forward tag as plain columns
+const recordColumns = ({ carriedFrom, ...record }) => ({
+  ...record,
+  carried_from: carriedFrom?.sessionName || '',
+  first_seen: carriedFrom?.firstSeen || ''
+});
+
+// Flatten result rows for CSV and spreadsheet export. type says what the rows are.
+export const exportRows = (data, type) => {
+  if (type === 'matched') {
+    return data.map(item => ({
+      transaction_reference: item.transaction_reference,
+      internal_amount: item.internal.amount ?? '',
+      provider_amount: item.provider.amount ?? '',
+      internal_currency: item.internal.currency || '',
+      provider_currency: item.provider.currency || '',
+      internal_status: item.internal.status || '',
+      provider_status: item.provider.status || '',
+      amount_match: item.amountMatch ? (item.feeExplained ? 'Explained by fees' : 'Yes') : 'No',
+      amount_explanation: item.amountBreakdown ? amountExplanationLabel(item.amountBreakdown.explanation) : '',
+      expected_deductions: item.amountBreakdown?.deductions ?? '',
+      deductions_from: item.amountBreakdown?.source || '',
+      expected_net: item.amountBreakdown?.expectedNet ?? '',
+      residual: item.amountBreakdown?.residual ?? '',
+      status_match: yesNo(item.statusMatch),
+      status_severity: item.statusSeverity || '',
+      currency_match: yesNo(item.currencyMatch),
+      internal_date: item.internal.date || '',
+      provider_date: item.provider.date || '',
+      date_lag_days: item.dateLagDays ?? '',
+      date_match: yesNo(item.dateMatch),
+      field_mismatches: (item.fieldMismatches || [])
+        .map(field => `${field.label}: ${field.internal ?? ''} vs ${field.provider ?? ''}`)
+        .join('; '),
+      match_type: item.matchType,
+      confidence: item.confidence ?? ''
+    }));
+  }
+  if (type === 'records') {
+    return data.map(recordColumns);
+  }
+  if (type === 'presence') {
+    return data.map(({ sources, ...row }) => ({ ...row, found_in: sources.join(' + ') }));
+  }
+  if (type === 'settlements') {
+    return data.map(batch => ({
+      bank_reference: batch.transaction_reference,
+      bank_date: batch.bank.date || '',
+      bank_amount: batch.bank.amount ?? '',
+      transactions: batch.provider.length,
+      gross: batch.gross,
+      fees: batch.fees,
+      net: batch.net,
+      difference: batch.difference ?? '',
+      amount_match: yesNo(batch.amountMatch),
+      matched_by: batch.matchedBy
+    }));
+  }
+  if (type === 'reversals') {
+    return data.map(item => ({
+      reference: item.transaction_reference,
+      kind: REVERSAL_KINDS.find(kind => kind.key === item.kind)?.label || item.kind,
+      original_reference: item.original_reference || '',
+      found_in: item.internal && item.provider ? 'Both' : item.internal ? 'Internal only' : 'Provider only',
+      internal_amount: item.internal?.amount ?? '',
+      provider_amount: item.provider?.amount ?? '',
+      internal_date: item.internal?.date || '',
+      provider_date: item.provider?.date || '',
+      amount_match: item.internal && item.provider ? yesNo(item.amountMatch) : ''
+    }));
+  }
+  if (type === 'positions') {
+    return data.map(position => ({
+      original_reference: position.transaction_reference,
+      internal_original: position.internalOriginal ?? '',
+      internal_reversed: position.internalReversed,
+      internal_net: position.internalNet ?? '',
+      provider_original: position.providerOriginal ?? '',
+      provider_reversed: position.providerReversed,
+      provider_net: position.providerNet ?? '',
+      difference: position.difference,
+      net_match: yesNo(position.netMatch)
+    }));
+  }
+  if (type === 'timing') {
+    return data.map(item => ({ side: item.side, timing_reason: item.reason, ...recordColumns(item.record) }));
+  }
+  if (type === 'duplicates') {
+    return data.flatMap(group => group.records.map((record, index) => ({
+      side: group.side,
+      occurrence: index + 1,
+      occurrences: group.records.length,
+      ...recordColumns(record)
+    })));
+  }
+  return data;
+};
+
+export const matchRate = (summary) =>
+  Math.round((summary.matchedCount / Math.max(summary.totalInternal, summary.totalProvider, 1)) * 100);
+
+// Every issue the Reconciliation Summary counts under Total Issues
+export const discrepancyCount = (summary) =>
+  summary.internalOnlyCount
+  + summary.providerOnlyCount
+  + summary.amountMismatchCount
+  + summary.statusMismatchCount
+  + summary.currencyMismatchCount
+  + summary.dateMismatchCount
+  + (summary.fieldMismatchCount || 0)
+  + (summary.reversalExceptionCount || 0)
+  + summary.internalDuplicateCount
+  + summary.providerDuplicateCount;
+
+// Share of the larger file's value that matched; null for runs saved before values were summarized
+export const valueMatchRate = (summary) => {
+  if (typeof summary.totalInternalValue !== 'number') return null;
+  const base = Math.max(Math.abs(summary.totalInternalValue), Math.abs(summary.totalProviderValue));
+  return base ? Math.round((Math.abs(summary.matchedInternalValue) / base) * 100) : 100;
+};
+
+// The Reconciliation Summary numbers as titled sections of [label, value] rows
+export const reportSummary = (results) => {
+  const { summary } = results;
+  const exceptions = exceptionCounts(results);
+  const sections = [
+    {
+      title: 'File statistics',
+      rows: [
+        ['Internal records', summary.totalInternal],
+        ['Provider records', summary.totalProvider],
+        ['Matched', summary.matchedCount],
+        ['Match rate', `${matchRate(summary)}%`],
+        ['Timing differences', summary.timingDifferenceCount]
+      ]
+    },
+    {
+      title: 'Values',
+      rows: [
+        ['Internal total', summary.totalInternalValue],
+        ['Provider total', summary.totalProviderValue],
+        ['Net difference', summary.netDifference],
+        ['Matched value', summary.matchedInternalValue],
+        ['Value match rate', valueMatchRate(summary) === null ? '' : `${valueMatchRate(summary)}%`],
+        ['Internal only value', summary.internalOnlyValue],
+        ['Provider only value', summary.providerOnlyValue],
+        ['Timing differences value', summary.timingDifferenceValue],
+        ['Amount variances', summary.amountVarianceValue],
+        ['Value at risk', summary.valueAtRisk]
+      ]
+    },
+    {
+      title: 'Discrepancies',
+      rows: [
+        ['Internal only', summary.internalOnlyCount],
+        ['Provider only', summary.providerOnlyCount],
+        ['Amount mismatches', summary.amountMismatchCount],
+        ...AMOUNT_EXPLANATIONS.map(({ key, label }) => [`Amount differences: ${label.toLowerCase()}`, summary.amountExplanationCounts?.[key] ?? '']),
+        ['Status mismatches', summary.statusMismatchCount],
+        ...SEVERITIES.map(({ key, label }) => [`${label} status mismatches`, summary.statusSeverityCounts?.[key] ?? '']),
+        ['Currency mismatches', summary.currencyMismatchCount],
+        ['Date mismatches', summary.dateMismatchCount],
+        ['Field mismatches', summary.fieldMismatchCount || 0],
+        ['Reversal exceptions', summary.reversalExceptionCount || 0],
+        ['Duplicate references', summary.internalDuplicateCount + summary.providerDuplicateCount]
+      ]
+    },
+    {
+      title: 'Exception workflow',
+      rows: [
+        ['Exceptions', exceptions.total],
+        ['Open', exceptions.open],
+        ['Resolved or written off', exceptions.resolved],
+        ['Carried forward', summary.carriedForwardCount || 0]
+      ]
+    }
+  ];
+  if (results.reversals?.reversals.length) {
+    const { summary: reversed } = results.reversals;
+    sections.push({
+      title: 'Reversals',
+      rows: [
+        ['Reversals, refunds and chargebacks', reversed.reversalCount],
+        ['Internal only', reversed.internalOnlyCount],
+        ['Provider only', reversed.providerOnlyCount],
+        ['Amount differs', reversed.amountMismatchCount],
+        ['Net positions that differ', reversed.netMismatchCount]
+      ]
+    });
+  }
+  if (results.settlement) {
+    const { summary: settled } = results.settlement;
+    sections.push({
+      title: 'Bank settlements',
+      rows: [
+        ['Settlement batches', settled.batchCount],
+        ['Batches with a difference', settled.batchMismatchCount],
+        ['Unmatched bank credits', settled.unmatchedBankCount],
+        ['Provider transactions not yet settled', settled.unsettledProviderCount],
+        ['Bank credits total', settled.bankTotal],
+        ['Settled net total', settled.settledNetTotal]
+      ]
+    });
+  }
+  return sections;
+};
+
+// Amounts per currency and side, with the difference between the two files
+export const currencyTotalRows = (summary) =>
+  Object.entries(summary.currencyTotals || {}).map(([currency, totals]) => ({
+    currency: currency || 'Unspecified',
+    internal_count: totals.internalCount,
+    internal_amount: totals.internalAmount,
+    provider_count: totals.providerCount,
+    provider_amount: totals.providerAmount,
+    difference: Math.round((totals.internalAmount - totals.providerAmount) * 100) / 100
+  }));
+
+// Who ran what, shared by the workbook and the PDF. meta: { files, reviewer, sessionName }
+const runDetails = (results, meta) => {
+  const { files = {} } = meta;
+  const rows = [
+    ['Generated', new Date().toLocaleString()],
+    ['Session', meta.sessionName || ''],
+    ['Internal file', files.internal || ''],
+    ['Provider file', files.provider || '']
+  ];
+  if (files.bank) rows.push(['Bank file', files.bank]);
+  if (results.period) rows.push(['Statement period', `${results.period.start} to ${results.period.end}`]);
+  if (meta.reviewer) rows.push(['Prepared by', meta.reviewer]);
+  return rows.filter(([, value]) => value !== '');
+};
+
+// Every exportable bucket of a run, flattened. Bank buckets only exist when a
+// bank statement was included, reversal buckets in runs made since reversals
+// were linked; inWorkbook: false keeps a bucket out of the report workbook,
+// which only carries the discrepancies.
+export const RESULT_BUCKETS = [
+  { key: 'matched', label: 'Matched', rows: (results) => exportRows(results.matched, 'matched'), inWorkbook: false },
+  { key: 'amountMismatches', label: 'Amount Mismatches', rows: (results) => exportRows(results.amountMismatches, 'matched') },
+  { key: 'statusMismatches', label: 'Status Mismatches', rows: (results) => exportRows(results.statusMismatches, 'matched') },
+  { key: 'currencyMismatches', label: 'Currency Mismatches', rows: (results) => exportRows(results.currencyMismatches, 'matched') },
+  { key: 'dateMismatches', label: 'Date Mismatches', rows: (results) => exportRows(results.dateMismatches, 'matched') },
+  { key: 'fieldMismatches', label: 'Field Mismatches', rows: (results) => exportRows(results.fieldMismatches || [], 'matched') },
+  { key: 'internalOnly', label: 'Internal Only', rows: (results) => exportRows(results.internalOnly, 'records') },
+  { key: 'providerOnly', label: 'Provider Only', rows: (results) => exportRows(results.providerOnly, 'records') },
+  { key: 'timingDifferences', label: 'Timing Differences', rows: (results) => exportRows(results.timingDifferences, 'timing') },
+  {
+    key: 'duplicates',
+    label: 'Duplicates',
+    rows: (results) => exportRows([
+      ...results.internalDuplicates.map(group => ({ ...group, side: 'internal' })),
+      ...results.providerDuplicates.map(group => ({ ...group, side: 'provider' }))
+    ], 'duplicates')
+  },
+  { key: 'exceptions', label: 'Exceptions', rows: exceptionsForExport },
+  { key: 'reversals', label: 'Reversals', rows: (results) => exportRows(results.reversals.reversals, 'reversals'), reversals: true },
+  { key: 'netPositions', label: 'Net Positions', rows: (results) => exportRows(results.reversals.positions, 'positions'), reversals: true },
+  { key: 'settlements', label: 'Settlements', rows: (results) => exportRows(results.settlement.batches, 'settlements'), bank: true },
+  { key: 'unmatchedBank', label: 'Unmatched Bank Credits', rows: (results) => exportRows(results.settlement.unmatchedBank, 'records'), bank: true },
+  { key: 'sourcePresence', label: 'Source Presence', rows: (results) => exportRows(results.sourcePresence.rows, 'presence'), bank: true, inWorkbook: false }
+];
+
+export const availableBuckets = (results) =>
+  RESULT_BUCKETS.filter(bucket => (!bucket.bank || results.settlement) && (!bucket.reversals || results.reversals));
+
+// amountMismatches -> amount_mismatches, for file names
+export const bucketFileName = (bucket) => bucket.key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+
+// Save text as a file through a temporary link. The object URL is released
+// once the click has handed the blob to the browser.
+export const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+export const downloadWorkbook = async (results, meta, filename) => {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.utils.book_new();
+
+  const summaryRows = [['ReconFlow reconciliation report'], [], ...runDetails(results, meta)];
+  reportSummary(results).forEach(section => {
+    summaryRows.push([], [section.title], ...section.rows);
+  });
+  const totals = currencyTotalRows(results.summary);
+  if (totals.length) {
+    summaryRows.push([], ['Totals by currency'], Object.keys(totals[0]), ...totals.map(Object.values));
+  }
+  summaryRows.push([], ['Rules'], ...describeRules(results.rules).map(line => [line]));
+  const summarySheet = XLSX.utils.aoa_to_sheet(summaryRows);
+  summarySheet['!cols'] = [{ wch: 36 }, { wch: 24 }, { wch: 16 }, { wch: 16 }, { wch: 16 }, { wch: 16 }];
+  XLSX.utils.book_append_sheet(workbook, summarySheet, 'Summary');
+
+  availableBuckets(results).filter(bucket => bucket.inWorkbook !== false).forEach(bucket => {
+    const rows = bucket.rows(results);
+    const sheet = rows.length
+      ? XLSX.utils.json_to_sheet(rows)
+      : XLSX.utils.aoa_to_sheet([['No transactions in this bucket']]);
+    // Sheet names are capped at 31 characters
+    XLSX.utils.book_append_sheet(workbook, sheet, bucket.label.slice(0, 31));
+  });
+
+  XLSX.writeFile(workbook, filename);
+};
+
+const PAGE_MARGIN = 15;
+const LINE_HEIGHT = 6;
+
+export const downloadPdfReport = async (results, meta, filename) => {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  let y = PAGE_MARGIN;
+
+  // Start a new page when the next block would run off this one
+  const ensureSpace = (height) => {
+    if (y + height > pageHeight - PAGE_MARGIN) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  const heading = (text) => {
+    ensureSpace(LINE_HEIGHT * 2);
+    y += LINE_HEIGHT / 2;
+    doc.setFont('helvetica', 'bold').setFontSize(12).text(text, PAGE_MARGIN, y);
+    y += LINE_HEIGHT;
+    doc.setFont('helvetica', 'normal').setFontSize(10);
+  };
+
+  // Cells at fixed x offsets; long text wraps within its column
+  const row = (cells, offsets) => {
+    const wrapped = cells.map((cell, index) => {
+      const width = (offsets[index + 1] ?? pageWidth - PAGE_MARGIN) - offsets[index] - 2;
+      return doc.splitTextToSize(String(cell ?? ''), width);
+    });
+    const height = Math.max(...wrapped.map(lines => lines.length)) * LINE_HEIGHT;
+    ensureSpace(height);
+    wrapped.forEach((lines, index) => doc.text(lines, offsets[index], y));
+    y += height;
+  };
+
+  const labelled = [PAGE_MARGIN, PAGE_MARGIN + 80];
+
+  doc.setFont('helvetica', 'bold').setFontSize(16).text('ReconFlow reconciliation report', PAGE_MARGIN, y + 4);
+  y += LINE_HEIGHT * 2;
+  doc.setFont('helvetica', 'normal').setFontSize(10);
+  runDetails(results, meta).forEach(detail => row(detail, labelled));
+
+  reportSummary(results).forEach(section => {
+    heading(section.title);
+    section.rows.forEach(detail => row(detail, labelled));
+  });
+
+  const totals = currencyTotalRows(results.summary);
+  if (totals.length) {
+    heading('Totals by currency');
+    const offsets = [PAGE_MARGIN, PAGE_MARGIN + 30, PAGE_MARGIN + 75, PAGE_MARGIN + 120];
+    row(['Currency', 'Internal', 'Provider', 'Difference'], offsets);
+    totals.forEach(total => row([
+      total.currency,
+      `${total.internal_amount.toFixed(2)} (${total.internal_count})`,
+      `${total.provider_amount.toFixed(2)} (${total.provider_count})`,
+      total.difference.toFixed(2)
+    ], offsets));
+  }
+
+  heading('Rules used');
+  describeRules(results.rules).forEach(line => row([line], [PAGE_MARGIN]));
+
+  doc.save(filename);
+};
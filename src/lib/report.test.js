@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import { exportRows } from './report.js';
+
+const side = (amount) => ({ amount, currency: 'KES', status: 'completed', date: '2024-03-10' });
+
+describe('exportRows', () => {
+  it('keeps zero amounts in matched rows', () => {
+    const [row] = exportRows([{
+      transaction_reference: 'A1',
+      internal: side(0),
+      provider: side(0),
+      amountMatch: true,
+      statusMatch: true,
+      currencyMatch: true,
+      dateMatch: true,
+      matchType: 'exact'
+    }], 'matched');
+
+    expect(row).toMatchObject({ internal_amount: 0, provider_amount: 0 });
+  });
+
+  it('leaves missing amounts blank', () => {
+    const [row] = exportRows([{
+      transaction_reference: 'A1',
+      internal: side(null),
+      provider: side(undefined),
+      matchType: 'exact'
+    }], 'matched');
+
+    expect(row).toMatchObject({ internal_amount: '', provider_amount: '' });
+  });
+
+  it('flattens the carry-forward tag of timing rows into plain columns', () => {
+    const carriedFrom = { sessionId: 's1', sessionName: 'March', firstSeen: '2024-03-30', resolution: null };
+    const [row] = exportRows([{ side: 'internal', reason: 'After period end', record: { transaction_reference: 'A1', amount: 5, carriedFrom } }], 'timing');
+
+    expect(row).toEqual({
+      side: 'internal',
+      timing_reason: 'After period end',
+      transaction_reference: 'A1',
+      amount: 5,
+      carried_from: 'March',
+      first_seen: '2024-03-30'
+    });
+  });
+});
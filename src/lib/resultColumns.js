@@ -0,0 +1,172 @@
+// Column and filter definitions for the result tables. Each table definition
+// says how to read the reference, amount, status and mismatch types of a row
+// so the table can search, filter and sort without knowing the bucket.
+import { formatCurrency } from './format.js';
+import { SEVERITIES, severityRank } from './rules.js';
+
+// Fields the engine derives from the mapping or adds itself; everything else is an original column
+const NORMALIZED_FIELDS = ['transaction_reference', 'amount', 'status', 'date', 'currency', 'batch', 'fee', 'commission', 'tax', 'original_reference', 'carriedFrom'];
+
+// Enough rows to discover the file's columns without scanning huge results
+const COLUMN_SAMPLE_SIZE = 500;
+
+export const MISMATCH_TYPES = [
+  { key: 'amount', label: 'Amount mismatch' },
+  { key: 'partial', label: 'Partial payment / refund' },
+  { key: 'unexplained', label: 'Unexplained amount' },
+  { key: 'status', label: 'Status mismatch' },
+  { key: 'currency', label: 'Currency mismatch' },
+  { key: 'date', label: 'Date mismatch' },
+  { key: 'field', label: 'Field mismatch' },
+  { key: 'reversal', label: 'Net of reversals differs' },
+  { key: 'fee', label: 'Explained by fees' },
+  { key: 'fuzzy', label: 'Fuzzy match' },
+  { key: 'many-to-one', label: 'Many-to-one' },
+  { key: 'clean', label: 'No issues' }
+];
+
+const display = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+// Signed so a provider date before the internal one stands out
+const formatLag = (days) => (days === null || days === undefined ? '—' : `${days > 0 ? '+' : ''}${days}`);
+
+const originalKeys = (records) => {
+  const keys = new Set();
+  records.slice(0, COLUMN_SAMPLE_SIZE).forEach(record => {
+    Object.keys(record).forEach(key => {
+      if (!NORMALIZED_FIELDS.includes(key)) keys.add(key);
+    });
+  });
+  return [...keys];
+};
+
+const originalColumns = (records, prefix, read) =>
+  originalKeys(records).map(key => ({
+    key: `${prefix}${key}`,
+    label: `${prefix}${key}`,
+    value: (row) => read(row)[key],
+    format: display
+  }));
+
+export const matchMismatchTypes = (match) => {
+  const types = [];
+  if (!match.amountMatch) types.push('amount', match.amountBreakdown?.explanation || 'unexplained');
+  if (!match.statusMatch) types.push('status');
+  if (!match.currencyMatch) types.push('currency');
+  if (!match.dateMatch) types.push('date');
+  if (match.fieldsMatch === false) types.push('field');
+  if (match.netPosition?.netMatch === false) types.push('reversal');
+  if (match.feeExplained) types.push('fee');
+  if (match.matchType !== 'exact') types.push(match.matchType);
+  if (!types.length) types.push('clean');
+  return types;
+};
+
+const isFlaggedMatch = (match) =>
+  !match.amountMatch || !match.statusMatch || !match.currencyMatch || !match.dateMatch || match.fieldsMatch === false
+  || match.netPosition?.netMatch === false;
+
+// Status mismatches take their rule's severity; other issues have no rules and count as warnings
+export const matchSeverity = (match) => match.statusSeverity || (isFlaggedMatch(match) ? 'warning' : null);
+
+export const matchedTable = {
+  reference: (match) => match.transaction_reference,
+  amount: (match) => match.internal.amount,
+  statuses: (match) => [match.internal.status, match.provider.status],
+  mismatchTypes: matchMismatchTypes,
+  isFlagged: isFlaggedMatch,
+  severity: matchSeverity,
+  // Most urgent first
+  defaultSort: 'severity',
+  columns: [
+    {
+      key: 'severity',
+      label: 'Severity',
+      value: (m) => severityRank(matchSeverity(m)),
+      format: (v) => (v === null ? '—' : SEVERITIES[v].label)
+    },
+    { key: 'transaction_reference', label: 'Reference', value: (m) => m.transaction_reference, format: display, mono: true },
+    { key: 'internal_amount', label: 'Internal Amount', value: (m) => m.internal.amount, format: (v, m) => formatCurrency(v, m.internal.currency) },
+    { key: 'provider_amount', label: 'Provider Amount', value: (m) => m.provider.amount, format: (v, m) => formatCurrency(v, m.provider.currency) },
+    {
+      key: 'expected_net',
+      label: 'Expected Net',
+      value: (m) => m.amountBreakdown?.expectedNet ?? null,
+      format: (v, m) => (v === null ? '—' : formatCurrency(v, m.provider.currency))
+    },
+    {
+      key: 'residual',
+      label: 'Residual',
+      value: (m) => m.amountBreakdown?.residual ?? null,
+      format: (v, m) => (v === null ? '—' : formatCurrency(v, m.provider.currency))
+    },
+    { key: 'internal_status', label: 'Internal Status', value: (m) => m.internal.status, format: display },
+    { key: 'provider_status', label: 'Provider Status', value: (m) => m.provider.status, format: display },
+    { key: 'internal_date', label: 'Internal Date', value: (m) => m.internal.date, format: display },
+    { key: 'provider_date', label: 'Provider Date', value: (m) => m.provider.date, format: display },
+    { key: 'date_lag', label: 'Provider Lag (days)', value: (m) => m.dateLagDays, format: formatLag },
+    {
+      key: 'issues',
+      label: 'Issues',
+      value: (m) => matchMismatchTypes(m).join(', '),
+      format: (value) => value.split(', ').map(key => MISMATCH_TYPES.find(t => t.key === key)?.label || key).join(', ')
+    }
+  ],
+  originalColumns: (matches) => [
+    ...originalColumns(matches.map(m => m.internal), 'internal.', (m) => m.internal),
+    ...originalColumns(matches.map(m => m.provider), 'provider.', (m) => m.provider)
+  ]
+};
+
+export const recordTable = {
+  reference: (record) => record.transaction_reference,
+  amount: (record) => record.amount,
+  statuses: (record) => [record.status],
+  mismatchTypes: null,
+  isFlagged: () => false,
+  columns: [
+    { key: 'transaction_reference', label: 'Reference', value: (r) => r.transaction_reference, format: display, mono: true },
+    { key: 'amount', label: 'Amount', value: (r) => r.amount, format: (v, r) => formatCurrency(v, r.currency) },
+    { key: 'currency', label: 'Currency', value: (r) => r.currency, format: display },
+    { key: 'status', label: 'Status', value: (r) => r.status, format: display },
+    { key: 'date', label: 'Date', value: (r) => r.date, format: display }
+  ],
+  originalColumns: (records) => originalColumns(records, '', (r) => r)
+};
+
+export const timingTable = {
+  reference: (item) => item.record.transaction_reference,
+  amount: (item) => item.record.amount,
+  statuses: (item) => [item.record.status],
+  mismatchTypes: null,
+  isFlagged: () => false,
+  columns: [
+    { key: 'transaction_reference', label: 'Reference', value: (t) => t.record.transaction_reference, format: display, mono: true },
+    { key: 'side', label: 'Side', value: (t) => t.side, format: display },
+    { key: 'date', label: 'Date', value: (t) => t.record.date, format: display },
+    { key: 'amount', label: 'Amount', value: (t) => t.record.amount, format: (v, t) => formatCurrency(v, t.record.currency) },
+    { key: 'status', label: 'Status', value: (t) => t.record.status, format: display },
+    { key: 'reason', label: 'Reason', value: (t) => t.reason, format: display }
+  ],
+  originalColumns: (items) => originalColumns(items.map(t => t.record), '', (t) => t.record)
+};
+
+// Rows of sourcePresence(): one boolean column per source
+export const presenceTable = (sources) => ({
+  reference: (row) => row.transaction_reference,
+  amount: () => null,
+  statuses: () => [],
+  mismatchTypes: null,
+  isFlagged: (row) => row.sources.length < sources.length,
+  columns: [
+    { key: 'transaction_reference', label: 'Reference', value: (r) => r.transaction_reference, format: display, mono: true },
+    ...sources.map(source => ({
+      key: source.key,
+      label: source.label,
+      value: (r) => (r[source.key] ? 'Yes' : 'No'),
+      format: display
+    })),
+    { key: 'source_count', label: 'Found in', value: (r) => r.sources.length, format: (v) => `${v} of ${sources.length}` }
+  ],
+  originalColumns: () => []
+});
@@ -0,0 +1,170 @@
+// Reversals, refunds and chargebacks. These rows undo an earlier transaction,
+// often under a reference of their own, so they are taken out of ordinary
+// matching. Each is paired with the same reversal on the other side and
+// linked to the transaction it reverses, and every reversed transaction gets
+// its net position on both sides. A row only counts as a reversal on a side
+// that holds its original; otherwise it is matched like any transaction.
+import { referenceKey, amountTolerance, compareAmounts } from './rules.js';
+
+export const REVERSAL_KINDS = [
+  { key: 'reversal', label: 'Reversal' },
+  { key: 'refund', label: 'Refund' },
+  { key: 'chargeback', label: 'Chargeback' }
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Kind of reversal a row is, or null for an ordinary transaction
+export const reversalKind = (record, rules) => {
+  const { statuses, negativeAmounts } = rules.reversals;
+  const status = record.status || '';
+  if (status && statuses.includes(status)) {
+    if (status.includes('charge')) return 'chargeback';
+    if (status.includes('refund')) return 'refund';
+    return 'reversal';
+  }
+  if (record.original_reference) return 'reversal';
+  if (negativeAmounts && record.amount !== null && record.amount < 0) return 'reversal';
+  return null;
+};
+
+// { internal, provider }, each { transactions, reversals }; reversals carry
+// their kind and the reference key of their original. A reversal row needs
+// its original on its own side: the row its original reference column names,
+// else an ordinary row sharing its reference. Without one, or when the other
+// side has an ordinary row under a reversal's own reference, it stays in
+// matching, so completed against reversed is still a status mismatch.
+export const splitReversals = (internalRecords, providerRecords, rules) => {
+  const sides = { internal: internalRecords, provider: providerRecords };
+  const kinds = {};
+  const plainKeys = {};
+  Object.entries(sides).forEach(([side, records]) => {
+    kinds[side] = records.map(record => reversalKind(record, rules));
+    plainKeys[side] = new Set(records
+      .filter((record, index) => !kinds[side][index])
+      .map(record => referenceKey(record.transaction_reference, rules)));
+  });
+
+  const split = (side, other) => {
+    const transactions = [];
+    const reversals = [];
+    sides[side].forEach((record, index) => {
+      const kind = kinds[side][index];
+      const key = referenceKey(record.transaction_reference, rules);
+      const originalKey = kind ? referenceKey(record.original_reference || record.transaction_reference, rules) : null;
+      const linked = originalKey !== null && plainKeys[side].has(originalKey);
+      if (linked && !(key !== originalKey && plainKeys[other].has(key))) {
+        reversals.push({ kind, record, originalKey });
+      } else {
+        transactions.push(record);
+      }
+    });
+    return { transactions, reversals };
+  };
+
+  return { internal: split('internal', 'provider'), provider: split('provider', 'internal') };
+};
+
+const groupBy = (entries, read) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = read(entry);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+  return groups;
+};
+
+// Reversal amounts always reduce the original, whichever sign the file used
+const reversedAmount = (entries) => roundCents(entries.reduce((sum, entry) => sum + Math.abs(entry.record.amount ?? 0), 0));
+
+// internal/provider: the reversals splitReversals found on each side;
+// internalMap/providerMap index the remaining transactions by reference key
+export const reconcileReversals = (internal, provider, internalMap, providerMap, rules) => {
+  const link = (side) => (entry) => ({
+    ...entry,
+    side,
+    key: referenceKey(entry.record.transaction_reference, rules)
+  });
+  const internalEntries = internal.map(link('internal'));
+  const providerEntries = provider.map(link('provider'));
+
+  // Pair by the reversal's own reference, then by original and amount
+  const items = [];
+  const unpaired = new Set(providerEntries);
+  const byKey = groupBy(providerEntries, entry => entry.key);
+  const byOriginalKey = groupBy(providerEntries, entry => entry.originalKey);
+  const take = (candidates, fits) => {
+    const counterpart = (candidates || []).find(candidate => unpaired.has(candidate) && fits(candidate));
+    if (counterpart) unpaired.delete(counterpart);
+    return counterpart || null;
+  };
+  const leftover = [];
+  internalEntries.forEach(entry => {
+    const counterpart = take(byKey.get(entry.key), () => true);
+    if (counterpart) items.push({ internal: entry, provider: counterpart });
+    else leftover.push(entry);
+  });
+  leftover.forEach(entry => {
+    const amount = Math.abs(entry.record.amount ?? 0);
+    const counterpart = entry.originalKey && take(byOriginalKey.get(entry.originalKey), candidate =>
+      Math.abs(Math.abs(candidate.record.amount ?? 0) - amount) <= amountTolerance(amount, rules));
+    items.push({ internal: entry, provider: counterpart || null });
+  });
+  unpaired.forEach(entry => items.push({ internal: null, provider: entry }));
+
+  const reversals = items.map(({ internal: i, provider: p }) => {
+    const first = i || p;
+    return {
+      transaction_reference: first.record.transaction_reference,
+      kind: first.kind,
+      original_reference: i?.originalKey ?? p?.originalKey ?? null,
+      internal: i ? i.record : null,
+      provider: p ? p.record : null,
+      amountMatch: Boolean(i && p && i.record.amount !== null && p.record.amount !== null
+        && compareAmounts(Math.abs(i.record.amount), Math.abs(p.record.amount), rules).match)
+    };
+  });
+
+  // Net position of every reversed transaction on each side
+  const byOriginal = new Map();
+  [...internalEntries, ...providerEntries].forEach(entry => {
+    if (!byOriginal.has(entry.originalKey)) byOriginal.set(entry.originalKey, { internal: [], provider: [] });
+    byOriginal.get(entry.originalKey)[entry.side].push(entry);
+  });
+  const positions = [...byOriginal.entries()].map(([key, entries]) => {
+    const net = (original, reversed) => {
+      if (!original) return null;
+      const sign = (original.amount ?? 0) < 0 ? -1 : 1;
+      return roundCents((original.amount ?? 0) - sign * reversedAmount(reversed));
+    };
+    const internalOriginal = internalMap.get(key) || null;
+    const providerOriginal = providerMap.get(key) || null;
+    const internalNet = net(internalOriginal, entries.internal);
+    const providerNet = net(providerOriginal, entries.provider);
+    const difference = roundCents((internalNet ?? 0) - (providerNet ?? 0));
+    return {
+      transaction_reference: key,
+      internalOriginal: internalOriginal?.amount ?? null,
+      providerOriginal: providerOriginal?.amount ?? null,
+      internalReversed: reversedAmount(entries.internal),
+      providerReversed: reversedAmount(entries.provider),
+      internalNet,
+      providerNet,
+      difference,
+      netMatch: Math.abs(difference) <= amountTolerance(internalNet ?? providerNet ?? 0, rules)
+    };
+  });
+
+  return {
+    reversals,
+    positions,
+    summary: {
+      reversalCount: reversals.length,
+      internalOnlyCount: reversals.filter(r => !r.provider).length,
+      providerOnlyCount: reversals.filter(r => !r.internal).length,
+      amountMismatchCount: reversals.filter(r => r.internal && r.provider && !r.amountMatch).length,
+      netMismatchCount: positions.filter(p => !p.netMatch).length
+    }
+  };
+};
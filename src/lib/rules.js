@@ -0,0 +1,228 @@
+// Matching rules: amount tolerances, status equivalence groups, reference
+// normalization and date handling. A rule set is plain JSON so it can be saved, shown in the
+// summary and re-applied to reproduce a run.
+
+export const DEFAULT_RULES = {
+  name: 'Default',
+  amountTolerance: { absolute: 0.01, percent: 0 },
+  // Provider amount may be lower than internal by up to this fee
+  feeTolerance: { percent: 0, flat: 0 },
+  // Expected fees when the files have no fee columns: tiers of
+  // { upTo, percent, flat } by amount (no upTo covers the rest), plus tax charged on the fee
+  feeSchedule: { tiers: [], taxPercent: 0 },
+  // e.g. [['completed', 'success', 'successful', 'settled']]
+  statusGroups: [],
+  // Applied in order to references on both sides before matching
+  referenceRules: [],
+  // Layout of each side's date column, see DATE_FORMATS
+  dateFormats: { internal: 'auto', provider: 'auto', bank: 'auto' },
+  // Days the provider may lag the internal date before it counts as a date
+  // mismatch; a provider date before the internal one always does
+  settlementLagDays: 2,
+  // Rows that undo an earlier transaction: statuses that mark them, and
+  // whether a negative amount counts as one. Rows naming an original
+  // reference always do. Either way the original must be on the same side.
+  reversals: {
+    statuses: ['reversed', 'reversal', 'refund', 'refunded', 'chargeback', 'charged_back', 'chargedback'],
+    negativeAmounts: true
+  },
+  // Extra columns compared on matched pairs, e.g. [{ internal: 'customer_phone', provider: 'msisdn' }]
+  compareFields: [],
+  // Severity of a status mismatch by internal and provider status, first rule
+  // that fits wins; '*' fits any status, e.g. [{ internal: 'success', provider: 'failed', severity: 'critical' }]
+  severityRules: []
+};
+
+export const REFERENCE_RULE_TYPES = [
+  { key: 'caseFold', label: 'Ignore case', needsValue: false },
+  { key: 'stripNonAlphanumeric', label: 'Remove punctuation and spaces', needsValue: false },
+  { key: 'stripLeadingZeros', label: 'Remove leading zeros', needsValue: false },
+  { key: 'stripPrefix', label: 'Strip prefix', needsValue: true },
+  { key: 'regex', label: 'Regex capture (group 1)', needsValue: true }
+];
+
+// Most to least urgent; status mismatches no rule covers are warnings
+export const SEVERITIES = [
+  { key: 'critical', label: 'Critical' },
+  { key: 'warning', label: 'Warning' },
+  { key: 'info', label: 'Info' }
+];
+
+const DEFAULT_SEVERITY = 'warning';
+
+const RULE_SETS_STORAGE_KEY = 'reconflow.ruleSets';
+const ACTIVE_RULES_STORAGE_KEY = 'reconflow.activeRules';
+
+export const resolveRules = (rules = {}) => ({
+  ...DEFAULT_RULES,
+  ...rules,
+  amountTolerance: { ...DEFAULT_RULES.amountTolerance, ...rules.amountTolerance },
+  feeTolerance: { ...DEFAULT_RULES.feeTolerance, ...rules.feeTolerance },
+  feeSchedule: { ...DEFAULT_RULES.feeSchedule, ...rules.feeSchedule },
+  reversals: { ...DEFAULT_RULES.reversals, ...rules.reversals },
+  dateFormats: { ...DEFAULT_RULES.dateFormats, ...rules.dateFormats }
+});
+
+const applyReferenceRule = (ref, rule) => {
+  switch (rule.type) {
+    case 'caseFold':
+      return ref.toUpperCase();
+    case 'stripNonAlphanumeric':
+      return ref.replace(/[^a-zA-Z0-9]/g, '');
+    case 'stripLeadingZeros':
+      return ref.replace(/^0+(?=.)/, '');
+    case 'stripPrefix':
+      return rule.value && ref.toUpperCase().startsWith(rule.value.toUpperCase())
+        ? ref.slice(rule.value.length)
+        : ref;
+    case 'regex': {
+      try {
+        const match = ref.match(new RegExp(rule.value));
+        return match ? (match[1] ?? match[0]) : ref;
+      } catch {
+        return ref;
+      }
+    }
+    default:
+      return ref;
+  }
+};
+
+// Key a record is matched on once the reference rules are applied
+export const referenceKey = (ref, rules) =>
+  rules.referenceRules.reduce((key, rule) => applyReferenceRule(key, rule), String(ref ?? '')).trim();
+
+// Map a status onto the first member of its equivalence group
+export const canonicalStatus = (status, rules) => {
+  if (!status) return status;
+  const group = rules.statusGroups.find(g => g.includes(status));
+  return group ? group[0] : status;
+};
+
+export const statusesMatch = (a, b, rules) => canonicalStatus(a, rules) === canonicalStatus(b, rules);
+
+// Severity of a mismatch between two statuses; rule statuses go through the
+// equivalence groups too, so one rule covers every name of a status
+export const statusSeverity = (internalStatus, providerStatus, rules) => {
+  const fits = (pattern, status) => pattern === '*' || canonicalStatus(pattern, rules) === canonicalStatus(status, rules);
+  const rule = (rules.severityRules || []).find(r => fits(r.internal, internalStatus) && fits(r.provider, providerStatus));
+  return rule ? rule.severity : DEFAULT_SEVERITY;
+};
+
+// Position in SEVERITIES for sorting, most urgent first; null when there is no severity
+export const severityRank = (severity) => {
+  const index = SEVERITIES.findIndex(s => s.key === severity);
+  return index === -1 ? null : index;
+};
+
+// Values of an extra compared column: numbers numerically, text ignoring case and spacing
+export const fieldsEqual = (a, b) => {
+  const blank = (value) => value === null || value === undefined || String(value).trim() === '';
+  if (blank(a) || blank(b)) return blank(a) && blank(b);
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (Number.isFinite(numberA) && Number.isFinite(numberB)) return Math.abs(numberA - numberB) < 0.005;
+  const text = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+  return text(a) === text(b);
+};
+
+export const compareFieldLabel = (field) =>
+  field.label || (field.internal === field.provider ? field.internal : `${field.internal} / ${field.provider}`);
+
+// Largest difference still treated as equal for an amount
+export const amountTolerance = (amount, rules) => {
+  const { absolute, percent } = rules.amountTolerance;
+  return Math.max(absolute, Math.abs(amount) * percent / 100);
+};
+
+// Compare two amounts; feeExplained marks differences covered only by the fee allowance
+export const compareAmounts = (internalAmount, providerAmount, rules) => {
+  const diff = Math.abs(internalAmount - providerAmount);
+  const tolerance = amountTolerance(internalAmount, rules);
+  if (diff <= tolerance) return { match: true, feeExplained: false };
+
+  const { percent: feePercent, flat } = rules.feeTolerance;
+  const fee = flat + Math.abs(internalAmount) * feePercent / 100;
+  const shortfall = Math.abs(internalAmount) - Math.abs(providerAmount);
+  if (fee > 0 && shortfall > 0 && shortfall <= fee + tolerance) {
+    return { match: true, feeExplained: true };
+  }
+
+  return { match: false, feeExplained: false };
+};
+
+// Human-readable lines for the summary so a run can be reproduced
+export const describeRules = (rules) => {
+  const lines = [`Rule set: ${rules.name}`];
+  const { absolute, percent } = rules.amountTolerance;
+  lines.push(`Amount tolerance: ${absolute}${percent ? ` or ${percent}% of internal amount` : ''}`);
+
+  const { percent: feePercent, flat } = rules.feeTolerance;
+  if (feePercent || flat) {
+    lines.push(`Fee allowance: ${[flat && `${flat} flat`, feePercent && `${feePercent}%`].filter(Boolean).join(' + ')}`);
+  }
+
+  const { tiers = [], taxPercent } = rules.feeSchedule || {};
+  tiers.forEach(tier => {
+    const charge = [tier.percent && `${tier.percent}%`, tier.flat && `${tier.flat} flat`].filter(Boolean).join(' + ') || 'no fee';
+    lines.push(`Fee schedule: ${tier.upTo === null || tier.upTo === undefined ? 'any amount' : `up to ${tier.upTo}`}: ${charge}`);
+  });
+  if (tiers.length && taxPercent) lines.push(`Tax on fees: ${taxPercent}%`);
+
+  lines.push(`Dates: internal ${rules.dateFormats.internal}, provider ${rules.dateFormats.provider}, bank ${rules.dateFormats.bank}; settlement lag ${rules.settlementLagDays} day(s)`);
+
+  rules.statusGroups.forEach(group => lines.push(`Equivalent statuses: ${group.join(' = ')}`));
+
+  if (rules.reversals) {
+    const { statuses, negativeAmounts } = rules.reversals;
+    lines.push(`Reversals: status ${statuses.join(', ') || 'none'}${negativeAmounts ? ', or a negative amount' : ''}`);
+  }
+
+  (rules.severityRules || []).forEach(rule => {
+    lines.push(`Severity: internal ${rule.internal} / provider ${rule.provider} is ${rule.severity}`);
+  });
+
+  (rules.compareFields || []).forEach(field => {
+    lines.push(`Compare field: internal ${field.internal} with provider ${field.provider}`);
+  });
+
+  rules.referenceRules.forEach(rule => {
+    const type = REFERENCE_RULE_TYPES.find(t => t.key === rule.type);
+    lines.push(`Reference: ${type ? type.label : rule.type}${rule.value ? ` "${rule.value}"` : ''}`);
+  });
+
+  return lines;
+};
+
+export const loadRuleSets = () => {
+  try {
+    return JSON.parse(localStorage.getItem(RULE_SETS_STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveRuleSet = (rules) => {
+  const ruleSets = loadRuleSets().filter(ruleSet => ruleSet.name !== rules.name);
+  const updated = [...ruleSets, rules];
+  localStorage.setItem(RULE_SETS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+export const deleteRuleSet = (name) => {
+  const updated = loadRuleSets().filter(ruleSet => ruleSet.name !== name);
+  localStorage.setItem(RULE_SETS_STORAGE_KEY, JSON.stringify(updated));
+  return updated;
+};
+
+export const loadActiveRules = () => {
+  try {
+    return resolveRules(JSON.parse(localStorage.getItem(ACTIVE_RULES_STORAGE_KEY)) || {});
+  } catch {
+    return resolveRules();
+  }
+};
+
+export const saveActiveRules = (rules) => {
+  localStorage.setItem(ACTIVE_RULES_STORAGE_KEY, JSON.stringify(rules));
+};
@@ -0,0 +1,123 @@
+// Reconciliation sessions saved in IndexedDB so a run survives a refresh and
+// can be reopened later. The list view only reads the small metadata store;
+// uploaded records and results live in a separate store keyed by the same id.
+
+const DB_NAME = 'reconflow';
+const DB_VERSION = 1;
+const SESSIONS_STORE = 'sessions';
+const DATA_STORE = 'sessionData';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Saved sessions are not supported in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSIONS_STORE)) db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+        if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+};
+
+// Run fn against the named stores in one transaction and resolve with its
+// result once the transaction commits
+const withStores = async (storeNames, mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = storeNames.map(name => transaction.objectStore(name));
+    let result;
+    const request = fn(...stores);
+    if (request) request.onsuccess = () => { result = request.result; };
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Session storage was aborted'));
+  });
+};
+
+const newSessionId = () =>
+  (typeof crypto !== 'undefined' && crypto.randomUUID)
+    ? crypto.randomUUID()
+    : `session-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Newest first
+export const loadSessions = async () => {
+  const sessions = await withStores([SESSIONS_STORE], 'readonly', store => store.getAll());
+  return (sessions || []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// session: { name, files: { internal, provider }, rules, period, internalData, providerData, results }
+// where files.* are { name, rows }. resultsOnly marks a session saved without
+// its records, such as a server job's. Returns the saved metadata.
+export const saveSession = async ({ internalData, providerData, bankData = [], results, ...details }) => {
+  const now = new Date().toISOString();
+  const meta = {
+    ...details,
+    id: details.id || newSessionId(),
+    createdAt: details.createdAt || now,
+    updatedAt: now,
+    summary: results.summary
+  };
+  await withStores([SESSIONS_STORE, DATA_STORE], 'readwrite', (sessions, data) => {
+    sessions.put(meta);
+    data.put({ id: meta.id, internalData, providerData, bankData, results });
+  });
+  return meta;
+};
+
+// Metadata plus records and results, or null when the session is gone
+export const loadSession = async (id) => {
+  let meta;
+  let data;
+  await withStores([SESSIONS_STORE, DATA_STORE], 'readonly', (sessions, dataStore) => {
+    sessions.get(id).onsuccess = (event) => { meta = event.target.result; };
+    dataStore.get(id).onsuccess = (event) => { data = event.target.result; };
+  });
+  return meta && data ? { ...meta, ...data } : null;
+};
+
+// Store review decisions made after the run was saved
+export const updateSessionResults = async (id, results) => {
+  await withStores([SESSIONS_STORE, DATA_STORE], 'readwrite', (sessions, dataStore) => {
+    sessions.get(id).onsuccess = (event) => {
+      const meta = event.target.result;
+      if (meta) sessions.put({ ...meta, summary: results.summary, updatedAt: new Date().toISOString() });
+    };
+    dataStore.get(id).onsuccess = (event) => {
+      const data = event.target.result;
+      if (data) dataStore.put({ ...data, results });
+    };
+  });
+};
+
+export const renameSession = async (id, name) => {
+  await withStores([SESSIONS_STORE], 'readwrite', (sessions) => {
+    sessions.get(id).onsuccess = (event) => {
+      const meta = event.target.result;
+      if (meta) sessions.put({ ...meta, name });
+    };
+  });
+  return loadSessions();
+};
+
+export const deleteSession = async (id) => {
+  await withStores([SESSIONS_STORE, DATA_STORE], 'readwrite', (sessions, data) => {
+    sessions.delete(id);
+    data.delete(id);
+  });
+  return loadSessions();
+};
@@ -0,0 +1,139 @@
+// Third source: the bank statement, where the provider pays out net
+// settlement batches rather than individual transactions. Each bank credit is
+// matched to the provider transactions it settles, by batch reference when the
+// provider report has one, otherwise by settlement day and net amount.
+import { compareAmounts, referenceKey } from './rules.js';
+import { parseDate, addDays } from './dates.js';
+import { recordedDeductions } from './fees.js';
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const toDay = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+// Gross, fees (with commission and tax) and net of a group of provider transactions
+const totals = (records) => {
+  const gross = records.reduce((sum, record) => sum + (record.amount || 0), 0);
+  const fees = records.reduce((sum, record) => sum + (recordedDeductions(record) ?? 0), 0);
+  return { gross: roundCents(gross), fees: roundCents(fees), net: roundCents(gross - fees) };
+};
+
+const settle = (bank, provider, matchedBy, rules) => {
+  const { gross, fees, net } = totals(provider);
+  const amountCheck = bank.amount === null ? { match: false } : compareAmounts(net, bank.amount, rules);
+  return {
+    transaction_reference: bank.transaction_reference,
+    bank,
+    provider,
+    matchedBy,
+    gross,
+    fees,
+    net,
+    difference: bank.amount === null ? null : roundCents(bank.amount - net),
+    amountMatch: amountCheck.match
+  };
+};
+
+export const reconcileSettlements = (providerRecords, bankRecords, rules) => {
+  const batches = [];
+  const unmatchedBank = [];
+  const settled = new Set();
+
+  // Pass 1: provider rows that name their settlement batch
+  const byBatch = new Map();
+  providerRecords.forEach(record => {
+    if (!record.batch) return;
+    const key = referenceKey(record.batch, rules);
+    if (!byBatch.has(key)) byBatch.set(key, []);
+    byBatch.get(key).push(record);
+  });
+
+  const leftoverBank = [];
+  bankRecords.forEach(bank => {
+    const group = byBatch.get(referenceKey(bank.transaction_reference, rules));
+    if (group) {
+      batches.push(settle(bank, group, 'batch', rules));
+      group.forEach(record => settled.add(record));
+      byBatch.delete(referenceKey(bank.transaction_reference, rules));
+    } else {
+      leftoverBank.push(bank);
+    }
+  });
+
+  // Pass 2: unbatched provider rows grouped by day and currency, settled by a
+  // bank credit within the settlement lag whose amount equals the day's net
+  const byDay = new Map();
+  providerRecords.forEach(record => {
+    if (record.batch || settled.has(record)) return;
+    const date = parseDate(record.date, rules.dateFormats.provider);
+    if (date === null) return;
+    const key = `${toDay(date)}|${record.currency || ''}`;
+    if (!byDay.has(key)) byDay.set(key, { day: parseDate(toDay(date)), currency: record.currency || '', records: [] });
+    byDay.get(key).records.push(record);
+  });
+  const dayGroups = [...byDay.values()].sort((a, b) => a.day - b.day);
+
+  leftoverBank.forEach(bank => {
+    const bankDate = parseDate(bank.date, rules.dateFormats.bank);
+    const group = bankDate === null || bank.amount === null ? null : dayGroups.find(candidate =>
+      !candidate.used
+      && (!bank.currency || !candidate.currency || bank.currency === candidate.currency)
+      && candidate.day <= bankDate
+      && bankDate <= addDays(candidate.day, rules.settlementLagDays)
+      && compareAmounts(totals(candidate.records).net, bank.amount, rules).match);
+
+    if (group) {
+      group.used = true;
+      batches.push(settle(bank, group.records, 'date', rules));
+      group.records.forEach(record => settled.add(record));
+    } else {
+      unmatchedBank.push(bank);
+    }
+  });
+
+  const unsettledProvider = providerRecords.filter(record => !settled.has(record));
+
+  return {
+    batches,
+    unmatchedBank,
+    unsettledProvider,
+    summary: {
+      batchCount: batches.length,
+      batchMismatchCount: batches.filter(batch => !batch.amountMatch).length,
+      unmatchedBankCount: unmatchedBank.length,
+      unsettledProviderCount: unsettledProvider.length,
+      bankTotal: roundCents(bankRecords.reduce((sum, record) => sum + (record.amount || 0), 0)),
+      settledNetTotal: roundCents(batches.reduce((sum, batch) => sum + batch.net, 0))
+    }
+  };
+};
+
+// Which sources each transaction reference appears in. sources is
+// [{ key, label, references: Set }] holding normalized references, so any
+// number of sources can be compared.
+export const sourcePresence = (sources) => {
+  const all = new Set();
+  sources.forEach(source => source.references.forEach(ref => all.add(ref)));
+
+  const rows = [];
+  const combinations = new Map();
+  all.forEach(ref => {
+    const row = { transaction_reference: ref };
+    const present = [];
+    sources.forEach(source => {
+      row[source.key] = source.references.has(ref);
+      if (row[source.key]) present.push(source.key);
+    });
+    row.sources = present;
+    rows.push(row);
+    const combination = present.join('+');
+    combinations.set(combination, (combinations.get(combination) || 0) + 1);
+  });
+
+  return {
+    sources: sources.map(({ key, label }) => ({ key, label })),
+    rows,
+    combinations: [...combinations.entries()]
+      .map(([combination, count]) => ({ sources: combination.split('+'), count }))
+      .sort((a, b) => b.count - a.count)
+  };
+};
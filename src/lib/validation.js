@@ -0,0 +1,146 @@
+// Row-level validation of an uploaded file. Instead of rejecting the whole
+// file on the first problem, every row is checked and the report lists what
+// was rejected or coerced so the user can proceed with the valid rows.
+import { DEDUCTION_FIELDS } from './fees.js';
+
+// Currency code or symbol written before or after an amount, e.g. "KES 500"
+const CURRENCY_AFFIX = /^(?:[A-Z]{3}|[$€£¥₹₦])|(?:[A-Z]{3}|[$€£¥₹₦])$/gi;
+
+// Read amounts like "1,250.00", "KES 500", "(300.00)", "1.250,50" or "75-".
+// coerced is true when the text needed cleaning to become a number.
+// decimalSeparator is '.' or ',' when the file's is known, 'auto' to guess.
+export const parseAmount = (raw, decimalSeparator = 'auto') => {
+  if (typeof raw === 'number') return { value: Number.isFinite(raw) ? raw : null, coerced: false };
+  const text = String(raw ?? '').trim();
+  if (text === '') return { value: null, coerced: false };
+
+  let cleaned = text.replace(/\s/g, '');
+  let negative = false;
+  if (/^\(.*\)$/.test(cleaned)) {
+    negative = true;
+    cleaned = cleaned.slice(1, -1);
+  }
+  cleaned = cleaned.replace(CURRENCY_AFFIX, '');
+  if (cleaned.endsWith('-')) {
+    negative = true;
+    cleaned = cleaned.slice(0, -1);
+  }
+  if (!/^[-+]?[\d.,]*\d[\d.,]*$/.test(cleaned)) return { value: null, coerced: false };
+
+  // The last separator is the decimal point when both appear; a lone comma
+  // followed by one or two digits is a decimal comma, otherwise thousands.
+  // Repeated dots with no comma ("1.234.567") are thousands too.
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  const decimalComma = decimalSeparator === 'auto'
+    ? (lastComma > lastDot && (lastDot !== -1 || /^[^,]*,\d{1,2}$/.test(cleaned)))
+      || (lastComma === -1 && cleaned.indexOf('.') !== lastDot)
+    : decimalSeparator === ',';
+  if (decimalComma) {
+    cleaned = cleaned.replace(/\./g, '').replace(',', '.');
+  } else {
+    cleaned = cleaned.replace(/,/g, '');
+  }
+
+  const value = Number(cleaned);
+  if (Number.isNaN(value)) return { value: null, coerced: false };
+  return { value: negative ? -Math.abs(value) : value, coerced: cleaned !== text || negative };
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Check and normalize parsed rows against a column mapping.
+// options.parseErrors: [{ row, message }] from the parser, row being the data row index
+// options.firstLine: file line of the first data row (2 below a single header line)
+// options.decimalSeparator: see parseAmount
+export const validateRows = (rows, mapping, fileCurrency = null, options = {}) => {
+  const { parseErrors = [], firstLine = 2, decimalSeparator = 'auto' } = options;
+  const errorsByRow = new Map();
+  const fileIssues = [];
+  parseErrors.forEach(({ row, message }) => {
+    if (row === null || row === undefined) {
+      fileIssues.push({ line: null, reference: '', column: '', problem: message, severity: 'warning' });
+    } else {
+      errorsByRow.set(row, [...(errorsByRow.get(row) || []), message]);
+    }
+  });
+
+  const records = [];
+  const rejected = [];
+  const issues = [...fileIssues];
+  let coerced = 0;
+
+  rows.forEach((row, index) => {
+    const line = firstLine + index;
+    const value = (field) => (mapping[field] ? row[mapping[field]] : undefined);
+    const reference = String(value('reference') ?? '').trim();
+    const rowIssues = [];
+    const flag = (column, problem, severity = 'error') => rowIssues.push({ line, reference, column, problem, severity });
+
+    (errorsByRow.get(index) || []).forEach(message => flag('', message));
+    if (!reference) flag(mapping.reference, 'Missing reference');
+
+    let amount = null;
+    if (mapping.amount) {
+      const raw = value('amount');
+      const parsed = parseAmount(raw, decimalSeparator);
+      if (isBlank(raw)) {
+        flag(mapping.amount, 'Missing amount');
+      } else if (parsed.value === null) {
+        flag(mapping.amount, `"${raw}" is not a number`);
+      } else {
+        amount = parsed.value;
+        if (parsed.coerced) flag(mapping.amount, `Read "${raw}" as ${amount}`, 'warning');
+      }
+    }
+
+    const deductions = {};
+    DEDUCTION_FIELDS.forEach(({ key, label }) => {
+      deductions[key] = null;
+      if (mapping[key] && !isBlank(value(key))) {
+        deductions[key] = parseAmount(value(key), decimalSeparator).value;
+        if (deductions[key] === null) {
+          flag(mapping[key], `${label} "${value(key)}" is not a number; treated as no ${label.toLowerCase()}`, 'warning');
+        }
+      }
+    });
+
+    const status = value('status');
+    const date = value('date');
+    const batch = value('batch');
+    const originalReference = value('originalReference');
+    const currency = isBlank(value('currency')) ? fileCurrency : String(value('currency')).toUpperCase().trim();
+    if (currency && !/^[A-Z]{3}$/.test(currency)) flag(mapping.currency, `Unrecognised currency "${currency}"`, 'warning');
+
+    issues.push(...rowIssues);
+    if (rowIssues.some(issue => issue.severity === 'error')) {
+      rejected.push({ line, row, problems: rowIssues.map(issue => issue.problem) });
+      return;
+    }
+    if (rowIssues.length > 0) coerced += 1;
+
+    records.push({
+      ...row,
+      transaction_reference: reference,
+      amount,
+      status: status ? String(status).toLowerCase().trim() : null,
+      // dynamicTyping turns ISO strings into Date objects
+      date: date instanceof Date ? date.toISOString() : date ? String(date).trim() : null,
+      currency,
+      batch: isBlank(batch) ? null : String(batch).trim(),
+      original_reference: isBlank(originalReference) ? null : String(originalReference).trim(),
+      ...deductions
+    });
+  });
+
+  return {
+    records,
+    rejected,
+    issues,
+    counts: { total: rows.length, valid: records.length, rejected: rejected.length, coerced }
+  };
+};
+
+// Rejected rows as flat objects for CSV export, problems first
+export const rejectedRowsForExport = (report) =>
+  report.rejected.map(({ line, row, problems }) => ({ line, problems: problems.join('; '), ...row }));
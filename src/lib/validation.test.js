@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { parseAmount, validateRows } from './validation.js';
+
+describe('parseAmount', () => {
+  it.each([
+    // Thousands and decimal separators
+    ['1,250.00', 1250],
+    ['1.250,50', 1250.5],
+    ['1,250', 1250],
+    ['12,5', 12.5],
+    ['1 250,75', 1250.75],
+    ['1,234,567', 1234567],
+    ['1.234.567', 1234567],
+    // Negatives
+    ['(300.00)', -300],
+    ['75-', -75],
+    ['(1.250,50)', -1250.5],
+    // Currency codes and symbols
+    ['KES 500', 500],
+    ['500 KES', 500],
+    ['$1,000.50', 1000.5],
+    ['€1.000,50', 1000.5],
+    ['₦2,000', 2000],
+    ['(KES 1,200)', -1200],
+    ['USD-15', -15]
+  ])('reads %s as %s', (raw, expected) => {
+    expect(parseAmount(raw)).toEqual({ value: expected, coerced: true });
+  });
+
+  it.each([
+    ['-42.5', -42.5],
+    ['+7', 7],
+    [12.5, 12.5]
+  ])('leaves a plain number %s as it is', (raw, expected) => {
+    expect(parseAmount(raw)).toEqual({ value: expected, coerced: false });
+  });
+
+  it.each([
+    ['1.250', ',', 1250],
+    ['1.250', '.', 1.25],
+    ['1,250', ',', 1.25],
+    ['1,250', '.', 1250],
+    ['-1.250,5', ',', -1250.5]
+  ])('reads %s with %s as the decimal separator as %s', (raw, separator, expected) => {
+    expect(parseAmount(raw, separator).value).toBe(expected);
+  });
+
+  it.each([[''], ['  '], [null], ['abc'], ['1-2'], ['KES'], [NaN]])('has no value for %j', (raw) => {
+    expect(parseAmount(raw).value).toBeNull();
+  });
+});
+
+describe('validateRows', () => {
+  const mapping = { reference: 'ref', amount: 'amount', currency: 'currency' };
+
+  it('keeps coerced amounts with a warning and rejects ones that are not numbers', () => {
+    const report = validateRows([
+      { ref: 'A1', amount: '(1,250.00)', currency: 'kes' },
+      { ref: 'A2', amount: 300, currency: '' },
+      { ref: 'A3', amount: 'n/a', currency: 'KES' },
+      { ref: '', amount: 10, currency: 'KES' }
+    ], mapping, 'USD');
+
+    expect(report.records.map(record => [record.transaction_reference, record.amount, record.currency]))
+      .toEqual([['A1', -1250, 'KES'], ['A2', 300, 'USD']]);
+    expect(report.counts).toEqual({ total: 4, valid: 2, rejected: 2, coerced: 1 });
+    expect(report.rejected.map(row => [row.line, row.problems])).toEqual([
+      [4, ['"n/a" is not a number']],
+      [5, ['Missing reference']]
+    ]);
+    expect(report.issues[0]).toMatchObject({ line: 2, reference: 'A1', severity: 'warning', problem: 'Read "(1,250.00)" as -1250' });
+  });
+
+  it("reads amounts with the file's decimal separator", () => {
+    const report = validateRows([{ ref: 'A1', amount: '1.250' }], mapping, 'KES', { decimalSeparator: ',' });
+
+    expect(report.records[0].amount).toBe(1250);
+  });
+});
@@ -0,0 +1,41 @@
+// Main-thread side of the reconciliation worker. Each call starts a job and
+// returns { promise, cancel }; a cancelled job resolves with null.
+
+const startJob = (message, onProgress) => {
+  const worker = new Worker(new URL('../workers/reconciliation.worker.js', import.meta.url), { type: 'module' });
+  let settle;
+
+  const promise = new Promise((resolve, reject) => {
+    settle = (error, result) => {
+      worker.terminate();
+      if (error) reject(error);
+      else resolve(result);
+    };
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        onProgress?.(data.progress);
+      } else if (data.type === 'done') {
+        settle(null, data.result);
+      } else if (data.type === 'error') {
+        settle(new Error(data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      settle(new Error(event.message || 'Worker failed'));
+    };
+  });
+
+  worker.postMessage(message);
+
+  return {
+    promise,
+    cancel: () => settle(null, null)
+  };
+};
+
+export const parseFileJob = (file, onProgress, options) => startJob({ type: 'parse', file, options }, onProgress);
+
+export const reconcileJob = (internal, provider, options, onProgress) =>
+  startJob({ type: 'reconcile', internal, provider, options }, onProgress);
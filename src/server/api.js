@@ -0,0 +1,211 @@
+// Local HTTP API for other systems to submit reconciliations and fetch the
+// results. Jobs run with the same engine as the browser and the CLI and are
+// kept in a JSON job store, which the UI lists as well.
+//
+//   GET    /api/jobs                        all jobs, newest first
+//   POST   /api/jobs                        submit a job (see readJobRequest)
+//   GET    /api/jobs/:id                    one job's status and summary
+//   DELETE /api/jobs/:id                    remove a job and its results
+//   GET    /api/jobs/:id/results            full results, as the UI keeps them
+//   GET    /api/jobs/:id/buckets            the buckets the job has
+//   GET    /api/jobs/:id/buckets/:bucket    one bucket's rows; ?format=csv for CSV
+import http from 'node:http';
+import { readFile, realpath } from 'node:fs/promises';
+import { basename, isAbsolute, relative, resolve, sep } from 'node:path';
+import Papa from 'papaparse';
+import { resolveRules } from '../lib/rules.js';
+import { availableBuckets, bucketFileName } from '../lib/report.js';
+import { toMappingProfile, applyStatementProfiles } from '../cli/statements.js';
+import { createJobStore } from './jobStore.js';
+import { createJobRunner } from './jobRunner.js';
+
+const MAX_BODY_BYTES = 100 * 1024 * 1024;
+
+const SIDES = ['internal', 'provider', 'bank'];
+
+const apiError = (status, message) => Object.assign(new Error(message), { status });
+
+// No CORS headers: the UI reaches the API through the Vite proxy, and other
+// web pages the user has open must not be able to submit jobs or read results
+const send = (res, status, body, contentType = 'application/json') => {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(contentType === 'application/json' ? JSON.stringify(body) : body);
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(apiError(413, 'Request body is too large'));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(apiError(400, 'Request body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+
+// Real path of a file inside inputDir, or null when it resolves outside it,
+// symlinks included. Relative paths are taken from inputDir.
+const resolveInputPath = async (inputDir, path) => {
+  const root = await realpath(inputDir);
+  const target = await realpath(resolve(root, String(path)));
+  const inside = relative(root, target);
+  return inside === '..' || inside.startsWith(`..${sep}`) || isAbsolute(inside) ? null : target;
+};
+
+// A file is { name, content, encoding? } with encoding 'base64' for Excel,
+// or { path } to a file in the server's input directory
+const readInput = async (side, input, inputDir) => {
+  if (input.path) {
+    if (!inputDir) throw apiError(400, `files.${side}: reading by path needs the server started with --inputs <dir>`);
+    let path;
+    try {
+      path = await resolveInputPath(inputDir, input.path);
+    } catch (error) {
+      throw apiError(400, `files.${side}: ${error.code === 'ENOENT' ? 'no such file in the input directory' : error.message}`);
+    }
+    if (!path) throw apiError(400, `files.${side}: path is outside the input directory`);
+    try {
+      return { name: basename(path), contents: await readFile(path) };
+    } catch (error) {
+      throw apiError(400, `files.${side}: ${error.message}`);
+    }
+  }
+  if (!input.name || typeof input.content !== 'string') {
+    throw apiError(400, `files.${side} needs a name and content, or a path`);
+  }
+  return { name: input.name, contents: Buffer.from(input.content, input.encoding === 'base64' ? 'base64' : 'utf8') };
+};
+
+// Body: { name?, files: { internal, provider, bank? }, rules?, period?: { start, end },
+// mappings?: { internal?, provider?, bank? }, currency?, fuzzyMatching? }
+const readJobRequest = async (body, inputDir) => {
+  const files = {};
+  for (const side of SIDES) {
+    const input = body.files?.[side];
+    if (!input) {
+      if (side !== 'bank') throw apiError(400, `files.${side} is required`);
+      continue;
+    }
+    files[side] = await readInput(side, input, inputDir);
+  }
+
+  const { period } = body;
+  if (period && !(/^\d{4}-\d{2}-\d{2}$/.test(period.start) && /^\d{4}-\d{2}-\d{2}$/.test(period.end))) {
+    throw apiError(400, 'period needs start and end as YYYY-MM-DD');
+  }
+
+  const mappings = Object.fromEntries(Object.entries(body.mappings || {})
+    .filter(([side, mapping]) => SIDES.includes(side) && mapping)
+    .map(([side, mapping]) => {
+      try {
+        return [side, toMappingProfile(mapping)];
+      } catch (error) {
+        throw apiError(400, `mappings.${side}: ${error.message}`);
+      }
+    }));
+  const rules = applyStatementProfiles(resolveRules(body.rules), mappings);
+
+  return {
+    files,
+    options: {
+      rules,
+      period: period || null,
+      mappings,
+      currency: body.currency ? String(body.currency).toUpperCase() : null,
+      fuzzyMatching: body.fuzzyMatching !== false
+    },
+    details: {
+      name: body.name || `${files.internal.name} vs ${files.provider.name}`,
+      files: Object.fromEntries(Object.entries(files).map(([side, file]) => [side, { name: file.name }])),
+      rules,
+      period: period || null
+    }
+  };
+};
+
+// inputDir: the only directory jobs may read files from by path; null turns path inputs off
+export const createApiServer = async ({ dataDir, inputDir = null, log }) => {
+  const store = await createJobStore(dataDir);
+  const runner = createJobRunner(store, log);
+
+  // Inputs are only held in memory, so jobs cut short by a restart can't resume
+  for (const job of await store.list()) {
+    if (job.status === 'queued' || job.status === 'running') {
+      await store.update(job.id, { status: 'failed', error: 'The server stopped before the job finished' });
+    }
+  }
+
+  const finishedResults = async (id) => {
+    const job = await store.get(id);
+    if (!job) throw apiError(404, 'No such job');
+    if (job.status !== 'done') throw apiError(409, `Job is ${job.status}`);
+    return store.loadResults(id);
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    if (parts[0] !== 'api' || parts[1] !== 'jobs') throw apiError(404, 'Not found');
+    const [, , id, resource, bucketKey] = parts;
+
+    if (!id) {
+      if (req.method === 'GET') return send(res, 200, await store.list());
+      if (req.method === 'POST') {
+        // A JSON content type can't be sent cross-site without a preflight, which gets no CORS headers
+        if (!/^application\/json\b/i.test(req.headers['content-type'] || '')) {
+          throw apiError(415, 'Content-Type must be application/json');
+        }
+        const { files, options, details } = await readJobRequest(await readBody(req), inputDir);
+        const job = await store.create(details);
+        runner.submit(job, files, options);
+        return send(res, 202, job);
+      }
+    } else if (!resource) {
+      if (req.method === 'GET') {
+        const job = await store.get(id);
+        if (!job) throw apiError(404, 'No such job');
+        return send(res, 200, job);
+      }
+      if (req.method === 'DELETE') {
+        runner.cancel(id);
+        await store.remove(id);
+        return send(res, 204, '', 'text/plain');
+      }
+    } else if (req.method === 'GET' && resource === 'results') {
+      return send(res, 200, await finishedResults(id));
+    } else if (req.method === 'GET' && resource === 'buckets') {
+      const results = await finishedResults(id);
+      const buckets = availableBuckets(results);
+      if (!bucketKey) return send(res, 200, buckets.map(({ key, label }) => ({ key, label })));
+
+      const bucket = buckets.find(candidate => candidate.key === bucketKey);
+      if (!bucket) throw apiError(404, `No bucket "${bucketKey}"`);
+      const rows = bucket.rows(results);
+      if (url.searchParams.get('format') === 'csv') {
+        res.setHeader('Content-Disposition', `attachment; filename="${bucketFileName(bucket)}.csv"`);
+        return send(res, 200, Papa.unparse(rows), 'text/csv; charset=utf-8');
+      }
+      return send(res, 200, rows);
+    }
+    throw apiError(405, 'Method not allowed');
+  };
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      if (!error.status) log(`Request failed: ${error.stack}`);
+      send(res, error.status || 500, { error: error.message });
+    });
+  });
+};
@@ -0,0 +1,78 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createApiServer } from './api.js';
+
+const INTERNAL_CSV = 'reference,amount,status\nA1,100,completed\nA2,50,completed\n';
+const PROVIDER_CSV = 'reference,amount,status\nA1,100,completed\n';
+
+let root;
+let server;
+let baseUrl;
+
+const request = (path, options = {}) => fetch(`${baseUrl}${path}`, options);
+
+const postJob = (body, contentType = 'application/json') =>
+  request('/api/jobs', { method: 'POST', headers: { 'Content-Type': contentType }, body: JSON.stringify(body) });
+
+const provider = { name: 'provider.csv', content: PROVIDER_CSV };
+
+beforeAll(async () => {
+  root = await mkdtemp(join(tmpdir(), 'reconflow-api-'));
+  await mkdir(join(root, 'inputs'));
+  await writeFile(join(root, 'inputs', 'internal.csv'), INTERNAL_CSV);
+  await writeFile(join(root, 'secret.csv'), INTERNAL_CSV);
+  server = await createApiServer({ dataDir: join(root, 'data'), inputDir: join(root, 'inputs'), log: () => {} });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await rm(root, { recursive: true, force: true });
+});
+
+describe('job inputs by path', () => {
+  it('reads files inside the input directory', async () => {
+    const response = await postJob({ files: { internal: { path: 'internal.csv' }, provider } });
+
+    expect(response.status).toBe(202);
+    expect((await response.json()).files.internal.name).toBe('internal.csv');
+  });
+
+  it('rejects paths that resolve outside the input directory', async () => {
+    for (const path of ['../secret.csv', join(root, 'secret.csv'), '/etc/passwd']) {
+      const response = await postJob({ files: { internal: { path }, provider } });
+      expect(response.status).toBe(400);
+    }
+  });
+
+  it('refuses path inputs when no input directory is configured', async () => {
+    const closed = await createApiServer({ dataDir: join(root, 'data-closed'), log: () => {} });
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const response = await fetch(`http://127.0.0.1:${closed.address().port}/api/jobs`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ files: { internal: { path: 'internal.csv' }, provider } })
+    });
+    await new Promise(resolve => closed.close(resolve));
+
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('cross-origin requests', () => {
+  it('sends no CORS headers', async () => {
+    const response = await request('/api/jobs', { headers: { Origin: 'https://example.com' } });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('access-control-allow-origin')).toBeNull();
+  });
+
+  it('only accepts JSON job submissions', async () => {
+    const response = await postJob({ files: { internal: { name: 'internal.csv', content: INTERNAL_CSV }, provider } }, 'text/plain');
+
+    expect(response.status).toBe(415);
+  });
+});
@@ -0,0 +1,75 @@
+// Runs submitted jobs one at a time, each in its own worker thread, and
+// records the outcome in the job store.
+import { Worker } from 'node:worker_threads';
+
+// { promise, stop }: the promise settles with the worker's result, or fails
+// when the worker errors, exits without answering or is stopped
+const runInWorker = (files, options) => {
+  const worker = new Worker(new URL('./jobWorker.js', import.meta.url), { workerData: { files, options } });
+  const promise = new Promise((resolve, reject) => {
+    worker.once('message', (message) => {
+      if (message.type === 'done') {
+        resolve(message);
+      } else {
+        reject(new Error(message.message));
+      }
+      worker.terminate();
+    });
+    worker.once('error', reject);
+    worker.once('exit', (code) => {
+      reject(new Error(code === 0 ? 'The job ended without a result' : `The job's worker exited with code ${code}`));
+    });
+  });
+  return { promise, stop: () => worker.terminate() };
+};
+
+export const createJobRunner = (store, log) => {
+  const queue = [];
+  // { id, cancelled, stop } of the job being run
+  let active = null;
+
+  const runNext = async () => {
+    if (active || queue.length === 0) return;
+    const { job, files, options } = queue.shift();
+    const current = { id: job.id, cancelled: false, stop: null };
+    active = current;
+    try {
+      await store.update(job.id, { status: 'running' });
+      if (current.cancelled) return;
+      const run = runInWorker(files, options);
+      current.stop = run.stop;
+      const outcome = await run.promise;
+      if (current.cancelled) return;
+      await store.saveResults(job.id, outcome.results);
+      await store.update(job.id, { status: 'done', files: outcome.files, summary: outcome.results.summary });
+      log(`Job ${job.id} done`);
+    } catch (error) {
+      if (current.cancelled) {
+        log(`Job ${job.id} cancelled`);
+      } else {
+        await store.update(job.id, { status: 'failed', error: error.message });
+        log(`Job ${job.id} failed: ${error.message}`);
+      }
+    } finally {
+      active = null;
+      runNext();
+    }
+  };
+
+  return {
+    // files: { internal, provider, bank? } as { name, contents: Buffer }
+    submit: (job, files, options) => {
+      queue.push({ job, files, options });
+      runNext();
+    },
+    // Drop a queued job or stop the running one, e.g. because it was deleted
+    cancel: (id) => {
+      const index = queue.findIndex(entry => entry.job.id === id);
+      if (index !== -1) queue.splice(index, 1);
+      if (active?.id === id) {
+        active.cancelled = true;
+        active.stop?.();
+      }
+    }
+  };
+};
@@ -0,0 +1,70 @@
+// Jobs submitted to the API, kept as JSON files under the data directory:
+// jobs/<id>.json holds the job itself (status, files, summary) and
+// results/<id>.json the full results once it has finished.
+import { mkdir, readdir, readFile, rename, rm, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { randomUUID } from 'node:crypto';
+
+// Ids end up in file paths, so only accept the ones we hand out
+const isJobId = (id) => /^[a-f0-9-]{36}$/.test(id);
+
+const readJson = async (path) => {
+  try {
+    return JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+// Write to a temporary file first so a crash never leaves half a job behind
+const writeJson = async (path, value) => {
+  await writeFile(`${path}.tmp`, JSON.stringify(value));
+  await rename(`${path}.tmp`, path);
+};
+
+export const createJobStore = async (dataDir) => {
+  const jobsDir = join(dataDir, 'jobs');
+  const resultsDir = join(dataDir, 'results');
+  await mkdir(jobsDir, { recursive: true });
+  await mkdir(resultsDir, { recursive: true });
+
+  const jobPath = (id) => join(jobsDir, `${id}.json`);
+  const resultsPath = (id) => join(resultsDir, `${id}.json`);
+
+  const get = (id) => (isJobId(id) ? readJson(jobPath(id)) : Promise.resolve(null));
+
+  // null when the job is gone, so a job deleted while it ran stays deleted
+  const update = async (id, changes) => {
+    const current = await get(id);
+    if (!current) return null;
+    const job = { ...current, ...changes, updatedAt: new Date().toISOString() };
+    await writeJson(jobPath(id), job);
+    return job;
+  };
+
+  return {
+    // Newest first
+    list: async () => {
+      const files = (await readdir(jobsDir)).filter(file => file.endsWith('.json'));
+      const jobs = await Promise.all(files.map(file => readJson(join(jobsDir, file))));
+      // Records written back for deleted jobs by older versions have no createdAt
+      return jobs.filter(Boolean).sort((a, b) => String(b.createdAt ?? '').localeCompare(String(a.createdAt ?? '')));
+    },
+    get,
+    create: async (details) => {
+      const now = new Date().toISOString();
+      const job = { ...details, id: randomUUID(), status: 'queued', createdAt: now, updatedAt: now };
+      await writeJson(jobPath(job.id), job);
+      return job;
+    },
+    update,
+    saveResults: (id, results) => writeJson(resultsPath(id), results),
+    loadResults: (id) => (isJobId(id) ? readJson(resultsPath(id)) : Promise.resolve(null)),
+    remove: async (id) => {
+      if (!isJobId(id)) return;
+      await rm(jobPath(id), { force: true });
+      await rm(resultsPath(id), { force: true });
+    }
+  };
+};
@@ -0,0 +1,37 @@
+// Runs one API job off the server's main thread, the way the browser runs
+// reconciliations in a Web Worker, so status requests are answered meanwhile.
+import { parentPort, workerData } from 'node:worker_threads';
+import { loadStatement } from '../cli/statements.js';
+import { reconcile } from '../lib/reconcile.js';
+
+const { files, options } = workerData;
+
+try {
+  const statements = {};
+  Object.entries(files).forEach(([side, file]) => {
+    // Buffers arrive as plain Uint8Arrays after crossing the thread boundary
+    const contents = Buffer.from(file.contents.buffer, file.contents.byteOffset, file.contents.byteLength);
+    statements[side] = loadStatement(file.name, contents, {
+      profile: options.mappings?.[side] || null,
+      currency: options.currency
+    });
+  });
+
+  const results = reconcile(statements.internal.records, statements.provider.records, {
+    rules: options.rules,
+    period: options.period,
+    fuzzyMatching: options.fuzzyMatching,
+    bankRecords: statements.bank ? statements.bank.records : null
+  });
+
+  parentPort.postMessage({
+    type: 'done',
+    files: Object.fromEntries(Object.entries(statements).map(([side, statement]) => [side, {
+      name: statement.name,
+      ...statement.report.counts
+    }])),
+    results
+  });
+} catch (error) {
+  parentPort.postMessage({ type: 'error', message: error.message });
+}
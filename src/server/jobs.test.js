@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createJobStore } from './jobStore.js';
+import { createJobRunner } from './jobRunner.js';
+
+const csv = (rows) => Buffer.from(['reference,amount', ...Array.from({ length: rows }, (_, i) => `R${i},${i}`)].join('\n'));
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+  throw new Error('Timed out');
+};
+
+let dataDir;
+let store;
+
+beforeEach(async () => {
+  dataDir = await mkdtemp(join(tmpdir(), 'reconflow-jobs-'));
+  store = await createJobStore(dataDir);
+});
+
+afterEach(async () => {
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+describe('job store', () => {
+  it('leaves deleted jobs deleted on update', async () => {
+    const job = await store.create({ name: 'test' });
+    await store.remove(job.id);
+
+    expect(await store.update(job.id, { status: 'done' })).toBeNull();
+    expect(await store.get(job.id)).toBeNull();
+    expect(await store.list()).toEqual([]);
+  });
+
+  it('lists jobs without a creation time', async () => {
+    const job = await store.create({ name: 'test' });
+    await writeFile(join(dataDir, 'jobs', '00000000-0000-0000-0000-000000000000.json'), JSON.stringify({ status: 'done' }));
+
+    expect((await store.list()).map(listed => listed.id)).toEqual([job.id, undefined]);
+  });
+});
+
+describe('job runner', () => {
+  it('runs a job to completion', async () => {
+    const runner = createJobRunner(store, () => {});
+    const job = await store.create({ name: 'test' });
+    runner.submit(job, { internal: { name: 'i.csv', contents: csv(3) }, provider: { name: 'p.csv', contents: csv(2) } }, {});
+
+    await waitFor(async () => (await store.get(job.id)).status === 'done');
+    expect((await store.get(job.id)).summary.internalOnlyCount).toBe(1);
+  });
+
+  it('stops a deleted job without writing it back', async () => {
+    const messages = [];
+    const runner = createJobRunner(store, (message) => messages.push(message));
+    const job = await store.create({ name: 'test' });
+    runner.submit(job, { internal: { name: 'i.csv', contents: csv(50000) }, provider: { name: 'p.csv', contents: csv(50000) } }, {});
+
+    await waitFor(async () => (await store.get(job.id)).status === 'running');
+    runner.cancel(job.id);
+    await store.remove(job.id);
+
+    await waitFor(() => messages.length > 0);
+    expect(messages[0]).toMatch(/cancelled/);
+    expect(await readdir(join(dataDir, 'jobs'))).toEqual([]);
+    expect(await readdir(join(dataDir, 'results'))).toEqual([]);
+  });
+});
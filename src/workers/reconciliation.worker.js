@@ -0,0 +1,78 @@
+// Runs file parsing and matching off the main thread. Each job gets its own
+// worker, so cancelling a job is just terminating it.
+import Papa from 'papaparse';
+import { csvParseOptions } from '../lib/csv';
+import { detectFormat, decodeText, parseWorkbook, parseJson, parseFixedWidth } from '../lib/importers';
+import { reconcile } from '../lib/reconcile';
+
+// Row-level problems are collected for the validation report rather than
+// failing the whole file. parse: a provider profile's parse settings.
+const parseCsv = (file, parse = {}) => {
+  const rows = [];
+  const parseErrors = [];
+  let headers = [];
+
+  Papa.parse(file, {
+    ...csvParseOptions(parse),
+    chunk: (results) => {
+      results.errors
+        // Delimiter guesses fall back to a comma, which is what we want
+        .filter(error => error.type !== 'Delimiter')
+        .forEach(error => parseErrors.push({ row: error.row ?? null, message: error.message }));
+      headers = results.meta.fields || headers;
+      // One row at a time: spreading a large chunk overflows the call stack
+      results.data.forEach(row => rows.push(row));
+      self.postMessage({
+        type: 'progress',
+        progress: { stage: 'parsing', done: results.meta.cursor, total: file.size }
+      });
+    },
+    complete: () => {
+      self.postMessage({ type: 'done', result: { headers, rows, parseErrors, importInfo: { format: 'csv', firstLine: (parse.skipRows || 0) + 2 } } });
+    },
+    error: (error) => {
+      self.postMessage({ type: 'error', message: `File reading error: ${error.message}` });
+    }
+  });
+};
+
+// Other formats are read whole; options carry the sheet, header row or column
+// widths, and the provider profile's parse settings as options.parse
+const parseFile = async (file, options = {}) => {
+  const { parse = {}, ...importOptions } = options;
+  const format = detectFormat(file.name);
+  if (format === 'csv') {
+    parseCsv(file, parse);
+    return;
+  }
+
+  try {
+    let result;
+    if (format === 'xlsx') {
+      result = parseWorkbook(await file.arrayBuffer(), { ...importOptions, skipRows: parse.skipRows });
+    } else if (format === 'json') {
+      result = parseJson(decodeText(await file.arrayBuffer(), parse.encoding));
+    } else {
+      result = parseFixedWidth(decodeText(await file.arrayBuffer(), parse.encoding), {
+        ...importOptions,
+        skipRows: parse.skipRows,
+        decimalSeparator: parse.decimalSeparator
+      });
+    }
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'parse') {
+    parseFile(data.file, data.options);
+  } else if (data.type === 'reconcile') {
+    const results = reconcile(data.internal, data.provider, {
+      ...data.options,
+      onProgress: (progress) => self.postMessage({ type: 'progress', progress })
+    });
+    self.postMessage({ type: 'done', result: results });
+  }
+};
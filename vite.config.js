@@ -7,4 +7,10 @@ export default defineConfig({
     react(),
     tailwindcss(),
   ],
+  server: {
+    // Jobs submitted to `reconflow serve`, listed under Server Jobs
+    proxy: {
+      '/api': 'http://127.0.0.1:8787',
+    },
+  },
 });